@@ -0,0 +1,138 @@
+/**
+ * Service Worker - Offline app shell and ONNX Runtime WASM
+ *
+ * Caches the app on first visit so it keeps working without a network. On
+ * install it precaches the shell and every file listed in
+ * /precache-manifest.json (written by the Vite build, see vite.config.js):
+ * the first visit loads its bundles before this worker controls the page,
+ * so they would otherwise never pass through it. After that:
+ * - Page navigations: network first, falling back to the cached shell
+ * - Hashed build assets and /wasm/ binaries: cache first
+ * - Other same-origin files (manifests, worklet): network first
+ *
+ * ONNX model files are not handled here; src/utils/modelCache.js stores
+ * them and verifies their SHA-256 against the model manifest.
+ */
+
+const SHELL_CACHE = "audioemotion-shell-v1";
+const SHELL_URL = "/index.html";
+const PRECACHE_MANIFEST_URL = "/precache-manifest.json";
+
+const isCacheFirst = (pathname) =>
+  pathname.startsWith("/assets/") || pathname.startsWith("/wasm/");
+
+/**
+ * Files of the current build; empty in development, which has no manifest
+ */
+async function readPrecacheList() {
+  try {
+    const response = await fetch(PRECACHE_MANIFEST_URL, { cache: "no-cache" });
+    return response.ok ? await response.json() : [];
+  } catch {
+    return [];
+  }
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    (async () => {
+      const cache = await caches.open(SHELL_CACHE);
+      const files = await readPrecacheList();
+      // Cache-first files (hashed bundles, WASM) are kept from an earlier
+      // install; the rest is fetched again
+      const toFetch = [];
+      for (const url of files) {
+        if (!isCacheFirst(url) || !(await cache.match(url))) toFetch.push(url);
+      }
+      await cache.addAll([SHELL_URL, ...toFetch]);
+      await cache.put(
+        PRECACHE_MANIFEST_URL,
+        new Response(JSON.stringify(files), {
+          headers: { "Content-Type": "application/json" },
+        })
+      );
+      await self.skipWaiting();
+    })()
+  );
+});
+
+/**
+ * Drop hashed bundles of earlier builds from the shell cache
+ */
+async function pruneOldAssets() {
+  const cache = await caches.open(SHELL_CACHE);
+  const manifest = await cache.match(PRECACHE_MANIFEST_URL);
+  if (!manifest) return;
+
+  const current = new Set(await manifest.json());
+  for (const request of await cache.keys()) {
+    const { pathname } = new URL(request.url);
+    if (pathname.startsWith("/assets/") && !current.has(pathname)) {
+      await cache.delete(request);
+    }
+  }
+}
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter(
+              (key) =>
+                key.startsWith("audioemotion-shell-") && key !== SHELL_CACHE
+            )
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(pruneOldAssets)
+      .then(() => self.clients.claim())
+  );
+});
+
+async function cacheFirst(request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+}
+
+async function networkFirst(request, fallbackUrl) {
+  const cache = await caches.open(SHELL_CACHE);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(fallbackUrl || request, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(fallbackUrl || request);
+    if (cached) return cached;
+    throw error;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  if (request.method !== "GET") return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+  if (url.pathname.startsWith("/api/")) return;
+  if (url.pathname.endsWith(".onnx")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(networkFirst(request, SHELL_URL));
+  } else if (isCacheFirst(url.pathname)) {
+    event.respondWith(cacheFirst(request));
+  } else {
+    event.respondWith(networkFirst(request));
+  }
+});
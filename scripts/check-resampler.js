@@ -0,0 +1,127 @@
+/**
+ * check-resampler - Sine sweep fixture for src/utils/resampler.js
+ *
+ *   npm run check:resampler
+ *
+ * For each quality preset and common input rate, resamples to 16 kHz:
+ * - a passband sweep (50 Hz to 6 kHz), which must keep its level
+ * - a stopband sweep (8.5 kHz to just below the input Nyquist), which must
+ *   not fold back into the output as aliases
+ * and checks that block-by-block streaming (as in the AudioWorklet) matches
+ * resampling the whole buffer. Prints a table; exits with 1 on failure.
+ */
+
+import {
+  RESAMPLER_QUALITY,
+  Resampler,
+  resampleBuffer,
+} from "../src/utils/resampler.js";
+
+const OUTPUT_RATE = 16000;
+const INPUT_RATES = [48000, 44100, 22050];
+const SWEEP_SECONDS = 2;
+const BLOCK_SIZE = 128; // AudioWorklet render quantum
+
+const PASSBAND = { from: 50, to: 6000, maxErrorDb: 0.5 };
+const STOPBAND_FROM = 8500;
+
+// Highest alias level allowed per preset, relative to a full-scale sine
+const MAX_ALIAS_DB = { low: -50, medium: -70, high: -85 };
+
+/**
+ * Linear sine sweep at 0 dBFS
+ */
+function sweep(sampleRate, from, to, seconds = SWEEP_SECONDS) {
+  const length = Math.round(sampleRate * seconds);
+  const samples = new Float32Array(length);
+  const rate = (to - from) / seconds;
+  for (let i = 0; i < length; i++) {
+    const t = i / sampleRate;
+    samples[i] = Math.sin(2 * Math.PI * (from * t + (rate * t * t) / 2));
+  }
+  return samples;
+}
+
+/**
+ * Level in dB relative to a full-scale sine, skipping the edges where the
+ * kernel runs into the zero padding
+ */
+function levelDb(samples, skip) {
+  let sumSquares = 0;
+  const end = samples.length - skip;
+  for (let i = skip; i < end; i++) {
+    sumSquares += samples[i] * samples[i];
+  }
+  const rms = Math.sqrt(sumSquares / Math.max(1, end - skip));
+  return 20 * Math.log10(rms * Math.SQRT2 + 1e-12);
+}
+
+/**
+ * Largest difference between streamed and one-shot output
+ */
+function streamingError(input, inputRate, quality) {
+  const resampler = new Resampler(inputRate, OUTPUT_RATE, { quality });
+  const streamed = [];
+  for (let i = 0; i < input.length; i += BLOCK_SIZE) {
+    streamed.push(...resampler.process(input.subarray(i, i + BLOCK_SIZE)));
+  }
+  streamed.push(...resampler.flush());
+
+  const whole = resampleBuffer(input, inputRate, OUTPUT_RATE, quality);
+  let maxError = 0;
+  for (let i = 0; i < whole.length; i++) {
+    maxError = Math.max(maxError, Math.abs(whole[i] - (streamed[i] ?? 0)));
+  }
+  return maxError;
+}
+
+const rows = [];
+let failed = false;
+
+for (const quality of Object.keys(RESAMPLER_QUALITY)) {
+  for (const inputRate of INPUT_RATES) {
+    const skip = Math.round(OUTPUT_RATE * 0.05);
+
+    const pass = resampleBuffer(
+      sweep(inputRate, PASSBAND.from, PASSBAND.to),
+      inputRate,
+      OUTPUT_RATE,
+      quality
+    );
+    const passDb = levelDb(pass, skip);
+
+    const stopInput = sweep(inputRate, STOPBAND_FROM, inputRate / 2 - 500);
+    const aliasDb = levelDb(
+      resampleBuffer(stopInput, inputRate, OUTPUT_RATE, quality),
+      skip
+    );
+
+    const streamError = streamingError(
+      stopInput.subarray(0, inputRate / 4),
+      inputRate,
+      quality
+    );
+
+    const ok =
+      Math.abs(passDb) <= PASSBAND.maxErrorDb &&
+      aliasDb <= MAX_ALIAS_DB[quality] &&
+      streamError < 1e-6;
+    failed ||= !ok;
+
+    rows.push({
+      quality,
+      inputRate,
+      passbandDb: passDb.toFixed(2),
+      aliasDb: aliasDb.toFixed(1),
+      aliasLimitDb: MAX_ALIAS_DB[quality],
+      streamError: streamError.toExponential(1),
+      result: ok ? "ok" : "FAIL",
+    });
+  }
+}
+
+console.table(rows);
+if (failed) {
+  console.error("Resampler check failed");
+  process.exit(1);
+}
@@ -0,0 +1,236 @@
+/**
+ * fit-calibration - Fit a calibration file from labeled CLI results
+ *
+ *   npm run fit:calibration -- --labels labels.csv results.json [-o out.json]
+ *
+ * `results.json` is the JSON output of `audio-emotion analyze` on held-out
+ * clips, run with an identity calibration. `labels.csv` has one
+ * `file,label` row per clip; files are matched by name. Every voiced window
+ * of a labeled clip is one sample. Fits:
+ * - `temperature` and `bias` by minimizing negative log-likelihood
+ *   (temperature scaling with per-class bias)
+ * - `thresholds`: per class, the lowest calibrated probability at which
+ *   windows predicted as that class reach `--precision` (default 0.7);
+ *   classes that never do, or have too few predictions, get none
+ * Prints the fit to stderr and the calibration JSON to stdout or `-o`.
+ */
+
+import { readFile, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+const ITERATIONS = 3000;
+const LEARNING_RATE = 0.05;
+const BIAS_L2 = 0.01; // Keeps bias finite for classes with few samples
+const MIN_PREDICTIONS = 10; // Per class, before a threshold is fitted
+const EPSILON = 1e-9;
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    labels: { type: "string", short: "l" },
+    output: { type: "string", short: "o" },
+    precision: { type: "string", default: "0.7" },
+  },
+});
+
+const precisionTarget = Number(values.precision);
+if (!values.labels || positionals.length === 0) {
+  console.error(
+    "Usage: fit-calibration --labels <labels.csv> <results.json...> [-o out.json] [--precision 0.7]"
+  );
+  process.exit(2);
+}
+if (!(precisionTarget > 0 && precisionTarget <= 1)) {
+  console.error("--precision must be in (0, 1]");
+  process.exit(2);
+}
+
+function softmax(logits) {
+  const max = Math.max(...logits);
+  const exps = logits.map((value) => Math.exp(value - max));
+  const sum = exps.reduce((a, b) => a + b, 0);
+  return exps.map((value) => value / sum);
+}
+
+const argmax = (values) =>
+  values.reduce((best, value, i) => (value > values[best] ? i : best), 0);
+
+/**
+ * file name -> label, from `file,label` rows (a header row is skipped)
+ */
+async function readLabels(file) {
+  const labels = new Map();
+  for (const line of (await readFile(file, "utf8")).split(/\r?\n/)) {
+    const [name, label] = line.split(",").map((field) => field?.trim());
+    if (!name || !label || (labels.size === 0 && name === "file")) continue;
+    labels.set(path.basename(name), label);
+  }
+  return labels;
+}
+
+/**
+ * Log-probabilities and target class of every voiced, labeled window
+ */
+async function readSamples(resultFiles, fileLabels) {
+  let modelLabels = null;
+  const samples = [];
+
+  for (const file of resultFiles) {
+    const { model, files } = JSON.parse(await readFile(file, "utf8"));
+    if (model.calibrated) {
+      throw new Error(
+        `${file} was analyzed with a calibration; fit on uncalibrated output`
+      );
+    }
+    if (modelLabels && modelLabels.join() !== model.labels.join()) {
+      throw new Error(`${file} comes from a model with other labels`);
+    }
+    modelLabels = model.labels;
+
+    for (const report of files) {
+      const label = fileLabels.get(path.basename(report.file));
+      if (!label || report.error) continue;
+      const target = modelLabels.indexOf(label);
+      if (target === -1) {
+        throw new Error(`Label "${label}" is not one of the model's labels`);
+      }
+
+      for (const window of report.timeline) {
+        if (window.isSilence) continue;
+        samples.push({
+          logits: modelLabels.map((name) =>
+            Math.log(Math.max(window.rawEmotions[name] ?? 0, EPSILON))
+          ),
+          target,
+        });
+      }
+    }
+  }
+
+  return { modelLabels, samples };
+}
+
+const calibrate = (logits, scale, bias) =>
+  softmax(logits.map((value, k) => value * scale + bias[k]));
+
+/**
+ * Mean negative log-likelihood and accuracy of a calibration
+ */
+function evaluate(samples, scale, bias) {
+  let nll = 0;
+  let correct = 0;
+  for (const { logits, target } of samples) {
+    const probs = calibrate(logits, scale, bias);
+    nll -= Math.log(Math.max(probs[target], EPSILON));
+    if (argmax(probs) === target) correct++;
+  }
+  return { nll: nll / samples.length, accuracy: correct / samples.length };
+}
+
+/**
+ * Gradient descent on 1 / temperature and bias; the loss is convex in both
+ */
+function fitScaling(samples, classCount) {
+  let scale = 1;
+  const bias = new Array(classCount).fill(0);
+
+  for (let step = 0; step < ITERATIONS; step++) {
+    let scaleGrad = 0;
+    const biasGrad = bias.map((value) => BIAS_L2 * value);
+    for (const { logits, target } of samples) {
+      const probs = calibrate(logits, scale, bias);
+      for (let k = 0; k < classCount; k++) {
+        const error = probs[k] - (k === target ? 1 : 0);
+        scaleGrad += (error * logits[k]) / samples.length;
+        biasGrad[k] += error / samples.length;
+      }
+    }
+    scale = Math.max(0.01, scale - LEARNING_RATE * scaleGrad);
+    for (let k = 0; k < classCount; k++) {
+      bias[k] -= LEARNING_RATE * biasGrad[k];
+    }
+  }
+
+  // Softmax ignores a shared offset; center the bias for readability
+  const mean = bias.reduce((a, b) => a + b, 0) / classCount;
+  return { scale, bias: bias.map((value) => value - mean) };
+}
+
+/**
+ * Lowest probability at which predictions of a class reach the target
+ * precision, or null
+ */
+function fitThreshold(predictions, classCount) {
+  if (predictions.length < MIN_PREDICTIONS) return null;
+
+  // Most confident first; precision of "probability >= p" for each p
+  predictions.sort((a, b) => b.probability - a.probability);
+  let correct = 0;
+  let threshold = null;
+  predictions.forEach(({ probability, isCorrect }, i) => {
+    if (isCorrect) correct++;
+    if (correct / (i + 1) >= precisionTarget) threshold = probability;
+  });
+
+  // A dominant class always has at least 1 / classCount
+  return threshold !== null && threshold > 1 / classCount ? threshold : null;
+}
+
+const round = (value, digits) => Number(value.toFixed(digits));
+
+const fileLabels = await readLabels(values.labels);
+const { modelLabels, samples } = await readSamples(positionals, fileLabels);
+if (samples.length === 0) {
+  console.error("No voiced windows of labeled files found");
+  process.exit(1);
+}
+
+const classCount = modelLabels.length;
+const before = evaluate(samples, 1, new Array(classCount).fill(0));
+const { scale, bias } = fitScaling(samples, classCount);
+const after = evaluate(samples, scale, bias);
+
+const predictions = modelLabels.map(() => []);
+for (const { logits, target } of samples) {
+  const probs = calibrate(logits, scale, bias);
+  const predicted = argmax(probs);
+  predictions[predicted].push({
+    probability: probs[predicted],
+    isCorrect: predicted === target,
+  });
+}
+
+const calibration = {
+  temperature: round(1 / scale, 3),
+  bias: Object.fromEntries(
+    modelLabels.map((label, k) => [label, round(bias[k], 3)])
+  ),
+  thresholds: {},
+};
+modelLabels.forEach((label, k) => {
+  const threshold = fitThreshold(predictions[k], classCount);
+  if (threshold !== null) {
+    calibration.thresholds[label] = round(Math.min(1, threshold), 2);
+  }
+});
+
+console.error(
+  `${samples.length} windows: NLL ${before.nll.toFixed(
+    3
+  )} -> ${after.nll.toFixed(3)}, accuracy ${(before.accuracy * 100).toFixed(
+    1
+  )}% -> ${(after.accuracy * 100).toFixed(1)}%`
+);
+console.error(
+  `Thresholds for ${
+    Object.keys(calibration.thresholds).join(", ") || "no classes"
+  } (precision ${precisionTarget})`
+);
+
+const json = JSON.stringify(calibration, null, 2) + "\n";
+if (values.output) {
+  await writeFile(values.output, json);
+} else {
+  process.stdout.write(json);
+}
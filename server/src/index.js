@@ -20,6 +20,8 @@ import predictionRoutes from "./routes/predictions.js";
 import userRoutes from "./routes/users.js";
 import tagRoutes from "./routes/tags.js";
 import statsRoutes from "./routes/stats.js";
+import analyzeRoutes from "./routes/analyze.js";
+import alertRoutes from "./routes/alerts.js";
 
 // Import middleware
 import { errorHandler } from "./middleware/errorHandler.js";
@@ -75,6 +77,8 @@ app.use("/api/predictions", predictionRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/tags", tagRoutes);
 app.use("/api/stats", statsRoutes);
+app.use("/api/analyze", analyzeRoutes);
+app.use("/api/alerts", alertRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -0,0 +1,173 @@
+/**
+ * Server-side Analysis
+ * Runs uploaded audio through the emotion model with onnxruntime-node
+ *
+ * The pipeline is the web app's own file analysis, built for Node into
+ * dist/analysis.js by this package's `npm run build` (run before `npm start`
+ * and `npm run dev`), so uploads get the same predictions as the File
+ * Analyzer. One model instance is shared, and jobs run one at a time in
+ * upload order.
+ */
+
+import { randomUUID } from "node:crypto";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { AppError } from "../middleware/errorHandler.js";
+
+const SERVER_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../.."
+);
+const ANALYSIS_MODULE = path.join(SERVER_DIR, "dist/analysis.js");
+// The app's default model, as served from the web app's public/
+const DEFAULT_MODEL_MANIFEST = path.join(
+  SERVER_DIR,
+  "../public/models/emotion_model.json"
+);
+
+// Finished jobs stay queryable this long
+const JOB_TTL_MS = 60 * 60 * 1000;
+
+export const MAX_QUEUED_JOBS = parseInt(process.env.ANALYZE_MAX_QUEUE) || 10;
+
+let analysisModule = null;
+let enginePromise = null;
+let queue = Promise.resolve();
+const jobs = new Map(); // id -> job
+
+/**
+ * Import the built analysis pipeline
+ */
+async function loadAnalysisModule() {
+  if (!analysisModule) {
+    analysisModule = import(ANALYSIS_MODULE).catch((error) => {
+      analysisModule = null;
+      if (error.code === "ERR_MODULE_NOT_FOUND") {
+        throw new AppError(
+          "Server-side analysis is not built; run `npm run build` in server/",
+          503
+        );
+      }
+      throw error;
+    });
+  }
+  return analysisModule;
+}
+
+/**
+ * Shared engine for the model in ANALYSIS_MODEL_MANIFEST (or the app default)
+ */
+async function getEngine() {
+  if (!enginePromise) {
+    enginePromise = loadAnalysisModule()
+      .then(({ loadNodeEngine }) =>
+        loadNodeEngine(
+          process.env.ANALYSIS_MODEL_MANIFEST || DEFAULT_MODEL_MANIFEST
+        )
+      )
+      .catch((error) => {
+        enginePromise = null;
+        if (error instanceof AppError) throw error;
+        throw new AppError(`Emotion model unavailable: ${error.message}`, 503);
+      });
+  }
+  return enginePromise;
+}
+
+/**
+ * Decode an uploaded WAV or FLAC file
+ * @param {string} file - Path to the upload
+ * @returns {Promise<Object>} - Mono audio with `sampleRate` and `duration`
+ */
+export async function decodeUpload(file) {
+  const { decodeAudioFile } = await loadAnalysisModule();
+  try {
+    return await decodeAudioFile(file);
+  } catch (error) {
+    throw new AppError(`Could not decode audio: ${error.message}`, 400);
+  }
+}
+
+/**
+ * Client-facing view of a job
+ */
+export function serializeJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    fileName: job.fileName,
+    duration: job.duration,
+    sessionId: job.sessionId,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+/**
+ * Queue decoded audio for analysis
+ * @param {Object} options
+ * @param {string} options.userId - Owner of the job
+ * @param {string} options.fileName - Original file name
+ * @param {Object} options.audio - Result of decodeUpload
+ * @param {(result: Object) => Promise<string>} options.save - Stores the
+ *   analysis and returns the new session id
+ * @returns {Object} - The job; `job.done` settles when it finishes
+ */
+export function enqueueAnalysis({ userId, fileName, audio, save }) {
+  const pending = Array.from(jobs.values()).filter(
+    (job) => job.status === "queued" || job.status === "running"
+  );
+  if (pending.length >= MAX_QUEUED_JOBS) {
+    throw new AppError("Analysis queue is full, please try again later", 503);
+  }
+
+  const job = {
+    id: randomUUID(),
+    userId,
+    status: "queued",
+    fileName,
+    duration: audio.duration,
+    sessionId: null,
+    error: null,
+    failure: null, // The Error itself, for the uploading request
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+  };
+  jobs.set(job.id, job);
+
+  const run = async () => {
+    job.status = "running";
+    job.startedAt = new Date();
+    try {
+      const engine = await getEngine();
+      const { analyzeWithEngine } = await loadAnalysisModule();
+      const result = await analyzeWithEngine(engine, audio);
+      job.sessionId = await save(result);
+      job.status = "completed";
+    } catch (error) {
+      console.error(`Analysis job ${job.id} failed:`, error);
+      job.status = "failed";
+      job.error = error.message;
+      job.failure = error;
+    } finally {
+      job.finishedAt = new Date();
+      audio = null;
+      setTimeout(() => jobs.delete(job.id), JOB_TTL_MS).unref();
+    }
+  };
+
+  job.done = queue.then(run);
+  queue = job.done;
+  return job;
+}
+
+/**
+ * Look up a job owned by a user
+ */
+export function getJob(id, userId) {
+  const job = jobs.get(id);
+  return job && job.userId === userId ? job : null;
+}
@@ -0,0 +1,26 @@
+/**
+ * Mood Quadrants
+ * Mirrors getMoodQuadrant in src/utils/dimensions.js
+ */
+
+export const MOOD_QUADRANTS = [
+  "excited",
+  "relaxed",
+  "stressed",
+  "depressed",
+  "neutral",
+];
+
+// Predictions this close to the origin count as neutral
+const NEUTRAL_RADIUS = 0.15;
+
+/**
+ * Circumplex quadrant of a valence / arousal pair (both in [-1, 1])
+ * @returns {string|null} - null when the prediction has no dimensions
+ */
+export function getMoodQuadrant(valence, arousal) {
+  if (valence == null || arousal == null) return null;
+  if (Math.hypot(valence, arousal) < NEUTRAL_RADIUS) return "neutral";
+  if (valence >= 0) return arousal >= 0 ? "excited" : "relaxed";
+  return arousal >= 0 ? "stressed" : "depressed";
+}
@@ -0,0 +1,182 @@
+/**
+ * Alert Webhooks
+ * Forwards recorded alert events to the URL configured on their rule
+ *
+ * Webhook URLs are user input, so every delivery resolves the host first and
+ * refuses loopback, link-local and private addresses, redirects are not
+ * followed, and each rule is held to its cooldown on the server. Deliveries
+ * connect through an agent that checks the addresses it connects to again,
+ * so a host can't pass the check and then resolve to a private address.
+ */
+
+import { lookup as lookupCallback } from "node:dns";
+import { lookup } from "node:dns/promises";
+import { BlockList, isIP } from "node:net";
+import { Agent, fetch } from "undici";
+import prisma from "./prisma.js";
+import { AppError } from "../middleware/errorHandler.js";
+
+const WEBHOOK_TIMEOUT_MS = 5000;
+// Floor for the per-rule cooldown, so a cooldown of 0 can't flood a target
+const MIN_WEBHOOK_INTERVAL_SECONDS = 10;
+
+// Addresses a webhook may never reach
+const blockedAddresses = new BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8], // "This" network
+  ["10.0.0.0", 8], // Private
+  ["100.64.0.0", 10], // Carrier-grade NAT
+  ["127.0.0.0", 8], // Loopback
+  ["169.254.0.0", 16], // Link-local, cloud metadata
+  ["172.16.0.0", 12], // Private
+  ["192.0.0.0", 24], // IETF protocol assignments
+  ["192.168.0.0", 16], // Private
+  ["198.18.0.0", 15], // Benchmarking
+  ["224.0.0.0", 4], // Multicast
+  ["240.0.0.0", 4], // Reserved, broadcast
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 128], // Unspecified
+  ["::1", 128], // Loopback
+  ["64:ff9b::", 96], // NAT64
+  ["fc00::", 7], // Unique local
+  ["fe80::", 10], // Link-local
+  ["ff00::", 8], // Multicast
+]) {
+  blockedAddresses.addSubnet(network, prefix, "ipv6");
+}
+
+const isBlocked = ({ address }) =>
+  blockedAddresses.check(address, isIP(address) === 6 ? "ipv6" : "ipv4");
+
+/**
+ * dns.lookup for webhook sockets that fails on blocked addresses
+ * Runs when the socket connects, on the addresses it will connect to.
+ */
+function lookupPublicAddress(hostname, options, callback) {
+  lookupCallback(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    if (addresses.length === 0 || addresses.some(isBlocked)) {
+      return callback(
+        new Error(`Webhook host ${hostname} resolves to a blocked address`)
+      );
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookAgent = new Agent({ connect: { lookup: lookupPublicAddress } });
+
+/**
+ * Check that a webhook URL points at a public http(s) host
+ * @param {string} url
+ * @throws {AppError} 400 if the host is private or can't be resolved
+ */
+export async function assertPublicWebhookUrl(url) {
+  const { protocol, hostname } = new URL(url);
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw new AppError("Webhook URL must use http or https", 400);
+  }
+
+  const host = hostname.replace(/^\[(.*)\]$/, "$1");
+  let addresses;
+  try {
+    addresses = await lookup(host, { all: true });
+  } catch {
+    throw new AppError(`Webhook host ${host} could not be resolved`, 400);
+  }
+
+  if (addresses.length === 0 || addresses.some(isBlocked)) {
+    throw new AppError(
+      "Webhook URL must not point at a local or private network address",
+      400
+    );
+  }
+}
+
+/**
+ * Take the rule's webhook slot if its cooldown has passed
+ * A conditional update, so concurrent events can't both deliver.
+ * @returns {Promise<boolean>}
+ */
+async function claimWebhookSlot(rule) {
+  const cooldownSeconds = Math.max(
+    rule.cooldownSeconds ?? 0,
+    MIN_WEBHOOK_INTERVAL_SECONDS
+  );
+  const now = new Date();
+  const cutoff = new Date(now.getTime() - cooldownSeconds * 1000);
+
+  const { count } = await prisma.alertRule.updateMany({
+    where: {
+      id: rule.id,
+      OR: [{ lastWebhookAt: null }, { lastWebhookAt: { lt: cutoff } }],
+    },
+    data: { lastWebhookAt: now },
+  });
+  return count === 1;
+}
+
+/**
+ * POST an alert event to its rule's webhook and store the response status
+ * Never throws; a skipped, refused or unreachable delivery leaves
+ * `webhookStatus` null. Redirects are not followed: a 3xx is stored as is.
+ * @param {Object} event - AlertEvent
+ * @param {Object} rule - AlertRule with a webhookUrl
+ * @param {Object} user - { id, name }
+ */
+export async function deliverAlertWebhook(event, rule, user) {
+  let status = null;
+
+  try {
+    if (!(await claimWebhookSlot(rule))) {
+      console.log(`Alert webhook for rule ${rule.id} skipped (cooldown)`);
+      return null;
+    }
+
+    // Checked on every delivery: DNS may have changed since the rule was saved.
+    // IP literals skip the agent's lookup, so this check covers them.
+    await assertPublicWebhookUrl(rule.webhookUrl);
+
+    const response = await fetch(rule.webhookUrl, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({
+        type: "emotion.alert",
+        event: {
+          id: event.id,
+          sessionId: event.sessionId,
+          emotion: event.emotion,
+          value: event.value,
+          message: event.message,
+          triggeredAt: event.triggeredAt,
+        },
+        rule: {
+          id: rule.id,
+          name: rule.name,
+          type: rule.type,
+          emotion: rule.emotion,
+        },
+        user: { id: user.id, name: user.name },
+      }),
+      redirect: "manual",
+      dispatcher: webhookAgent,
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    status = response.status;
+  } catch (error) {
+    console.error(`Alert webhook for rule ${rule.id} failed:`, error.message);
+  }
+
+  if (status !== null) {
+    await prisma.alertEvent
+      .update({ where: { id: event.id }, data: { webhookStatus: status } })
+      .catch((error) =>
+        console.error("Failed to store webhook status:", error.message)
+      );
+  }
+  return status;
+}
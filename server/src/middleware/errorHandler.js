@@ -32,6 +32,14 @@ export function errorHandler(err, req, res, next) {
     });
   }
 
+  // Upload errors
+  if (err.name === "MulterError") {
+    return res.status(err.code === "LIMIT_FILE_SIZE" ? 413 : 400).json({
+      error: err.message,
+      field: err.field,
+    });
+  }
+
   // Zod validation errors
   if (err.name === "ZodError") {
     return res.status(400).json({
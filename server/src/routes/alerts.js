@@ -0,0 +1,235 @@
+/**
+ * Alert Routes
+ * Emotion alert rules (evaluated on the client) and recorded alert events
+ */
+
+import { Router } from "express";
+import { z } from "zod";
+import prisma from "../lib/prisma.js";
+import { asyncHandler, AppError } from "../middleware/errorHandler.js";
+import { authenticate } from "../middleware/auth.js";
+import {
+  assertPublicWebhookUrl,
+  deliverAlertWebhook,
+} from "../lib/webhooks.js";
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+// Validation schemas
+const ruleFieldsSchema = z.object({
+  name: z.string().min(1).max(100),
+  enabled: z.boolean().optional(),
+  type: z.enum(["THRESHOLD", "DOMINANT_COUNT"]),
+  emotion: z.string().min(1).max(50),
+  threshold: z.number().min(0).max(1).nullable().optional(),
+  durationSeconds: z.number().min(0).max(3600).nullable().optional(),
+  count: z.number().int().min(1).max(100).nullable().optional(),
+  windowSeconds: z.number().positive().max(3600).nullable().optional(),
+  cooldownSeconds: z.number().int().min(0).max(86400).optional(),
+  notifyDesktop: z.boolean().optional(),
+  recordEvent: z.boolean().optional(),
+  webhookUrl: z
+    .string()
+    .url()
+    .max(500)
+    .regex(/^https?:\/\//, "Webhook URL must use http or https")
+    .nullable()
+    .optional(),
+});
+
+const createEventSchema = z.object({
+  ruleId: z.string(),
+  sessionId: z.string().nullable().optional(),
+  emotion: z.string().max(50),
+  value: z.number().optional(),
+  message: z.string().max(500),
+  triggeredAt: z.string().datetime().optional(),
+});
+
+/**
+ * Check the fields the rule's type needs
+ * @throws {AppError} 400 when one is missing
+ */
+function assertRuleComplete(rule) {
+  const required =
+    rule.type === "THRESHOLD"
+      ? ["threshold", "durationSeconds"]
+      : ["count", "windowSeconds"];
+  const missing = required.filter((field) => rule[field] == null);
+
+  if (missing.length > 0) {
+    throw new AppError(`${rule.type} rules need ${missing.join(" and ")}`, 400);
+  }
+}
+
+async function findRule(id, userId) {
+  const rule = await prisma.alertRule.findFirst({
+    where: { id, userId },
+  });
+
+  if (!rule) {
+    throw new AppError("Alert rule not found", 404);
+  }
+  return rule;
+}
+
+/**
+ * GET /api/alerts/rules
+ * Get the current user's alert rules
+ */
+router.get(
+  "/rules",
+  asyncHandler(async (req, res) => {
+    const rules = await prisma.alertRule.findMany({
+      where: { userId: req.user.id },
+      orderBy: { createdAt: "asc" },
+    });
+
+    res.json({ rules });
+  })
+);
+
+/**
+ * POST /api/alerts/rules
+ * Create alert rule
+ */
+router.post(
+  "/rules",
+  asyncHandler(async (req, res) => {
+    const data = ruleFieldsSchema.parse(req.body);
+    assertRuleComplete(data);
+    if (data.webhookUrl) {
+      await assertPublicWebhookUrl(data.webhookUrl);
+    }
+
+    const rule = await prisma.alertRule.create({
+      data: {
+        ...data,
+        userId: req.user.id,
+      },
+    });
+
+    res.status(201).json({ rule });
+  })
+);
+
+/**
+ * PATCH /api/alerts/rules/:id
+ * Update alert rule
+ */
+router.patch(
+  "/rules/:id",
+  asyncHandler(async (req, res) => {
+    const data = ruleFieldsSchema.partial().parse(req.body);
+
+    const existing = await findRule(req.params.id, req.user.id);
+    assertRuleComplete({ ...existing, ...data });
+    if (data.webhookUrl) {
+      await assertPublicWebhookUrl(data.webhookUrl);
+    }
+
+    const rule = await prisma.alertRule.update({
+      where: { id: existing.id },
+      data,
+    });
+
+    res.json({ rule });
+  })
+);
+
+/**
+ * DELETE /api/alerts/rules/:id
+ * Delete alert rule and its events
+ */
+router.delete(
+  "/rules/:id",
+  asyncHandler(async (req, res) => {
+    const existing = await findRule(req.params.id, req.user.id);
+
+    await prisma.alertRule.delete({
+      where: { id: existing.id },
+    });
+
+    res.json({ message: "Alert rule deleted" });
+  })
+);
+
+/**
+ * GET /api/alerts/events
+ * Get recent alert events, newest first
+ */
+router.get(
+  "/events",
+  asyncHandler(async (req, res) => {
+    const { limit = 50, sessionId } = req.query;
+
+    const events = await prisma.alertEvent.findMany({
+      where: {
+        userId: req.user.id,
+        ...(sessionId && { sessionId }),
+      },
+      orderBy: { triggeredAt: "desc" },
+      take: parseInt(limit),
+      include: {
+        rule: {
+          select: {
+            id: true,
+            name: true,
+          },
+        },
+      },
+    });
+
+    res.json({ events });
+  })
+);
+
+/**
+ * POST /api/alerts/events
+ * Record an alert that fired on the client; the rule's webhook, if any, is
+ * called in the background, at most once per cooldown
+ */
+router.post(
+  "/events",
+  asyncHandler(async (req, res) => {
+    const data = createEventSchema.parse(req.body);
+
+    const rule = await findRule(data.ruleId, req.user.id);
+
+    // Only link sessions the user owns
+    let sessionId = null;
+    if (data.sessionId) {
+      const session = await prisma.session.findFirst({
+        where: { id: data.sessionId, userId: req.user.id },
+        select: { id: true },
+      });
+      sessionId = session?.id ?? null;
+    }
+
+    const event = await prisma.alertEvent.create({
+      data: {
+        ruleId: rule.id,
+        userId: req.user.id,
+        sessionId,
+        emotion: data.emotion,
+        value: data.value,
+        message: data.message,
+        triggeredAt: data.triggeredAt ? new Date(data.triggeredAt) : new Date(),
+      },
+    });
+
+    if (rule.webhookUrl) {
+      deliverAlertWebhook(event, rule, {
+        id: req.user.id,
+        name: req.user.name,
+      });
+    }
+
+    res.status(201).json({ event });
+  })
+);
+
+export default router;
@@ -0,0 +1,168 @@
+/**
+ * Analysis Routes
+ * Server-side emotion analysis of uploaded audio
+ */
+
+import { Router } from "express";
+import { rm } from "node:fs/promises";
+import os from "node:os";
+import multer from "multer";
+import { z } from "zod";
+import prisma from "../lib/prisma.js";
+import { asyncHandler, AppError } from "../middleware/errorHandler.js";
+import { authenticate } from "../middleware/auth.js";
+import { getMoodQuadrant } from "../lib/mood.js";
+import {
+  decodeUpload,
+  enqueueAnalysis,
+  getJob,
+  serializeJob,
+} from "../lib/analysis.js";
+
+const router = Router();
+
+// All routes require authentication
+router.use(authenticate);
+
+const MAX_UPLOAD_MB = parseInt(process.env.ANALYZE_MAX_UPLOAD_MB) || 100;
+
+// Files up to this long are answered directly; longer ones are polled
+const SYNC_MAX_SECONDS = parseInt(process.env.ANALYZE_SYNC_SECONDS) || 30;
+
+const upload = multer({
+  dest: os.tmpdir(),
+  limits: { fileSize: MAX_UPLOAD_MB * 1024 * 1024, files: 1 },
+});
+
+// Validation schemas
+const analyzeSchema = z.object({
+  name: z.string().max(200).optional(),
+  description: z.string().optional(),
+});
+
+/**
+ * Store an analysis as a completed session with one prediction per window
+ */
+async function saveAnalysis(userId, data, file, result) {
+  const startTime = new Date();
+  const inferenceTime = result.inferenceTime / result.windowsProcessed;
+
+  const session = await prisma.session.create({
+    data: {
+      userId,
+      name: data.name || file.fileName,
+      description: data.description,
+      startTime,
+      endTime: new Date(startTime.getTime() + file.duration * 1000),
+      duration: Math.round(file.duration),
+      status: "COMPLETED",
+      dominantEmotion: result.dominant,
+      averageConfidence: result.confidence,
+      emotionSummary: result.emotions,
+      predictions: {
+        createMany: {
+          data: result.timeline.map((window) => ({
+            timestamp: new Date(startTime.getTime() + window.start * 1000),
+            dominant: window.dominant,
+            confidence: window.confidence,
+            emotions: window.emotions,
+            valence: window.dimensions.valence,
+            arousal: window.dimensions.arousal,
+            dominance: window.dimensions.dominance,
+            quadrant: getMoodQuadrant(
+              window.dimensions.valence,
+              window.dimensions.arousal
+            ),
+            modelId: result.modelId,
+            inferenceTime,
+          })),
+        },
+      },
+    },
+  });
+
+  return session.id;
+}
+
+/**
+ * POST /api/analyze
+ * Analyze an uploaded WAV or FLAC file (multipart field "audio")
+ * Short files return the new session (201); longer ones return a job to
+ * poll (202).
+ */
+router.post(
+  "/",
+  upload.single("audio"),
+  asyncHandler(async (req, res) => {
+    if (!req.file) {
+      throw new AppError('No audio file uploaded (field "audio")', 400);
+    }
+
+    let audio;
+    try {
+      audio = await decodeUpload(req.file.path);
+    } finally {
+      await rm(req.file.path, { force: true });
+    }
+
+    const data = analyzeSchema.parse(req.body);
+    const details = {
+      fileName: req.file.originalname,
+      duration: audio.duration,
+    };
+    const job = enqueueAnalysis({
+      userId: req.user.id,
+      fileName: details.fileName,
+      audio,
+      save: (result) => saveAnalysis(req.user.id, data, details, result),
+    });
+
+    if (details.duration > SYNC_MAX_SECONDS) {
+      return res
+        .status(202)
+        .location(`${req.baseUrl}/jobs/${job.id}`)
+        .json({ job: serializeJob(job) });
+    }
+
+    await job.done;
+    if (job.status === "failed") {
+      throw job.failure;
+    }
+
+    const session = await prisma.session.findUnique({
+      where: { id: job.sessionId },
+      include: {
+        _count: {
+          select: { predictions: true },
+        },
+      },
+    });
+
+    res.status(201).json({
+      job: serializeJob(job),
+      session: {
+        ...session,
+        predictionCount: session._count.predictions,
+      },
+    });
+  })
+);
+
+/**
+ * GET /api/analyze/jobs/:id
+ * Status of an analysis job; `sessionId` is set once it completes
+ */
+router.get(
+  "/jobs/:id",
+  asyncHandler(async (req, res) => {
+    const job = getJob(req.params.id, req.user.id);
+
+    if (!job) {
+      throw new AppError("Analysis job not found", 404);
+    }
+
+    res.json({ job: serializeJob(job) });
+  })
+);
+
+export default router;
@@ -7,6 +7,7 @@ import { z } from "zod";
 import prisma from "../lib/prisma.js";
 import { asyncHandler, AppError } from "../middleware/errorHandler.js";
 import { authenticate } from "../middleware/auth.js";
+import { getMoodQuadrant } from "../lib/mood.js";
 
 const router = Router();
 
@@ -14,26 +15,42 @@ const router = Router();
 router.use(authenticate);
 
 // Validation schemas
-const createPredictionSchema = z.object({
-  sessionId: z.string(),
+const dimension = z.number().min(-1).max(1).optional();
+
+const predictionSchema = z.object({
   dominant: z.string(),
   confidence: z.number().min(0).max(1),
   emotions: z.record(z.number()),
+  valence: dimension,
+  arousal: dimension,
+  dominance: dimension,
+  modelId: z.string().max(100).optional(),
   inferenceTime: z.number().optional(),
   timestamp: z.string().datetime().optional(),
 });
 
+const createPredictionSchema = predictionSchema.extend({
+  sessionId: z.string(),
+});
+
 const batchPredictionSchema = z.object({
   sessionId: z.string(),
-  predictions: z.array(
-    z.object({
-      dominant: z.string(),
-      confidence: z.number().min(0).max(1),
-      emotions: z.record(z.number()),
-      inferenceTime: z.number().optional(),
-      timestamp: z.string().datetime().optional(),
-    })
-  ),
+  predictions: z.array(predictionSchema),
+});
+
+// Prediction columns shared by single and batch creation
+const toPredictionData = (sessionId, p) => ({
+  sessionId,
+  dominant: p.dominant,
+  confidence: p.confidence,
+  emotions: p.emotions,
+  valence: p.valence,
+  arousal: p.arousal,
+  dominance: p.dominance,
+  quadrant: getMoodQuadrant(p.valence, p.arousal),
+  modelId: p.modelId,
+  inferenceTime: p.inferenceTime,
+  timestamp: p.timestamp ? new Date(p.timestamp) : new Date(),
 });
 
 /**
@@ -59,14 +76,7 @@ router.post(
     }
 
     const prediction = await prisma.emotionPrediction.create({
-      data: {
-        sessionId: data.sessionId,
-        dominant: data.dominant,
-        confidence: data.confidence,
-        emotions: data.emotions,
-        inferenceTime: data.inferenceTime,
-        timestamp: data.timestamp ? new Date(data.timestamp) : new Date(),
-      },
+      data: toPredictionData(data.sessionId, data),
     });
 
     res.status(201).json({ prediction });
@@ -96,14 +106,7 @@ router.post(
 
     // Create all predictions
     const predictions = await prisma.emotionPrediction.createMany({
-      data: data.predictions.map((p) => ({
-        sessionId: data.sessionId,
-        dominant: p.dominant,
-        confidence: p.confidence,
-        emotions: p.emotions,
-        inferenceTime: p.inferenceTime,
-        timestamp: p.timestamp ? new Date(p.timestamp) : new Date(),
-      })),
+      data: data.predictions.map((p) => toPredictionData(data.sessionId, p)),
     });
 
     res.status(201).json({
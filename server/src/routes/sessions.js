@@ -17,6 +17,8 @@ router.use(authenticate);
 const createSessionSchema = z.object({
   name: z.string().optional(),
   description: z.string().optional(),
+  // For sessions saved after the fact, e.g. a recorded face timeline
+  startTime: z.string().datetime().optional(),
 });
 
 const updateSessionSchema = z.object({
@@ -130,6 +132,7 @@ router.post(
         userId: req.user.id,
         name: data.name || `Session ${new Date().toLocaleDateString()}`,
         description: data.description,
+        ...(data.startTime && { startTime: new Date(data.startTime) }),
         status: "ACTIVE",
       },
     });
@@ -6,6 +6,7 @@ import { Router } from "express";
 import prisma from "../lib/prisma.js";
 import { asyncHandler } from "../middleware/errorHandler.js";
 import { authenticate } from "../middleware/auth.js";
+import { MOOD_QUADRANTS } from "../lib/mood.js";
 
 const router = Router();
 
@@ -154,6 +155,92 @@ router.get(
   })
 );
 
+/**
+ * GET /api/stats/mood
+ * Get valence / arousal / dominance averages and mood quadrant counts by day
+ */
+router.get(
+  "/mood",
+  asyncHandler(async (req, res) => {
+    const userId = req.user.id;
+    const { days = 30 } = req.query;
+
+    const startDate = new Date();
+    startDate.setDate(startDate.getDate() - parseInt(days));
+
+    const where = {
+      session: { userId },
+      timestamp: { gte: startDate },
+      quadrant: { not: null },
+    };
+
+    const [predictions, quadrantCounts] = await Promise.all([
+      prisma.emotionPrediction.findMany({
+        where,
+        select: {
+          timestamp: true,
+          valence: true,
+          arousal: true,
+          dominance: true,
+          quadrant: true,
+        },
+        orderBy: { timestamp: "asc" },
+      }),
+      prisma.emotionPrediction.groupBy({
+        by: ["quadrant"],
+        where,
+        _count: true,
+      }),
+    ]);
+
+    const emptyCounts = () =>
+      MOOD_QUADRANTS.reduce((acc, quadrant) => {
+        acc[quadrant] = 0;
+        return acc;
+      }, {});
+
+    const quadrantDistribution = emptyCounts();
+    for (const item of quadrantCounts) {
+      quadrantDistribution[item.quadrant] = item._count;
+    }
+
+    // Group by day
+    const dailyMood = {};
+
+    for (const pred of predictions) {
+      const day = pred.timestamp.toISOString().split("T")[0];
+
+      if (!dailyMood[day]) {
+        dailyMood[day] = {
+          date: day,
+          count: 0,
+          quadrants: emptyCounts(),
+          totals: { valence: 0, arousal: 0, dominance: 0 },
+        };
+      }
+
+      dailyMood[day].count++;
+      dailyMood[day].quadrants[pred.quadrant]++;
+      dailyMood[day].totals.valence += pred.valence;
+      dailyMood[day].totals.arousal += pred.arousal;
+      dailyMood[day].totals.dominance += pred.dominance ?? 0;
+    }
+
+    const timeline = Object.values(dailyMood).map((day) => ({
+      date: day.date,
+      predictions: day.count,
+      quadrants: day.quadrants,
+      averages: {
+        valence: day.totals.valence / day.count,
+        arousal: day.totals.arousal / day.count,
+        dominance: day.totals.dominance / day.count,
+      },
+    }));
+
+    res.json({ quadrantDistribution, timeline });
+  })
+);
+
 /**
  * GET /api/stats/sessions
  * Get session statistics
@@ -0,0 +1,29 @@
+import { defineConfig } from "vite";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+
+const serverDir = path.dirname(fileURLToPath(import.meta.url));
+
+// Node build of the web app's file analysis pipeline (src/cli/analysis.js)
+// for /api/analyze: `npm run build` here, run by `npm start` / `npm run dev`.
+// Its runtime packages are this package's dependencies and stay external.
+export default defineConfig({
+  root: serverDir,
+  publicDir: false,
+  build: {
+    ssr: path.resolve(serverDir, "../src/cli/analysis.js"),
+    target: "node18",
+    outDir: "dist",
+    emptyOutDir: true,
+    rollupOptions: {
+      external: [
+        "onnxruntime-node",
+        "onnxruntime-web",
+        "@wasm-audio-decoders/flac",
+      ],
+      output: {
+        entryFileNames: "analysis.js",
+      },
+    },
+  },
+});
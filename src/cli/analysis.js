@@ -0,0 +1,197 @@
+/**
+ * Node Analysis - File analysis outside the browser
+ *
+ * Loads a model manifest from disk into an EmotionEngine backed by
+ * onnxruntime-node and runs files through analyzeWithEngine, the same
+ * windowing, preprocessing and smoothing as the browser's file analysis.
+ * Audio is decoded at its own rate with the decoders in audioDecode.js, so
+ * WAV and FLAC files give the same results as in the browser.
+ *
+ * Built to dist-cli/analysis.js for other Node code too; the API server
+ * builds its own copy (server/vite.analysis.config.js) for /api/analyze.
+ *
+ * onnxruntime-node and @wasm-audio-decoders/flac are optional dependencies;
+ * they're imported on first use and reported clearly when missing.
+ */
+
+import { createHash } from "node:crypto";
+import { readFile } from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { EmotionEngine } from "../utils/EmotionEngine";
+import {
+  decodeWav,
+  isFlac,
+  isWav,
+  toAnalysisBuffer,
+} from "../utils/audioDecode";
+import {
+  IDENTITY_CALIBRATION,
+  normalizeCalibration,
+} from "../utils/calibration";
+import { analyzeWithEngine } from "../utils/fileInference";
+import { ModelIntegrityError } from "../utils/modelCache";
+import { normalizeManifest } from "../utils/modelRegistry";
+
+// Bundled next to the package root (dist-cli/), like public/
+export const DEFAULT_MANIFEST_PATH = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../public/models/emotion_model.json"
+);
+
+export const SUPPORTED_EXTENSIONS = [".wav", ".flac"];
+
+/**
+ * Import an optional dependency, naming the package when it's missing
+ */
+async function importOptional(load, name, purpose) {
+  try {
+    return await load();
+  } catch (error) {
+    if (error.code === "ERR_MODULE_NOT_FOUND") {
+      throw new Error(`${purpose} needs ${name}; run \`npm install ${name}\``);
+    }
+    throw error;
+  }
+}
+
+const readJson = async (file, description) => {
+  try {
+    return JSON.parse(await readFile(file, "utf8"));
+  } catch (error) {
+    throw new Error(`Failed to read ${description} ${file}: ${error.message}`);
+  }
+};
+
+/**
+ * Local path of a file named by a manifest
+ */
+function toLocalPath(url) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(url) && !url.startsWith("file:")) {
+    throw new Error(
+      `${url} is not a local file; download it next to the manifest first`
+    );
+  }
+  return url.startsWith("file:") ? fileURLToPath(url) : url;
+}
+
+/**
+ * Load a manifest, its model and calibration from disk
+ * @param {string} [manifestPath] - Path to the manifest JSON
+ * @param {Object} [options]
+ * @param {Object} [options.smoothing] - Smoothing strategy and parameters
+ * @param {Object} [options.hysteresis] - Dominant emotion margin and hold time
+ * @param {Object} [options.sessionOptions] - Extra InferenceSession options
+ * @returns {Promise<EmotionEngine>} - Engine with the model attached
+ * @throws {ModelIntegrityError} When the model file doesn't match its sha256
+ * @throws {ModelContractError} When the model doesn't match its manifest
+ */
+export async function loadNodeEngine(
+  manifestPath = DEFAULT_MANIFEST_PATH,
+  { smoothing, hysteresis, sessionOptions } = {}
+) {
+  const ort = await importOptional(
+    () => import("onnxruntime-node"),
+    "onnxruntime-node",
+    "Model inference"
+  );
+
+  const resolvedPath = path.resolve(manifestPath);
+  const manifest = normalizeManifest(
+    await readJson(resolvedPath, "model manifest"),
+    resolvedPath
+  );
+
+  const modelPath = toLocalPath(manifest.url);
+  const bytes = await readFile(modelPath);
+  if (manifest.sha256) {
+    const actual = createHash("sha256").update(bytes).digest("hex");
+    if (actual !== manifest.sha256) {
+      throw new ModelIntegrityError(modelPath, manifest.sha256, actual);
+    }
+  }
+
+  const calibration = manifest.calibrationUrl
+    ? normalizeCalibration(
+        await readJson(toLocalPath(manifest.calibrationUrl), "calibration"),
+        manifest.labels
+      )
+    : IDENTITY_CALIBRATION;
+
+  const session = await ort.InferenceSession.create(bytes, {
+    executionProviders: ["cpu"],
+    graphOptimizationLevel: "all",
+    ...sessionOptions,
+  });
+
+  const engine = new EmotionEngine({ runtime: ort, smoothing, hysteresis });
+  try {
+    await engine.attach(manifest, session, {
+      calibration,
+      backend: {
+        id: "cpu",
+        name: "ONNX Runtime (Node, CPU)",
+        executionProviders: ["cpu"],
+      },
+    });
+  } catch (error) {
+    await session.release?.();
+    throw error;
+  }
+  return engine;
+}
+
+/**
+ * Decode a WAV or FLAC file
+ * @param {string} file - Path to the audio file
+ * @returns {Promise<Object>} - Mono AudioBuffer stand-in (see toAnalysisBuffer)
+ */
+export async function decodeAudioFile(file) {
+  const bytes = new Uint8Array(await readFile(file));
+
+  if (isWav(bytes)) {
+    return toAnalysisBuffer(decodeWav(bytes));
+  }
+
+  if (isFlac(bytes)) {
+    const { FLACDecoder } = await importOptional(
+      () => import("@wasm-audio-decoders/flac"),
+      "@wasm-audio-decoders/flac",
+      "FLAC decoding"
+    );
+    const decoder = new FLACDecoder();
+    await decoder.ready;
+    try {
+      const { channelData, sampleRate, samplesDecoded, errors } =
+        await decoder.decodeFile(bytes);
+      if (samplesDecoded === 0) {
+        throw new Error(
+          errors[0]?.message || "FLAC file contains no audio frames"
+        );
+      }
+      return toAnalysisBuffer({ sampleRate, channelData });
+    } finally {
+      decoder.free();
+    }
+  }
+
+  throw new Error(
+    `Unsupported audio format; expected ${SUPPORTED_EXTENSIONS.join(" or ")}`
+  );
+}
+
+export { analyzeWithEngine };
+
+/**
+ * Decode and analyze one file
+ * @param {EmotionEngine} engine - Engine from loadNodeEngine
+ * @param {string} file - Path to the audio file
+ * @param {Object} [options] - See analyzeWithEngine
+ * @returns {Promise<Object>} - analyzeWithEngine result plus `file` and
+ *   `duration` in seconds
+ */
+export async function analyzeFile(engine, file, options = {}) {
+  const audioBuffer = await decodeAudioFile(file);
+  const result = await analyzeWithEngine(engine, audioBuffer, options);
+  return { file, duration: audioBuffer.duration, ...result };
+}
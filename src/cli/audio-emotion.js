@@ -0,0 +1,360 @@
+/**
+ * audio-emotion - Batch-analyze audio files from the command line
+ *
+ *   audio-emotion analyze <files or directories...> [options]
+ *
+ * Runs the browser's file analysis pipeline (see analysis.js) under Node and
+ * prints a summary and a per-window timeline for every file, as JSON or as a
+ * single CSV table. Built into dist-cli/ by `npm run build:cli`.
+ */
+
+import { readdir, stat, writeFile } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+import { DIMENSIONS } from "../utils/dimensions";
+import { RESAMPLER_QUALITY } from "../utils/resampler";
+import {
+  DEFAULT_MANIFEST_PATH,
+  SUPPORTED_EXTENSIONS,
+  analyzeFile,
+  loadNodeEngine,
+} from "./analysis";
+
+const USAGE = `Usage: audio-emotion analyze <files or directories...> [options]
+
+Analyzes WAV and FLAC files with the same pipeline as the web app.
+Directories are searched recursively.
+
+Options:
+  -m, --model <path>          Model manifest (default: ${path.relative(
+    process.cwd(),
+    DEFAULT_MANIFEST_PATH
+  )})
+  -f, --format <json|csv>     Output format (default: json)
+  -o, --output <path>         Write to a file instead of stdout
+  -b, --batch-size <n>        Windows per model run (default: 8)
+      --smoothing <strategy>  ema, median, majority or viterbi (default: ema)
+      --alpha <n>             EMA weight of the newest window
+      --window-size <n>       Windows considered by median and majority vote
+      --transition-penalty <n>  Viterbi cost of switching emotion
+      --margin <n>            Lead a new dominant emotion needs
+      --hold-ms <n>           How long it must keep that lead
+      --resample-quality <q>  low, medium or high (default: high)
+  -v, --verbose               Log pipeline details to stderr
+  -h, --help                  Show this message
+`;
+
+const OPTIONS = {
+  model: { type: "string", short: "m" },
+  format: { type: "string", short: "f", default: "json" },
+  output: { type: "string", short: "o" },
+  "batch-size": { type: "string", short: "b" },
+  smoothing: { type: "string" },
+  alpha: { type: "string" },
+  "window-size": { type: "string" },
+  "transition-penalty": { type: "string" },
+  margin: { type: "string" },
+  "hold-ms": { type: "string" },
+  "resample-quality": { type: "string" },
+  verbose: { type: "boolean", short: "v", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const FORMATS = ["json", "csv"];
+
+class UsageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "UsageError";
+  }
+}
+
+/**
+ * Parse a numeric option, leaving it undefined when not given
+ */
+function readNumber(values, name) {
+  if (values[name] === undefined) return undefined;
+  const value = Number(values[name]);
+  if (!Number.isFinite(value)) {
+    throw new UsageError(`--${name} must be a number`);
+  }
+  return value;
+}
+
+/**
+ * Drop undefined fields so engine defaults apply
+ */
+const compact = (object) =>
+  Object.fromEntries(
+    Object.entries(object).filter(([, value]) => value !== undefined)
+  );
+
+/**
+ * Analysis options from the command line, in analyzeWithEngine form
+ */
+function readAnalysisOptions(values) {
+  const batchSize = readNumber(values, "batch-size");
+  if (
+    batchSize !== undefined &&
+    (!Number.isInteger(batchSize) || batchSize < 1)
+  ) {
+    throw new UsageError("--batch-size must be a positive integer");
+  }
+
+  const resampleQuality = values["resample-quality"];
+  if (resampleQuality !== undefined && !RESAMPLER_QUALITY[resampleQuality]) {
+    throw new UsageError(
+      `--resample-quality must be one of ${Object.keys(RESAMPLER_QUALITY).join(
+        ", "
+      )}`
+    );
+  }
+
+  const smoothing = compact({
+    strategy: values.smoothing,
+    alpha: readNumber(values, "alpha"),
+    windowSize: readNumber(values, "window-size"),
+    transitionPenalty: readNumber(values, "transition-penalty"),
+  });
+  const hysteresis = compact({
+    margin: readNumber(values, "margin"),
+    holdMs: readNumber(values, "hold-ms"),
+  });
+
+  return compact({
+    batchSize,
+    smoothing: Object.keys(smoothing).length ? smoothing : undefined,
+    hysteresis: Object.keys(hysteresis).length ? hysteresis : undefined,
+    resampleQuality,
+  });
+}
+
+/**
+ * Expand directories into the supported audio files they contain
+ */
+async function collectFiles(inputs) {
+  const files = [];
+  for (const input of inputs) {
+    const info = await stat(input).catch(() => null);
+    if (!info) {
+      throw new UsageError(`No such file or directory: ${input}`);
+    }
+    if (!info.isDirectory()) {
+      files.push(input);
+      continue;
+    }
+
+    const entries = await readdir(input, { recursive: true });
+    files.push(
+      ...entries
+        .filter((entry) =>
+          SUPPORTED_EXTENSIONS.includes(path.extname(entry).toLowerCase())
+        )
+        .sort()
+        .map((entry) => path.join(input, entry))
+    );
+  }
+  return files;
+}
+
+const round = (value, digits = 6) =>
+  typeof value === "number" ? Number(value.toFixed(digits)) : value;
+
+const roundValues = (values) =>
+  Object.fromEntries(
+    Object.entries(values).map(([key, value]) => [key, round(value)])
+  );
+
+/**
+ * JSON-ready result for one file
+ */
+function toFileReport(result) {
+  return {
+    file: result.file,
+    duration: round(result.duration),
+    dominant: result.dominant,
+    confidence: round(result.confidence),
+    emotions: roundValues(result.emotions),
+    dimensions: roundValues(result.dimensions),
+    quadrant: result.quadrant,
+    windowsProcessed: result.windowsProcessed,
+    voicedWindows: result.voicedWindows,
+    inferenceTime: round(result.inferenceTime, 1),
+    timeline: result.timeline.map((window) => ({
+      start: round(window.start),
+      end: round(window.end),
+      dominant: window.dominant,
+      confidence: round(window.confidence),
+      isSilence: window.isSilence,
+      speechProbability: round(window.speechProbability),
+      emotions: roundValues(window.emotions),
+      rawEmotions: roundValues(window.rawEmotions),
+      dimensions: roundValues(window.dimensions),
+    })),
+  };
+}
+
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return "";
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One CSV table: a summary row per file followed by its windows
+ */
+function formatCsv(reports, labels) {
+  const header = [
+    "file",
+    "kind",
+    "start",
+    "end",
+    "dominant",
+    "confidence",
+    "is_silence",
+    "speech_probability",
+    "quadrant",
+    "error",
+    ...DIMENSIONS,
+    ...labels,
+  ];
+  const rows = [header];
+
+  for (const report of reports) {
+    if (report.error) {
+      rows.push([report.file, "error", ...Array(7).fill(""), report.error]);
+      continue;
+    }
+
+    rows.push([
+      report.file,
+      "summary",
+      0,
+      report.duration,
+      report.dominant,
+      report.confidence,
+      "",
+      "",
+      report.quadrant,
+      "",
+      ...DIMENSIONS.map((dimension) => report.dimensions[dimension]),
+      ...labels.map((label) => report.emotions[label]),
+    ]);
+    for (const window of report.timeline) {
+      rows.push([
+        report.file,
+        "window",
+        window.start,
+        window.end,
+        window.dominant,
+        window.confidence,
+        window.isSilence,
+        window.speechProbability,
+        "",
+        "",
+        ...DIMENSIONS.map((dimension) => window.dimensions[dimension]),
+        ...labels.map((label) => window.emotions[label]),
+      ]);
+    }
+  }
+
+  return rows.map((row) => row.map(escapeCsv).join(",")).join("\n") + "\n";
+}
+
+async function analyze(inputs, values) {
+  if (!FORMATS.includes(values.format)) {
+    throw new UsageError(`--format must be one of ${FORMATS.join(", ")}`);
+  }
+  if (inputs.length === 0) {
+    throw new UsageError("No input files");
+  }
+
+  const options = readAnalysisOptions(values);
+  const files = await collectFiles(inputs);
+  if (files.length === 0) {
+    throw new UsageError(
+      `No ${SUPPORTED_EXTENSIONS.join(" or ")} files found in the inputs`
+    );
+  }
+
+  const engine = await loadNodeEngine(values.model || DEFAULT_MANIFEST_PATH);
+  const { id, name, labels } = engine.manifest;
+
+  const reports = [];
+  for (const file of files) {
+    try {
+      reports.push(toFileReport(await analyzeFile(engine, file, options)));
+    } catch (error) {
+      console.error(`[audio-emotion] ${file}: ${error.message}`);
+      reports.push({ file, error: error.message });
+    }
+  }
+  await engine.session.release?.();
+
+  const output =
+    values.format === "csv"
+      ? formatCsv(reports, labels)
+      : JSON.stringify(
+          {
+            model: {
+              id,
+              name,
+              labels,
+              calibrated: !engine.calibration.isIdentity,
+            },
+            files: reports,
+          },
+          null,
+          2
+        ) + "\n";
+
+  if (values.output) {
+    await writeFile(values.output, output);
+  } else {
+    process.stdout.write(output);
+  }
+
+  return reports.some((report) => report.error) ? 1 : 0;
+}
+
+async function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    options: OPTIONS,
+    allowPositionals: true,
+  });
+
+  if (values.help || positionals.length === 0) {
+    process.stdout.write(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  // Pipeline logging would corrupt the report on stdout
+  const log = values.verbose ? (...args) => console.error(...args) : () => {};
+  console.log = log;
+  console.warn = log;
+
+  const [command, ...inputs] = positionals;
+  if (command !== "analyze") {
+    throw new UsageError(`Unknown command "${command}"`);
+  }
+  return analyze(inputs, values);
+}
+
+main(process.argv.slice(2)).then(
+  (code) => {
+    process.exitCode = code;
+  },
+  (error) => {
+    if (
+      error instanceof UsageError ||
+      error.code?.startsWith("ERR_PARSE_ARGS")
+    ) {
+      console.error(`audio-emotion: ${error.message}\n\n${USAGE}`);
+      process.exitCode = 2;
+    } else {
+      console.error(`audio-emotion: ${error.message}`);
+      process.exitCode = 1;
+    }
+  }
+);
@@ -0,0 +1,358 @@
+/**
+ * Alert Rules Component
+ * Create, toggle and delete the user's emotion alert rules
+ */
+
+import { useState } from "react";
+import {
+  Bell,
+  BellOff,
+  Monitor,
+  Database,
+  Link,
+  Plus,
+  Trash2,
+  AlertCircle,
+} from "lucide-react";
+import { useAlertStore } from "../stores/alertStore";
+import { useAuthStore } from "../stores/authStore";
+import { useEmotionStore } from "../stores/emotionStore";
+import {
+  ALERT_RULE_DEFAULTS,
+  ALERT_RULE_TYPES,
+  describeAlertRule,
+} from "../utils/alertRules";
+import { EMOTION_COLORS } from "../utils/emotions";
+
+export default function AlertRules({ className = "" }) {
+  const { isAuthenticated } = useAuthStore();
+  const { emotionLabels } = useEmotionStore();
+  const {
+    rules,
+    isSaving,
+    error,
+    notificationPermission,
+    createRule,
+    updateRule,
+    deleteRule,
+    requestNotificationPermission,
+    clearError,
+  } = useAlertStore();
+  const [draft, setDraft] = useState(null);
+
+  const startDraft = () => {
+    const emotion = emotionLabels.includes(ALERT_RULE_DEFAULTS.emotion)
+      ? ALERT_RULE_DEFAULTS.emotion
+      : emotionLabels[0];
+    setDraft({ ...ALERT_RULE_DEFAULTS, name: "", emotion });
+  };
+
+  const updateDraft = (changes) => setDraft({ ...draft, ...changes });
+
+  const saveDraft = async () => {
+    const { type, threshold, durationSeconds, count, windowSeconds, ...rest } =
+      draft;
+    const result = await createRule({
+      ...rest,
+      type,
+      name: draft.name.trim() || describeAlertRule(draft),
+      webhookUrl:
+        draft.recordEvent && draft.webhookUrl ? draft.webhookUrl : null,
+      ...(type === "THRESHOLD"
+        ? { threshold, durationSeconds }
+        : { count, windowSeconds }),
+    });
+    if (result.success) setDraft(null);
+  };
+
+  return (
+    <section className={`glass-card p-6 ${className}`}>
+      <div className="flex items-center gap-3 mb-6">
+        <div className="p-2 rounded-xl bg-red-500/20">
+          <Bell className="w-5 h-5 text-red-400" />
+        </div>
+        <div className="flex-1">
+          <h2 className="text-lg font-semibold text-white">Emotion Alerts</h2>
+          <p className="text-sm text-gray-400">
+            Get notified when an emotion persists or keeps coming back
+          </p>
+        </div>
+        {isAuthenticated && !draft && (
+          <button
+            onClick={startDraft}
+            className="btn-ghost text-xs flex items-center gap-1"
+          >
+            <Plus className="w-4 h-4" />
+            Add Rule
+          </button>
+        )}
+      </div>
+
+      {!isAuthenticated ? (
+        <p className="text-sm text-gray-500">
+          Sign in to set up alerts; rules are saved to your account.
+        </p>
+      ) : (
+        <div className="space-y-4">
+          {notificationPermission === "default" && (
+            <button
+              onClick={requestNotificationPermission}
+              className="w-full p-3 bg-white/5 rounded-xl text-left text-sm text-gray-300 hover:bg-white/10 flex items-center gap-2"
+            >
+              <Monitor className="w-4 h-4 text-indigo-400" />
+              Allow desktop notifications for alerts
+            </button>
+          )}
+          {notificationPermission === "denied" && (
+            <p className="text-xs text-gray-500">
+              Desktop notifications are blocked in this browser; alerts are
+              shown in the app only.
+            </p>
+          )}
+
+          {error && (
+            <div className="p-3 bg-red-500/10 border border-red-500/30 rounded-xl flex items-start gap-2">
+              <AlertCircle className="w-4 h-4 text-red-400 flex-shrink-0 mt-0.5" />
+              <p className="flex-1 text-sm text-red-400">{error}</p>
+              <button onClick={clearError} className="text-xs text-gray-400">
+                Dismiss
+              </button>
+            </div>
+          )}
+
+          {rules.length === 0 && !draft && (
+            <p className="text-sm text-gray-500">No alert rules yet.</p>
+          )}
+
+          {rules.map((rule) => (
+            <RuleItem
+              key={rule.id}
+              rule={rule}
+              disabled={isSaving}
+              onToggle={() => updateRule(rule.id, { enabled: !rule.enabled })}
+              onDelete={() => deleteRule(rule.id)}
+            />
+          ))}
+
+          {draft && (
+            <RuleForm
+              draft={draft}
+              labels={emotionLabels}
+              isSaving={isSaving}
+              onChange={updateDraft}
+              onSave={saveDraft}
+              onCancel={() => setDraft(null)}
+            />
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
+function RuleItem({ rule, disabled, onToggle, onDelete }) {
+  const color = EMOTION_COLORS[rule.emotion] || EMOTION_COLORS.neutral;
+
+  return (
+    <div
+      className={`flex items-center gap-3 p-3 bg-white/5 rounded-xl ${
+        rule.enabled ? "" : "opacity-50"
+      }`}
+    >
+      <div
+        className="w-2 h-8 rounded-full flex-shrink-0"
+        style={{ backgroundColor: color }}
+      />
+      <div className="flex-1 min-w-0">
+        <p className="text-sm font-medium text-white truncate">{rule.name}</p>
+        <p className="text-xs text-gray-500">
+          {describeAlertRule(rule)} · cooldown {rule.cooldownSeconds}s
+        </p>
+      </div>
+      <div className="flex items-center gap-1 text-gray-500">
+        {rule.notifyDesktop && (
+          <Monitor className="w-4 h-4" title="Desktop notification" />
+        )}
+        {rule.recordEvent && (
+          <Database className="w-4 h-4" title="Recorded on the server" />
+        )}
+        {rule.webhookUrl && <Link className="w-4 h-4" title="Webhook" />}
+      </div>
+      <button
+        onClick={onToggle}
+        disabled={disabled}
+        className="btn-ghost p-2"
+        aria-label={rule.enabled ? "Disable rule" : "Enable rule"}
+      >
+        {rule.enabled ? (
+          <Bell className="w-4 h-4" />
+        ) : (
+          <BellOff className="w-4 h-4" />
+        )}
+      </button>
+      <button
+        onClick={onDelete}
+        disabled={disabled}
+        className="btn-ghost p-2 hover:text-red-400"
+        aria-label="Delete rule"
+      >
+        <Trash2 className="w-4 h-4" />
+      </button>
+    </div>
+  );
+}
+
+function RuleForm({ draft, labels, isSaving, onChange, onSave, onCancel }) {
+  const readNumber = (field) => (e) =>
+    onChange({ [field]: Number(e.target.value) });
+
+  return (
+    <div className="p-4 bg-white/5 rounded-xl space-y-4">
+      <input
+        type="text"
+        value={draft.name}
+        onChange={(e) => onChange({ name: e.target.value })}
+        placeholder={describeAlertRule(draft)}
+        className="input-field"
+      />
+
+      <div className="grid grid-cols-2 gap-3">
+        <select
+          value={draft.type}
+          onChange={(e) => onChange({ type: e.target.value })}
+          className="input-field"
+        >
+          {Object.entries(ALERT_RULE_TYPES).map(([id, type]) => (
+            <option key={id} value={id}>
+              {type.name}
+            </option>
+          ))}
+        </select>
+        <select
+          value={draft.emotion}
+          onChange={(e) => onChange({ emotion: e.target.value })}
+          className="input-field capitalize"
+        >
+          {labels.map((label) => (
+            <option key={label} value={label}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </div>
+      <p className="text-xs text-gray-500">
+        {ALERT_RULE_TYPES[draft.type].description}
+      </p>
+
+      {draft.type === "THRESHOLD" ? (
+        <div className="grid grid-cols-2 gap-3">
+          <NumberField
+            label="Above (%)"
+            value={Math.round(draft.threshold * 100)}
+            min={1}
+            max={99}
+            onChange={(e) =>
+              onChange({ threshold: Number(e.target.value) / 100 })
+            }
+          />
+          <NumberField
+            label="For (seconds)"
+            value={draft.durationSeconds}
+            min={0}
+            max={3600}
+            onChange={readNumber("durationSeconds")}
+          />
+        </div>
+      ) : (
+        <div className="grid grid-cols-2 gap-3">
+          <NumberField
+            label="Times"
+            value={draft.count}
+            min={1}
+            max={100}
+            onChange={readNumber("count")}
+          />
+          <NumberField
+            label="Within (seconds)"
+            value={draft.windowSeconds}
+            min={1}
+            max={3600}
+            onChange={readNumber("windowSeconds")}
+          />
+        </div>
+      )}
+
+      <NumberField
+        label="Cooldown (seconds)"
+        value={draft.cooldownSeconds}
+        min={0}
+        max={86400}
+        onChange={readNumber("cooldownSeconds")}
+      />
+
+      <div className="space-y-2">
+        <CheckboxField
+          label="Desktop notification"
+          checked={draft.notifyDesktop}
+          onChange={(notifyDesktop) => onChange({ notifyDesktop })}
+        />
+        <CheckboxField
+          label="Record alert on the server"
+          checked={draft.recordEvent}
+          onChange={(recordEvent) => onChange({ recordEvent })}
+        />
+        {draft.recordEvent && (
+          <input
+            type="url"
+            value={draft.webhookUrl || ""}
+            onChange={(e) => onChange({ webhookUrl: e.target.value })}
+            placeholder="Webhook URL (optional)"
+            className="input-field"
+          />
+        )}
+      </div>
+
+      <div className="flex justify-end gap-2">
+        <button onClick={onCancel} className="btn-ghost text-sm">
+          Cancel
+        </button>
+        <button
+          onClick={onSave}
+          disabled={isSaving}
+          className="btn-primary text-sm py-2"
+        >
+          {isSaving ? "Saving..." : "Save Rule"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function NumberField({ label, value, min, max, onChange }) {
+  return (
+    <label className="block">
+      <span className="text-xs text-gray-400 block mb-1">{label}</span>
+      <input
+        type="number"
+        value={value}
+        min={min}
+        max={max}
+        onChange={onChange}
+        className="input-field"
+      />
+    </label>
+  );
+}
+
+function CheckboxField({ label, checked, onChange }) {
+  return (
+    <label className="flex items-center gap-2 text-sm text-gray-300">
+      <input
+        type="checkbox"
+        checked={checked}
+        onChange={(e) => onChange(e.target.checked)}
+      />
+      {label}
+    </label>
+  );
+}
@@ -0,0 +1,48 @@
+/**
+ * Alert Toasts Component
+ * In-app notifications for emotion alert rules that fired
+ */
+
+import { BellRing, X } from "lucide-react";
+import { useAlertStore } from "../stores/alertStore";
+import { EMOTION_COLORS } from "../utils/emotions";
+
+export default function AlertToasts() {
+  const { toasts, dismissToast } = useAlertStore();
+
+  if (toasts.length === 0) return null;
+
+  return (
+    <div className="fixed bottom-6 right-6 z-50 flex flex-col gap-3 w-80">
+      {toasts.map((toast) => {
+        const color = EMOTION_COLORS[toast.emotion] || EMOTION_COLORS.neutral;
+        return (
+          <div
+            key={toast.id}
+            role="alert"
+            className="glass-card p-4 flex items-start gap-3 border-l-4"
+            style={{ borderLeftColor: color }}
+          >
+            <BellRing className="w-5 h-5 flex-shrink-0" style={{ color }} />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-semibold text-white truncate">
+                {toast.ruleName}
+              </p>
+              <p className="text-xs text-gray-400">{toast.message}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                {new Date(toast.timestamp).toLocaleTimeString()}
+              </p>
+            </div>
+            <button
+              onClick={() => dismissToast(toast.id)}
+              className="text-gray-500 hover:text-white"
+              aria-label="Dismiss alert"
+            >
+              <X className="w-4 h-4" />
+            </button>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
@@ -16,10 +16,17 @@ import { useAudioStore } from "../stores/audioStore";
 import { useEmotionStore } from "../stores/emotionStore";
 import { useSessionStore } from "../stores/sessionStore";
 import { useAuthStore } from "../stores/authStore";
+import { useSettingsStore } from "../stores/settingsStore";
 import { predictionsApi } from "../lib/api";
 import { AUDIO_CONSTANTS } from "../utils/RingBuffer";
 import { checkBrowserCompatibility } from "../utils/audio";
 import { EMOTION_COLORS } from "../utils/emotions";
+import { saveRecording } from "../utils/recordingDb";
+import {
+  SessionRecorder,
+  isRecordingSupported,
+} from "../utils/sessionRecorder";
+import ModelLoadProgress from "./ModelLoadProgress";
 
 export default function ControlPanel({ className = "" }) {
   const [compatibility, setCompatibility] = useState({
@@ -31,6 +38,8 @@ export default function ControlPanel({ className = "" }) {
   const pendingPredictionsRef = useRef([]);
   const saveIntervalRef = useRef(null);
   const fileFinalizeRef = useRef(false);
+  const recorderRef = useRef(null); // { recorder, sessionId } while recording audio
+  const [isRecordingAudio, setIsRecordingAudio] = useState(false);
 
   const { isAuthenticated } = useAuthStore();
   const { createSession, endSession } = useSessionStore();
@@ -58,13 +67,12 @@ export default function ControlPanel({ className = "" }) {
 
   const {
     isModelLoaded,
+    isSwitchingModel,
+    modelLoadProgress,
+    modelContractError,
     isInferenceRunning,
     dominantEmotion,
-    confidence,
-    emotions,
-    inferenceTime,
     sessionEmotionSummary,
-    predictionCount,
     error: emotionError,
     initializeWorker,
     startInference,
@@ -83,7 +91,8 @@ export default function ControlPanel({ className = "" }) {
     setCompatibility(checkBrowserCompatibility());
   }, []);
 
-  // Initialize audio and worker on mount
+  // Initialize audio and worker on mount; the voice model is only
+  // downloaded once a page with this panel is opened
   useEffect(() => {
     const init = async () => {
       if (!compatibility.supported) return;
@@ -108,43 +117,34 @@ export default function ControlPanel({ className = "" }) {
     init();
   }, [compatibility.supported]);
 
-  // Track predictions and batch save them
+  // Queue every prediction for saving, stamped with its own time
+  // A store subscription sees each prediction; an effect on predictionCount
+  // would miss predictions React batches into one render.
   useEffect(() => {
     if (!isInferenceRunning || !currentSessionId || !isAuthenticated) return;
 
-    // Add current prediction to pending list
-    if (dominantEmotion && confidence > 0) {
+    return useEmotionStore.subscribe((state, previous) => {
+      if (state.predictionCount <= previous.predictionCount) return;
+      if (!state.dominantEmotion || !(state.confidence > 0)) return;
+
       pendingPredictionsRef.current.push({
-        dominant: dominantEmotion,
-        confidence,
-        emotions: { ...emotions },
-        inferenceTime,
-        timestamp: new Date().toISOString(),
+        dominant: state.dominantEmotion,
+        confidence: state.confidence,
+        emotions: { ...state.emotions },
+        ...state.dimensions,
+        modelId: state.modelId,
+        inferenceTime: state.inferenceTime,
+        timestamp: new Date(state.lastPredictionTime).toISOString(),
       });
-    }
-  }, [predictionCount]); // Trigger on each new prediction
+    });
+  }, [isInferenceRunning, currentSessionId, isAuthenticated]);
 
   // Save predictions periodically
   useEffect(() => {
     if (!isInferenceRunning || !currentSessionId || !isAuthenticated) return;
 
     // Save predictions every 5 seconds
-    saveIntervalRef.current = setInterval(async () => {
-      if (pendingPredictionsRef.current.length > 0 && currentSessionId) {
-        try {
-          await predictionsApi.createBatch(
-            currentSessionId,
-            pendingPredictionsRef.current
-          );
-          console.log(
-            `[ControlPanel] Saved ${pendingPredictionsRef.current.length} predictions`
-          );
-          pendingPredictionsRef.current = [];
-        } catch (error) {
-          console.error("[ControlPanel] Failed to save predictions:", error);
-        }
-      }
-    }, 5000);
+    saveIntervalRef.current = setInterval(savePendingPredictions, 5000);
 
     return () => {
       if (saveIntervalRef.current) {
@@ -159,17 +159,18 @@ export default function ControlPanel({ className = "" }) {
       isAuthenticated &&
       pendingPredictionsRef.current.length > 0
     ) {
+      // Take the batch first; predictions keep arriving during the request
+      const batch = pendingPredictionsRef.current;
+      pendingPredictionsRef.current = [];
       try {
-        await predictionsApi.createBatch(
-          currentSessionId,
-          pendingPredictionsRef.current
-        );
-        console.log(
-          `[ControlPanel] Saved ${pendingPredictionsRef.current.length} predictions`
-        );
-        pendingPredictionsRef.current = [];
+        await predictionsApi.createBatch(currentSessionId, batch);
+        console.log(`[ControlPanel] Saved ${batch.length} predictions`);
       } catch (error) {
         console.error("[ControlPanel] Failed to save predictions:", error);
+        pendingPredictionsRef.current = [
+          ...batch,
+          ...pendingPredictionsRef.current,
+        ];
       }
     }
   };
@@ -188,6 +189,54 @@ export default function ControlPanel({ className = "" }) {
     setCurrentSessionId(null);
   };
 
+  // Record the mic alongside the session, if enabled in Settings
+  const startSessionRecording = async (sessionId) => {
+    const { mediaStream } = useAudioStore.getState();
+    if (
+      !useSettingsStore.getState().recordSessionAudio ||
+      !sessionId ||
+      !mediaStream ||
+      !isRecordingSupported()
+    ) {
+      return;
+    }
+
+    try {
+      const recorder = new SessionRecorder(mediaStream);
+      recorderRef.current = { recorder, sessionId };
+      await recorder.start();
+      setIsRecordingAudio(true);
+    } catch (error) {
+      console.error("[ControlPanel] Failed to start audio recording:", error);
+      recorderRef.current = null;
+    }
+  };
+
+  // Must run before the mic tracks stop, or the last chunk is lost
+  const saveSessionRecording = async () => {
+    const active = recorderRef.current;
+    if (!active) return;
+
+    recorderRef.current = null;
+    setIsRecordingAudio(false);
+    try {
+      const recording = await active.recorder.stop();
+      if (recording) {
+        await saveRecording(active.sessionId, recording);
+        console.log("[ControlPanel] Saved session audio locally");
+      }
+    } catch (error) {
+      console.error("[ControlPanel] Failed to save audio recording:", error);
+    }
+  };
+
+  // Keep what was recorded if the panel unmounts mid-session
+  useEffect(() => {
+    return () => {
+      saveSessionRecording();
+    };
+  }, []);
+
   // State for login required message
   const [showLoginRequired, setShowLoginRequired] = useState(false);
 
@@ -197,6 +246,7 @@ export default function ControlPanel({ className = "" }) {
       stopInference();
 
       if (isRecording) {
+        await saveSessionRecording();
         stopRecording();
       } else if (isFileMode) {
         try {
@@ -229,12 +279,14 @@ export default function ControlPanel({ className = "" }) {
     resetSession();
 
     // Create a new session in database
+    let sessionId = null;
     if (isAuthenticated) {
       try {
         const result = await createSession({
           name: `Session ${new Date().toLocaleString()}`,
         });
         if (result.success && result.data) {
+          sessionId = result.data.id;
           setCurrentSessionId(result.data.id);
           console.log("[ControlPanel] Created session:", result.data.id);
         }
@@ -245,6 +297,7 @@ export default function ControlPanel({ className = "" }) {
 
     const started = await startRecording();
     if (started) {
+      startSessionRecording(sessionId);
       setTimeout(() => {
         startInference();
       }, 500);
@@ -425,6 +478,46 @@ export default function ControlPanel({ className = "" }) {
         </div>
       )}
 
+      {/* Model doesn't match its manifest */}
+      {modelContractError && (
+        <div className="mb-4 p-4 bg-red-500/10 border border-red-500/30 rounded-xl">
+          <div className="flex items-start gap-3">
+            <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0 mt-0.5" />
+            <div className="flex-1 min-w-0">
+              <p className="text-sm font-medium text-red-400">
+                Model "{modelContractError.modelId}" doesn't match its manifest
+              </p>
+              <dl className="mt-2 space-y-2 text-xs">
+                {modelContractError.problems.map(
+                  ({ field, expected, actual }) => (
+                    <div key={field}>
+                      <dt className="font-mono text-red-300">{field}</dt>
+                      <dd className="text-red-300/70 break-words">
+                        expected{" "}
+                        <span className="font-mono text-red-200">
+                          {expected}
+                        </span>
+                        , got{" "}
+                        <span className="font-mono text-red-200">{actual}</span>
+                      </dd>
+                    </div>
+                  )
+                )}
+              </dl>
+              <p className="text-xs text-red-300/50 mt-2">
+                Fix the model or its manifest, see public/models/README.md
+              </p>
+            </div>
+            <button
+              onClick={clearEmotionError}
+              className="text-xs text-red-400 hover:text-red-300"
+            >
+              Dismiss
+            </button>
+          </div>
+        </div>
+      )}
+
       {/* Login required message */}
       {showLoginRequired && (
         <div className="mb-4 p-4 bg-amber-500/10 border border-amber-500/30 rounded-xl animate-pulse">
@@ -512,6 +605,19 @@ export default function ControlPanel({ className = "" }) {
             ? "Login required for live mic"
             : "Tap to start"}
         </p>
+        {isRecordingAudio && (
+          <p className="mt-1 text-xs text-red-400">
+            ● Recording audio to this device
+          </p>
+        )}
+
+        {/* Model download / warm-up, Start stays disabled until done */}
+        {(!isModelLoaded || isSwitchingModel) && (
+          <ModelLoadProgress
+            progress={modelLoadProgress}
+            className="mt-4 w-full"
+          />
+        )}
       </div>
 
       {/* Status indicators */}
@@ -525,16 +631,19 @@ export default function ControlPanel({ className = "" }) {
           label="AI Model"
           ready={isModelLoaded}
           active={isInferenceRunning}
+          failed={!isModelLoaded && !!modelContractError}
         />
       </div>
     </div>
   );
 }
 
-function StatusItem({ label, ready, active }) {
+function StatusItem({ label, ready, active, failed }) {
   return (
     <div className="flex items-center gap-2 p-3 bg-white/5 rounded-xl">
-      {active ? (
+      {failed ? (
+        <AlertCircle className="w-4 h-4 text-red-400" />
+      ) : active ? (
         <div className="w-2 h-2 rounded-full bg-green-400 animate-pulse" />
       ) : ready ? (
         <CheckCircle className="w-4 h-4 text-green-400" />
@@ -16,6 +16,7 @@ export default function EmotionDisplay({ className = "" }) {
   const {
     dominantEmotion,
     confidence,
+    isCalibrated,
     emotions,
     isInferenceRunning,
     inferenceTime,
@@ -74,7 +75,9 @@ export default function EmotionDisplay({ className = "" }) {
             >
               {formatConfidence(confidence)}
             </p>
-            <p className="text-xs text-gray-500">confidence</p>
+            <p className="text-xs text-gray-500">
+              {isCalibrated ? "calibrated confidence" : "confidence"}
+            </p>
           </div>
         </div>
 
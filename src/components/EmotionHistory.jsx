@@ -5,14 +5,11 @@
 
 import { useMemo } from "react";
 import { useEmotionStore } from "../stores/emotionStore";
-import {
-  EMOTION_LABELS,
-  EMOTION_COLORS,
-  EMOTION_EMOJIS,
-} from "../utils/emotions";
+import { EMOTION_COLORS, EMOTION_EMOJIS } from "../utils/emotions";
 
 export default function EmotionHistory({ className = "" }) {
-  const { emotionHistory, isInferenceRunning } = useEmotionStore();
+  const { emotionHistory, emotionLabels, isInferenceRunning } =
+    useEmotionStore();
 
   // Prepare chart data
   const chartData = useMemo(() => {
@@ -30,7 +27,7 @@ export default function EmotionHistory({ className = "" }) {
     // Create paths for each emotion
     const paths = {};
 
-    EMOTION_LABELS.forEach((emotion) => {
+    emotionLabels.forEach((emotion) => {
       const points = data.map((entry, i) => {
         const x = i * step;
         const value = entry.emotions[emotion] || 0;
@@ -51,7 +48,7 @@ export default function EmotionHistory({ className = "" }) {
     });
 
     return { paths, data };
-  }, [emotionHistory]);
+  }, [emotionHistory, emotionLabels]);
 
   // Get dominant emotions over time
   const dominantTimeline = useMemo(() => {
@@ -132,7 +129,7 @@ export default function EmotionHistory({ className = "" }) {
 
           {/* Emotion paths */}
           {chartData &&
-            EMOTION_LABELS.map((emotion) => (
+            emotionLabels.map((emotion) => (
               <path
                 key={emotion}
                 d={chartData.paths[emotion]}
@@ -150,7 +147,7 @@ export default function EmotionHistory({ className = "" }) {
 
       {/* Legend */}
       <div className="mt-4 flex flex-wrap gap-2">
-        {EMOTION_LABELS.slice(0, 4).map((emotion) => (
+        {emotionLabels.slice(0, 4).map((emotion) => (
           <div
             key={emotion}
             className="flex items-center gap-1.5 text-xs text-gray-400"
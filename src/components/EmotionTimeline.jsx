@@ -0,0 +1,268 @@
+/**
+ * Emotion Timeline Component
+ * Scrubbable per-segment emotion timeline synced to a playback position
+ */
+
+import { useMemo, useRef, useState } from "react";
+import { EMOTION_COLORS, EMOTION_EMOJIS } from "../utils/emotions";
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${mins}:${secs.toString().padStart(2, "0")}`;
+};
+
+/**
+ * @param {Object} props
+ * @param {Array<{ start: number, end: number, emotions: Object, rawEmotions: Object, dominant: string, confidence: number, isSilence: boolean }>} props.segments
+ *   Segments in seconds, sorted by start time
+ * @param {string[]} props.labels - Label order for the chart
+ * @param {number} props.duration - Total duration in seconds
+ * @param {number} props.currentTime - Playback position in seconds
+ * @param {(time: number) => void} [props.onSeek] - Called when the user scrubs
+ * @param {Array<{ label: string, spans: Array<{ start: number, end: number, dominant: string, confidence: number }> }>} [props.extraTracks]
+ *   More dominant-emotion strips on the same time axis, e.g. faces in a video
+ */
+export default function EmotionTimeline({
+  segments,
+  labels,
+  duration,
+  currentTime = 0,
+  onSeek,
+  extraTracks = [],
+  className = "",
+}) {
+  const [showRaw, setShowRaw] = useState(false);
+  const trackRef = useRef(null);
+  const isScrubbingRef = useRef(false);
+
+  const totalDuration =
+    duration || (segments.length ? segments[segments.length - 1].end : 0);
+
+  // Windows overlap, so each segment is drawn until the next one starts
+  const spans = useMemo(
+    () =>
+      segments.map((segment, i) => {
+        const next = segments[i + 1];
+        const end = next ? Math.min(next.start, segment.end) : segment.end;
+        return { segment, start: segment.start, end };
+      }),
+    [segments]
+  );
+
+  // Probability lines, one point per segment midpoint
+  const paths = useMemo(() => {
+    if (segments.length < 2 || !totalDuration) return null;
+
+    const result = {};
+    labels.forEach((label) => {
+      result[label] = segments
+        .map((segment, i) => {
+          const values = showRaw ? segment.rawEmotions : segment.emotions;
+          const x = ((segment.start + segment.end) / 2 / totalDuration) * 100;
+          const y = 58 - (values[label] || 0) * 56;
+          return `${i === 0 ? "M" : "L"} ${x.toFixed(2)},${y.toFixed(2)}`;
+        })
+        .join(" ");
+    });
+    return result;
+  }, [segments, labels, showRaw, totalDuration]);
+
+  const activeSpan =
+    spans.find(({ start, end }) => currentTime >= start && currentTime < end) ||
+    (currentTime >= totalDuration ? spans[spans.length - 1] : null);
+  const active = activeSpan?.segment;
+
+  const playheadPercent = totalDuration
+    ? Math.min(100, (currentTime / totalDuration) * 100)
+    : 0;
+
+  const seekFromPointer = (event) => {
+    if (!onSeek || !trackRef.current || !totalDuration) return;
+    const rect = trackRef.current.getBoundingClientRect();
+    const ratio = Math.min(
+      1,
+      Math.max(0, (event.clientX - rect.left) / rect.width)
+    );
+    onSeek(ratio * totalDuration);
+  };
+
+  const handlePointerDown = (event) => {
+    isScrubbingRef.current = true;
+    event.currentTarget.setPointerCapture?.(event.pointerId);
+    seekFromPointer(event);
+  };
+
+  const handlePointerMove = (event) => {
+    if (isScrubbingRef.current) {
+      seekFromPointer(event);
+    }
+  };
+
+  const handlePointerUp = (event) => {
+    isScrubbingRef.current = false;
+    event.currentTarget.releasePointerCapture?.(event.pointerId);
+  };
+
+  if (segments.length === 0 && extraTracks.length === 0) return null;
+
+  const activeValues = active
+    ? showRaw
+      ? active.rawEmotions
+      : active.emotions
+    : null;
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between mb-2">
+        <p className="text-sm font-medium text-white">Timeline</p>
+        <div className="flex gap-1 text-xs">
+          {["Smoothed", "Raw"].map((mode) => {
+            const selected = (mode === "Raw") === showRaw;
+            return (
+              <button
+                key={mode}
+                onClick={() => setShowRaw(mode === "Raw")}
+                className={`px-2 py-0.5 rounded-md transition-colors ${
+                  selected
+                    ? "bg-white/15 text-white"
+                    : "text-gray-400 hover:text-white"
+                }`}
+              >
+                {mode}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div
+        ref={trackRef}
+        className="relative select-none cursor-pointer touch-none"
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={handlePointerUp}
+      >
+        {/* Dominant emotion strip */}
+        <div className="relative h-6 rounded-lg overflow-hidden bg-white/5">
+          {extraTracks.length > 0 && <TrackLabel>Voice</TrackLabel>}
+          {spans.map(({ segment, start, end }) => (
+            <div
+              key={segment.start}
+              className="absolute top-0 bottom-0"
+              style={{
+                left: `${(start / totalDuration) * 100}%`,
+                width: `${((end - start) / totalDuration) * 100}%`,
+                backgroundColor: EMOTION_COLORS[segment.dominant],
+                opacity: segment.isSilence ? 0.2 : 0.85,
+              }}
+              title={`${formatTime(segment.start)}–${formatTime(segment.end)} ${
+                segment.isSilence ? "silence" : segment.dominant
+              }${
+                segment.speechProbability != null
+                  ? ` (speech ${Math.round(segment.speechProbability * 100)}%)`
+                  : ""
+              }`}
+            />
+          ))}
+        </div>
+
+        {/* Other tracks, e.g. faces */}
+        {extraTracks.map((track) => (
+          <div
+            key={track.label}
+            className="relative h-4 mt-1 rounded-md overflow-hidden bg-white/5"
+          >
+            {track.spans.map((span) => (
+              <div
+                key={span.start}
+                className="absolute top-0 bottom-0"
+                style={{
+                  left: `${(span.start / totalDuration) * 100}%`,
+                  width: `${((span.end - span.start) / totalDuration) * 100}%`,
+                  backgroundColor: EMOTION_COLORS[span.dominant],
+                  opacity: 0.4 + 0.5 * span.confidence,
+                }}
+                title={`${formatTime(span.start)} ${track.label}: ${
+                  span.dominant
+                }`}
+              />
+            ))}
+            <TrackLabel>{track.label}</TrackLabel>
+          </div>
+        ))}
+
+        {/* Probability chart */}
+        <div className="relative h-20 mt-1 bg-white/5 rounded-xl overflow-hidden">
+          <svg
+            viewBox="0 0 100 60"
+            preserveAspectRatio="none"
+            className="w-full h-full"
+          >
+            {paths &&
+              labels.map((label) => (
+                <path
+                  key={label}
+                  d={paths[label]}
+                  fill="none"
+                  stroke={EMOTION_COLORS[label]}
+                  strokeWidth="1"
+                  strokeLinejoin="round"
+                  vectorEffect="non-scaling-stroke"
+                  opacity={active && active.dominant === label ? 1 : 0.5}
+                />
+              ))}
+          </svg>
+        </div>
+
+        {/* Playhead */}
+        <div
+          className="absolute top-0 bottom-0 w-0.5 bg-white pointer-events-none"
+          style={{ left: `${playheadPercent}%` }}
+        />
+      </div>
+
+      <div className="flex justify-between mt-1 text-xs text-gray-500 font-mono">
+        <span>0:00</span>
+        <span>{formatTime(totalDuration)}</span>
+      </div>
+
+      {/* Segment under the playhead */}
+      {active && (
+        <div className="mt-2 flex items-center gap-2 p-2 rounded-lg bg-black/20 text-xs">
+          <span className="font-mono text-gray-400">
+            {formatTime(active.start)}–{formatTime(active.end)}
+          </span>
+          {active.isSilence ? (
+            <span className="text-gray-500">Silence</span>
+          ) : (
+            <>
+              <span>{EMOTION_EMOJIS[active.dominant]}</span>
+              <span
+                className="capitalize font-medium"
+                style={{ color: EMOTION_COLORS[active.dominant] }}
+              >
+                {active.dominant}
+              </span>
+              <span className="text-gray-400 ml-auto">
+                {(
+                  (activeValues[active.dominant] ?? active.confidence) * 100
+                ).toFixed(1)}
+                % {showRaw ? "raw" : "smoothed"}
+              </span>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+function TrackLabel({ children }) {
+  return (
+    <span className="absolute left-1.5 top-1/2 -translate-y-1/2 text-[10px] font-medium text-white/80 pointer-events-none z-10">
+      {children}
+    </span>
+  );
+}
@@ -9,46 +9,22 @@ import {
   Activity,
   AlertCircle,
 } from "lucide-react";
-import * as ort from "onnxruntime-web";
+import ModelLoadProgress from "./ModelLoadProgress";
+import { useFaceStore } from "../stores/faceStore";
+import { useFusionStore } from "../stores/fusionStore";
+import {
+  FACE_EMOTION_COLORS,
+  FACE_EMOTION_EMOJIS,
+  captureFrame,
+  spawnFaceDetector,
+} from "../utils/faceDetection";
 
 /**
  * CONFIGURATION
+ * Detection runs in workers/faceDetector.js; this component only shows the
+ * camera and draws the detections it posts back.
  */
-const MODEL_INPUT_SIZE = 640;
-const CONFIDENCE_THRESHOLD = 0.45;
-const IOU_THRESHOLD = 0.45;
-const INFERENCE_INTERVAL = 60; // Run AI every 60ms
-const EMOTION_SMOOTHING_FACTOR = 0.4;
-
-const FACE_EMOTION_LABELS = [
-  "angry",
-  "disgust",
-  "fear",
-  "happy",
-  "neutral",
-  "sad",
-  "surprise",
-];
-
-const FACE_EMOTION_COLORS = {
-  angry: "#ef4444",
-  disgust: "#d946ef",
-  fear: "#8b5cf6",
-  happy: "#22c55e",
-  neutral: "#94a3b8",
-  sad: "#3b82f6",
-  surprise: "#f59e0b",
-};
-
-const FACE_EMOTION_EMOJIS = {
-  angry: "😠",
-  disgust: "🤢",
-  fear: "😨",
-  happy: "😊",
-  neutral: "😐",
-  sad: "😢",
-  surprise: "😲",
-};
+const INFERENCE_INTERVAL = 60; // Post a frame to the detector every 60ms
 
 export default function FaceEmotionDetector({ className = "" }) {
   // --- STATE ---
@@ -61,71 +37,86 @@ export default function FaceEmotionDetector({ className = "" }) {
   const [displayDetections, setDisplayDetections] = useState([]);
   const [fps, setFps] = useState(0);
   const [inferenceTime, setInferenceTime] = useState(0);
+  const [droppedFrames, setDroppedFrames] = useState(0);
+  const [backendName, setBackendName] = useState(null);
+  const [isModelVerified, setIsModelVerified] = useState(null);
+  const [loadProgress, setLoadProgress] = useState(null);
 
   // --- REFS ---
   const videoRef = useRef(null);
   const canvasRef = useRef(null);
   const streamRef = useRef(null);
-  const sessionRef = useRef(null);
+  const workerRef = useRef(null);
+  const frameTrackRef = useRef(null); // Track streamed to the worker, if any
   const requestRef = useRef(null);
   const detectionsRef = useRef([]);
+  const isActiveRef = useRef(false);
 
   // Logic Refs
-  const lastInferenceTimeRef = useRef(0);
+  const lastFrameSentRef = useRef(0);
   const frameCountRef = useRef(0);
   const lastFpsTimeRef = useRef(0);
 
-  // Memory Optimization
-  const processingCanvasRef = useRef(null);
-  const float32DataRef = useRef(
-    new Float32Array(3 * MODEL_INPUT_SIZE * MODEL_INPUT_SIZE)
-  );
-  const emotionHistoryRef = useRef({});
-
   // --- 1. LOAD MODEL ---
+  // The worker is spawned on the first START only; it downloads the model
+  // and benchmarks the backends on a blank frame, which doubles as warm-up
+  const handleWorkerMessage = useCallback((event) => {
+    const { type, ...data } = event.data;
+
+    if (type === "detections") {
+      // Detections of a frame captured before STOP
+      if (!isActiveRef.current) return;
+
+      detectionsRef.current = data.detections;
+      setDisplayDetections(data.detections);
+      setInferenceTime(data.inferenceTime);
+      setDroppedFrames(data.droppedFrames);
+      useFaceStore.getState().updateTracks(data.detections, data.timestamp);
+      // The primary face feeds the fused face + voice stream
+      if (data.detections[0]) {
+        useFusionStore.getState().updateFace(data.detections[0].emotionProbs);
+      }
+    } else if (type === "error") {
+      console.error("[FaceDetector]", data.error);
+    }
+  }, []);
+
   const loadModel = useCallback(async () => {
-    if (sessionRef.current) return sessionRef.current;
+    if (workerRef.current) return workerRef.current;
 
     setIsLoading(true);
     setError(null);
 
     try {
-      ort.env.wasm.wasmPaths =
-        "https://cdn.jsdelivr.net/npm/onnxruntime-web@1.16.3/dist/";
-
-      const options = {
-        executionProviders: ["webgl", "wasm"],
-        graphOptimizationLevel: "all",
-      };
-
-      const session = await ort.InferenceSession.create(
-        "/models/face_emotion.onnx",
-        options
+      const { worker, backend, verified } = await spawnFaceDetector(
+        (progress) => setLoadProgress(progress)
       );
+      worker.onmessage = handleWorkerMessage;
+      workerRef.current = worker;
+      setBackendName(backend);
+      setIsModelVerified(verified);
 
-      sessionRef.current = session;
-
-      if (!processingCanvasRef.current) {
-        processingCanvasRef.current = document.createElement("canvas");
-        processingCanvasRef.current.width = MODEL_INPUT_SIZE;
-        processingCanvasRef.current.height = MODEL_INPUT_SIZE;
-      }
-
-      console.log("Model loaded:", session.handler?.backendName);
-      return session;
+      console.log("Model loaded:", backend);
+      return worker;
     } catch (err) {
       console.error("Model Error:", err);
       setError("Failed to load model. Check /models/face_emotion.onnx");
       throw err;
     } finally {
       setIsLoading(false);
+      setLoadProgress(null);
     }
-  }, []);
+  }, [handleWorkerMessage]);
 
   // --- 2. CAMERA HELPERS ---
 
   // Helper: Hentikan hardware kamera (Tracks)
   const stopTracks = useCallback(() => {
+    workerRef.current?.postMessage({ type: "stop" });
+    if (frameTrackRef.current) {
+      frameTrackRef.current.stop();
+      frameTrackRef.current = null;
+    }
     if (streamRef.current) {
       streamRef.current.getTracks().forEach((track) => track.stop());
       streamRef.current = null;
@@ -136,6 +127,27 @@ export default function FaceEmotionDetector({ className = "" }) {
     }
   }, []);
 
+  // Hand the worker its own copy of the camera track where the browser
+  // supports it, so frames never pass through the main thread; otherwise
+  // the animation loop posts frames
+  const startFrameStream = useCallback((stream) => {
+    const worker = workerRef.current;
+
+    if (typeof MediaStreamTrackProcessor !== "undefined") {
+      const track = stream.getVideoTracks()[0].clone();
+      try {
+        const { readable } = new MediaStreamTrackProcessor({ track });
+        worker.postMessage({ type: "start", readable }, [readable]);
+        frameTrackRef.current = track;
+        return;
+      } catch (err) {
+        console.warn("Frame streaming unavailable:", err);
+        track.stop();
+      }
+    }
+    worker.postMessage({ type: "start" });
+  }, []);
+
   const startCamera = useCallback(async () => {
     try {
       const stream = await navigator.mediaDevices.getUserMedia({
@@ -156,192 +168,44 @@ export default function FaceEmotionDetector({ className = "" }) {
       }
 
       streamRef.current = stream;
+      startFrameStream(stream);
     } catch (err) {
       console.error("Camera Error:", err);
       setError("Camera access denied.");
       throw err;
     }
-  }, []);
+  }, [startFrameStream]);
 
   // --- 3. MANUAL STOP (User Click) ---
   const stopCamera = useCallback(() => {
     stopTracks(); // Matikan Hardware
+    isActiveRef.current = false;
     setIsActive(false); // Matikan Loop
+    useFusionStore.getState().setFaceActive(false);
 
     // Reset Data
-    emotionHistoryRef.current = {};
     setFps(0);
+    setDroppedFrames(0);
     setDisplayDetections([]);
     detectionsRef.current = [];
   }, [stopTracks]);
 
-  // --- 4. PREPROCESSING ---
-  const preprocessImage = useCallback((sourceElement) => {
-    const canvas = processingCanvasRef.current;
-    if (
-      !canvas ||
-      sourceElement.videoWidth === 0 ||
-      sourceElement.videoHeight === 0
-    )
-      return null;
-
-    const ctx = canvas.getContext("2d", { willReadFrequently: true });
-
-    const scale = Math.min(
-      MODEL_INPUT_SIZE / sourceElement.videoWidth,
-      MODEL_INPUT_SIZE / sourceElement.videoHeight
-    );
-    const newWidth = sourceElement.videoWidth * scale;
-    const newHeight = sourceElement.videoHeight * scale;
-    const offsetX = (MODEL_INPUT_SIZE - newWidth) / 2;
-    const offsetY = (MODEL_INPUT_SIZE - newHeight) / 2;
-
-    ctx.fillStyle = "#727272";
-    ctx.fillRect(0, 0, MODEL_INPUT_SIZE, MODEL_INPUT_SIZE);
-    ctx.drawImage(sourceElement, offsetX, offsetY, newWidth, newHeight);
-
-    const imageData = ctx.getImageData(
-      0,
-      0,
-      MODEL_INPUT_SIZE,
-      MODEL_INPUT_SIZE
-    );
-    const { data } = imageData;
-    const floatData = float32DataRef.current;
-
-    for (let i = 0; i < data.length / 4; i++) {
-      floatData[i] = data[i * 4] / 255.0;
-      floatData[i + MODEL_INPUT_SIZE * MODEL_INPUT_SIZE] =
-        data[i * 4 + 1] / 255.0;
-      floatData[i + 2 * MODEL_INPUT_SIZE * MODEL_INPUT_SIZE] =
-        data[i * 4 + 2] / 255.0;
+  // --- 4. FRAME CAPTURE (fallback without MediaStreamTrackProcessor) ---
+  const postFrame = useCallback(async (video) => {
+    try {
+      const frame = await captureFrame(video);
+      if (workerRef.current && isActiveRef.current) {
+        workerRef.current.postMessage({ type: "frame", frame }, [frame]);
+      } else {
+        frame.close();
+      }
+    } catch (e) {
+      console.error("Frame capture error:", e);
     }
-
-    return {
-      tensor: new ort.Tensor("float32", floatData, [
-        1,
-        3,
-        MODEL_INPUT_SIZE,
-        MODEL_INPUT_SIZE,
-      ]),
-      scale,
-      offsetX,
-      offsetY,
-    };
   }, []);
 
-  // --- 5. POST PROCESSING ---
-  const calculateIoU = (box1, box2) => {
-    const x1 = Math.max(box1.x1, box2.x1);
-    const y1 = Math.max(box1.y1, box2.y1);
-    const x2 = Math.min(box1.x2, box2.x2);
-    const y2 = Math.min(box1.y2, box2.y2);
-    const inter = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
-    const area1 = (box1.x2 - box1.x1) * (box1.y2 - box1.y1);
-    const area2 = (box2.x2 - box2.x1) * (box2.y2 - box2.y1);
-    return inter / (area1 + area2 - inter);
-  };
-
-  const processOutput = useCallback(
-    (output, scale, offsetX, offsetY, videoWidth, videoHeight) => {
-      const boxes = [];
-      const numDetections = 8400;
-      const numClasses = 7;
-      const data = output.data;
-
-      for (let i = 0; i < numDetections; i++) {
-        let maxProb = -Infinity;
-        let maxClass = -1;
-        const probs = {};
-
-        for (let c = 0; c < numClasses; c++) {
-          const prob = data[(4 + c) * numDetections + i];
-          probs[FACE_EMOTION_LABELS[c]] = prob;
-          if (prob > maxProb) {
-            maxProb = prob;
-            maxClass = c;
-          }
-        }
-
-        if (maxProb < CONFIDENCE_THRESHOLD) continue;
-
-        const cx = data[0 * numDetections + i];
-        const cy = data[1 * numDetections + i];
-        const w = data[2 * numDetections + i];
-        const h = data[3 * numDetections + i];
-
-        const x1 = (cx - w / 2 - offsetX) / scale;
-        const y1 = (cy - h / 2 - offsetY) / scale;
-        const x2 = (cx + w / 2 - offsetX) / scale;
-        const y2 = (cy + h / 2 - offsetY) / scale;
-
-        boxes.push({
-          bbox: {
-            x1: Math.max(0, x1),
-            y1: Math.max(0, y1),
-            x2: Math.min(videoWidth, x2),
-            y2: Math.min(videoHeight, y2),
-          },
-          prob: maxProb,
-          classId: maxClass,
-          probs: probs,
-        });
-      }
-
-      boxes.sort((a, b) => b.prob - a.prob);
-      const result = [];
-      const active = new Array(boxes.length).fill(true);
-
-      for (let i = 0; i < boxes.length; i++) {
-        if (!active[i]) continue;
-
-        const rawProbs = boxes[i].probs;
-        const smoothedProbs = {};
-        let maxSmoothedProb = 0;
-        let finalEmotion = FACE_EMOTION_LABELS[boxes[i].classId];
-
-        const prevProbs = emotionHistoryRef.current[0] || null;
-
-        FACE_EMOTION_LABELS.forEach((label) => {
-          const current = rawProbs[label];
-          const prev = prevProbs ? prevProbs[label] : current;
-          const smoothed =
-            EMOTION_SMOOTHING_FACTOR * prev +
-            (1 - EMOTION_SMOOTHING_FACTOR) * current;
-          smoothedProbs[label] = smoothed;
-
-          if (smoothed > maxSmoothedProb) {
-            maxSmoothedProb = smoothed;
-            finalEmotion = label;
-          }
-        });
-
-        emotionHistoryRef.current[0] = smoothedProbs;
-
-        result.push({
-          ...boxes[i],
-          emotion: finalEmotion,
-          confidence: maxSmoothedProb,
-          emotionProbs: smoothedProbs,
-        });
-
-        for (let j = i + 1; j < boxes.length; j++) {
-          if (
-            active[j] &&
-            calculateIoU(boxes[i].bbox, boxes[j].bbox) > IOU_THRESHOLD
-          ) {
-            active[j] = false;
-          }
-        }
-      }
-
-      return result;
-    },
-    []
-  );
-
-  // --- 6. ANIMATION LOOP ---
-  const tick = useCallback(async () => {
+  // --- 5. ANIMATION LOOP ---
+  const tick = useCallback(() => {
     if (!isActive) return;
 
     const video = videoRef.current;
@@ -368,47 +232,22 @@ export default function FaceEmotionDetector({ className = "" }) {
     ctx.drawImage(video, -canvas.width, 0, canvas.width, canvas.height);
     ctx.restore();
 
-    // Inference
+    // Feed the detector; the worker drops frames when it falls behind
     const now = performance.now();
     if (
-      now - lastInferenceTimeRef.current >= INFERENCE_INTERVAL &&
-      !isLoading &&
-      sessionRef.current
+      !frameTrackRef.current &&
+      now - lastFrameSentRef.current >= INFERENCE_INTERVAL
     ) {
-      lastInferenceTimeRef.current = now;
-
-      try {
-        const tStart = performance.now();
-        const preprocessed = preprocessImage(video);
-
-        if (preprocessed) {
-          const { tensor, scale, offsetX, offsetY } = preprocessed;
-          const feeds = { images: tensor };
-          const outputMap = await sessionRef.current.run(feeds);
-          const output = outputMap[sessionRef.current.outputNames[0]];
-
-          const dets = processOutput(
-            output,
-            scale,
-            offsetX,
-            offsetY,
-            canvas.width,
-            canvas.height
-          );
-
-          detectionsRef.current = dets;
-          setDisplayDetections(dets);
-          setInferenceTime(Math.round(performance.now() - tStart));
-        }
-      } catch (e) {
-        console.error("Inference Error:", e);
-      }
+      lastFrameSentRef.current = now;
+      postFrame(video);
     }
 
     // Draw Overlays
+    const { people } = useFaceStore.getState();
     detectionsRef.current.forEach((det) => {
-      const { bbox, emotion, confidence } = det;
+      const { bbox, emotion, confidence, trackId } = det;
       const color = FACE_EMOTION_COLORS[emotion];
+      const name = people[trackId]?.name || `Person ${trackId}`;
 
       ctx.strokeStyle = color;
       ctx.lineWidth = 4;
@@ -417,7 +256,7 @@ export default function FaceEmotionDetector({ className = "" }) {
       ctx.stroke();
 
       ctx.fillStyle = color;
-      const label = `${
+      const label = `${name} · ${
         FACE_EMOTION_EMOJIS[emotion]
       } ${emotion.toUpperCase()} ${(confidence * 100).toFixed(0)}%`;
       ctx.font = "bold 16px sans-serif";
@@ -436,24 +275,28 @@ export default function FaceEmotionDetector({ className = "" }) {
     }
 
     requestRef.current = requestAnimationFrame(tick);
-  }, [isActive, isLoading, preprocessImage, processOutput]);
+  }, [isActive, postFrame]);
 
-  // --- 7. TOGGLE HANDLER ---
+  // --- 6. TOGGLE HANDLER ---
   const toggle = useCallback(async () => {
     if (isActive) {
       stopCamera();
     } else {
       try {
         await loadModel();
+        useFaceStore.getState().reset();
+        isActiveRef.current = true;
         await startCamera();
         setIsActive(true); // Mulai Loop
+        useFusionStore.getState().setFaceActive(true);
       } catch (err) {
+        isActiveRef.current = false;
         console.error("Initialization Failed:", err);
       }
     }
   }, [isActive, loadModel, startCamera, stopCamera]);
 
-  // --- 8. EFFECTS (DIPISAH SUPAYA TIDAK MEMATIKAN KAMERA) ---
+  // --- 7. EFFECTS (DIPISAH SUPAYA TIDAK MEMATIKAN KAMERA) ---
 
   // Effect A: Handle Animation Loop (Hanya cancel animasi, JANGAN matikan tracks)
   useEffect(() => {
@@ -472,6 +315,10 @@ export default function FaceEmotionDetector({ className = "" }) {
   useEffect(() => {
     return () => {
       stopTracks(); // Matikan kamera hanya jika user menutup halaman
+      isActiveRef.current = false;
+      workerRef.current?.terminate();
+      workerRef.current = null;
+      useFusionStore.getState().setFaceActive(false);
     };
   }, [stopTracks]);
 
@@ -514,6 +361,20 @@ export default function FaceEmotionDetector({ className = "" }) {
                 <Users className="w-3 h-3" /> {displayDetections.length}
               </span>
               <span className="flex items-center gap-1">FPS: {fps}</span>
+              {droppedFrames > 0 && (
+                <span title="Frames skipped while the detector was busy">
+                  Dropped: {droppedFrames}
+                </span>
+              )}
+              {backendName && <span>{backendName}</span>}
+              {isModelVerified === false && (
+                <span
+                  className="text-amber-400"
+                  title="Set VITE_FACE_MODEL_SHA256 to verify the model file"
+                >
+                  Unverified model
+                </span>
+              )}
             </div>
           </div>
         </div>
@@ -567,6 +428,11 @@ export default function FaceEmotionDetector({ className = "" }) {
               className="animate-spin text-emerald-500 mb-4"
             />
             <p className="text-white font-medium">Loading AI Model...</p>
+            <ModelLoadProgress
+              progress={loadProgress}
+              color="#10B981"
+              className="mt-4 w-64"
+            />
           </div>
         )}
 
@@ -578,7 +444,9 @@ export default function FaceEmotionDetector({ className = "" }) {
             <p className="text-xl font-medium text-slate-300">
               Ready to Initialize
             </p>
-            <p className="text-sm mt-2">Uses WebGL & Temporal Smoothing</p>
+            <p className="text-sm mt-2">
+              Runs in a background worker with temporal smoothing
+            </p>
           </div>
         )}
 
@@ -0,0 +1,123 @@
+/**
+ * Face Timelines Component
+ * One nameable, saveable emotion timeline per tracked face
+ */
+
+import { Save, Check, Trash2, Eye, EyeOff } from "lucide-react";
+import { useFaceStore } from "../stores/faceStore";
+import { useAuthStore } from "../stores/authStore";
+import { EMOTION_COLORS, EMOTION_EMOJIS } from "../utils/emotions";
+import { FACE_LABEL_MAP } from "../utils/fusion";
+
+// Entries shown per person (~15 seconds)
+const VISIBLE_ENTRIES = 60;
+
+const colorOf = (faceLabel) =>
+  EMOTION_COLORS[FACE_LABEL_MAP[faceLabel] ?? faceLabel] ||
+  EMOTION_COLORS.neutral;
+
+export default function FaceTimelines({ className = "" }) {
+  const { isAuthenticated } = useAuthStore();
+  const {
+    people,
+    isSaving,
+    error,
+    renamePerson,
+    removePerson,
+    savePerson,
+    clearError,
+  } = useFaceStore();
+
+  const list = Object.values(people).sort((a, b) => a.firstSeen - b.firstSeen);
+  if (list.length === 0) return null;
+
+  return (
+    <div className={`glass-card p-6 ${className}`}>
+      <h3 className="text-lg font-semibold text-white mb-4">People</h3>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-500/10 border border-red-500/30 rounded-xl flex items-center gap-2">
+          <p className="flex-1 text-sm text-red-400">{error}</p>
+          <button onClick={clearError} className="text-xs text-gray-400">
+            Dismiss
+          </button>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        {list.map((person) => {
+          const latest = person.timeline[person.timeline.length - 1];
+          const emotion = latest ? FACE_LABEL_MAP[latest.emotion] : null;
+
+          return (
+            <div key={person.id} className="p-3 bg-white/5 rounded-xl">
+              <div className="flex items-center gap-3 mb-2">
+                {person.isVisible ? (
+                  <Eye className="w-4 h-4 text-emerald-400 flex-shrink-0" />
+                ) : (
+                  <EyeOff className="w-4 h-4 text-gray-600 flex-shrink-0" />
+                )}
+                <input
+                  type="text"
+                  value={person.name}
+                  onChange={(e) => renamePerson(person.id, e.target.value)}
+                  className="flex-1 min-w-0 bg-transparent text-sm font-medium text-white border-b border-transparent focus:border-white/20 focus:outline-none"
+                  aria-label={`Name of person ${person.id}`}
+                />
+                {emotion && (
+                  <span
+                    className="text-xs capitalize"
+                    style={{ color: colorOf(latest.emotion) }}
+                  >
+                    {EMOTION_EMOJIS[emotion]} {emotion}
+                  </span>
+                )}
+                {isAuthenticated && (
+                  <button
+                    onClick={() => savePerson(person.id)}
+                    disabled={isSaving || person.timeline.length === 0}
+                    className="btn-ghost p-1.5"
+                    title={
+                      person.savedSessionId
+                        ? "Saved - save again to include new data"
+                        : "Save timeline as a session"
+                    }
+                  >
+                    {person.savedSessionId ? (
+                      <Check className="w-4 h-4 text-emerald-400" />
+                    ) : (
+                      <Save className="w-4 h-4" />
+                    )}
+                  </button>
+                )}
+                <button
+                  onClick={() => removePerson(person.id)}
+                  className="btn-ghost p-1.5 hover:text-red-400"
+                  title="Remove timeline"
+                >
+                  <Trash2 className="w-4 h-4" />
+                </button>
+              </div>
+
+              <div className="flex gap-px h-4 rounded overflow-hidden bg-white/5">
+                {person.timeline.slice(-VISIBLE_ENTRIES).map((entry, i) => (
+                  <div
+                    key={i}
+                    className="flex-1"
+                    style={{
+                      backgroundColor: colorOf(entry.emotion),
+                      opacity: 0.4 + 0.6 * entry.confidence,
+                    }}
+                    title={`${
+                      FACE_LABEL_MAP[entry.emotion] ?? entry.emotion
+                    } ${Math.round(entry.confidence * 100)}%`}
+                  />
+                ))}
+              </div>
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
@@ -3,7 +3,7 @@
  * Standalone drag & drop audio file analysis (separate from live mic)
  */
 
-import { useState, useRef, useCallback } from "react";
+import { useState, useRef, useCallback, useEffect } from "react";
 import {
   Upload,
   FileAudio,
@@ -14,13 +14,12 @@ import {
   Check,
   AlertCircle,
 } from "lucide-react";
-import { processUploadedFile } from "../utils/audioHelper";
+import { useEmotionStore } from "../stores/emotionStore";
+import { getInferenceSettings } from "../stores/settingsStore";
+import { decodeForAnalysis } from "../utils/audioHelper";
 import { analyzeAudioFile } from "../utils/fileInference";
-import {
-  EMOTION_LABELS,
-  EMOTION_COLORS,
-  EMOTION_EMOJIS,
-} from "../utils/emotions";
+import { EMOTION_COLORS, EMOTION_EMOJIS } from "../utils/emotions";
+import EmotionTimeline from "./EmotionTimeline";
 
 export default function FileAnalyzer({ className = "" }) {
   const [isDragging, setIsDragging] = useState(false);
@@ -75,9 +74,9 @@ export default function FileAnalyzer({ className = "" }) {
       const url = URL.createObjectURL(file);
       setAudioUrl(url);
 
-      // Process file (resample to 16kHz mono)
+      // Decode at the file's own rate; analysis resamples to the model rate
       console.log("[FileAnalyzer] Processing file:", file.name);
-      const processedBuffer = await processUploadedFile(file, 16000);
+      const processedBuffer = await decodeForAnalysis(file);
       setAudioBuffer(processedBuffer);
       setDuration(processedBuffer.duration);
       console.log(
@@ -89,7 +88,12 @@ export default function FileAnalyzer({ className = "" }) {
       // Analyze the file
       setIsAnalyzing(true);
       console.log("[FileAnalyzer] Starting analysis...");
-      const analysisResult = await analyzeAudioFile(processedBuffer);
+      // Same model as the live session
+      const analysisResult = await analyzeAudioFile(
+        processedBuffer,
+        useEmotionStore.getState().modelPath,
+        getInferenceSettings()
+      );
 
       if (analysisResult) {
         setResult(analysisResult);
@@ -171,12 +175,31 @@ export default function FileAnalyzer({ className = "" }) {
     }
   };
 
-  const handleSeek = (e) => {
+  // timeupdate only fires a few times a second; follow playback per frame
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let rafId;
+    const tick = () => {
+      handleTimeUpdate();
+      rafId = requestAnimationFrame(tick);
+    };
+    rafId = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(rafId);
+  }, [isPlaying]);
+
+  const seekTo = (time) => {
     if (audioRef.current) {
-      audioRef.current.currentTime = Number(e.target.value);
+      audioRef.current.currentTime = time;
+      setCurrentTime(time);
     }
   };
 
+  const handleSeek = (e) => {
+    seekTo(Number(e.target.value));
+  };
+
   const handleClear = () => {
     if (audioRef.current) {
       audioRef.current.pause();
@@ -335,7 +358,8 @@ export default function FileAnalyzer({ className = "" }) {
                     {dominantEmotion}
                   </p>
                   <p className="text-sm text-gray-400">
-                    {(result.confidence * 100).toFixed(1)}% confidence
+                    {(result.confidence * 100).toFixed(1)}%{" "}
+                    {result.calibrated ? "calibrated confidence" : "confidence"}
                   </p>
                 </div>
                 <Check className="w-6 h-6 ml-auto text-green-400" />
@@ -343,7 +367,7 @@ export default function FileAnalyzer({ className = "" }) {
 
               {/* All emotions */}
               <div className="grid grid-cols-2 gap-2">
-                {EMOTION_LABELS.map((emotion) => {
+                {result.labels.map((emotion) => {
                   const value = result.emotions[emotion] || 0;
                   const color = EMOTION_COLORS[emotion];
                   const emoji = EMOTION_EMOJIS[emotion];
@@ -366,6 +390,18 @@ export default function FileAnalyzer({ className = "" }) {
                 })}
               </div>
 
+              {/* Per-segment timeline */}
+              {result.timeline?.length > 0 && (
+                <EmotionTimeline
+                  segments={result.timeline}
+                  labels={result.labels}
+                  duration={duration}
+                  currentTime={currentTime}
+                  onSeek={seekTo}
+                  className="mt-4"
+                />
+              )}
+
               {/* Inference time */}
               <p className="text-xs text-gray-500 mt-3 text-center">
                 Analyzed in {result.inferenceTime?.toFixed(0) || 0}ms
@@ -2,6 +2,7 @@
  * Layout Component - Main app layout with sidebar navigation
  */
 
+import { useEffect } from "react";
 import { NavLink, Outlet } from "react-router-dom";
 import {
   Mic,
@@ -14,11 +15,23 @@ import {
 } from "lucide-react";
 import { useAuthStore } from "../stores/authStore";
 import { useEmotionStore } from "../stores/emotionStore";
+import { useAlertStore } from "../stores/alertStore";
 import { EMOTION_COLORS } from "../utils/emotions";
+import AlertToasts from "./AlertToasts";
 
 export default function Layout() {
   const { user, signOut, isAuthenticated } = useAuthStore();
   const { dominantEmotion, isInferenceRunning } = useEmotionStore();
+  const { fetchRules, clearRules } = useAlertStore();
+
+  // Alert rules are per user and evaluated on every page
+  useEffect(() => {
+    if (isAuthenticated) {
+      fetchRules();
+    } else {
+      clearRules();
+    }
+  }, [isAuthenticated]);
 
   const currentColor =
     EMOTION_COLORS[dominantEmotion] || EMOTION_COLORS.neutral;
@@ -122,6 +135,8 @@ export default function Layout() {
       <main className="flex-1 overflow-auto">
         <Outlet />
       </main>
+
+      <AlertToasts />
     </div>
   );
 }
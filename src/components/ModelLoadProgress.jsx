@@ -0,0 +1,52 @@
+/**
+ * Model Load Progress Component
+ * Download bar and warm-up state while an ONNX model is loading, with a
+ * warning when the model file can't be checked against a SHA-256
+ */
+
+const formatMegabytes = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+export default function ModelLoadProgress({
+  progress,
+  color = "#6366F1",
+  className = "",
+}) {
+  if (!progress) return null;
+
+  const { phase, loaded = 0, total, verified } = progress;
+  const isWarmup = phase === "warmup";
+  // Without Content-Length only the byte count is known
+  const percent = isWarmup
+    ? 100
+    : total
+    ? Math.min(100, (loaded / total) * 100)
+    : null;
+
+  return (
+    <div className={className}>
+      <div className="flex items-center justify-between text-xs text-gray-400 mb-1">
+        <span>{isWarmup ? "Warming up model..." : "Downloading model..."}</span>
+        {!isWarmup && (
+          <span className="font-mono">
+            {total
+              ? `${formatMegabytes(loaded)} / ${formatMegabytes(total)}`
+              : formatMegabytes(loaded)}
+          </span>
+        )}
+      </div>
+      <div className="h-1.5 bg-white/10 rounded-full overflow-hidden">
+        <div
+          className={`h-full rounded-full transition-all duration-300 ${
+            percent === null || isWarmup ? "animate-pulse" : ""
+          }`}
+          style={{ width: `${percent ?? 100}%`, backgroundColor: color }}
+        />
+      </div>
+      {verified === false && (
+        <p className="text-xs text-amber-400 mt-1">
+          No SHA-256 for this model; the downloaded file is not verified.
+        </p>
+      )}
+    </div>
+  );
+}
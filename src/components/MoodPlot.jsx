@@ -0,0 +1,156 @@
+/**
+ * Mood Plot Component
+ * Valence-arousal plane with the current mood and its recent trail
+ */
+
+import { useMemo } from "react";
+import { useEmotionStore } from "../stores/emotionStore";
+import { EMOTION_COLORS } from "../utils/emotions";
+import {
+  DIMENSIONS,
+  MOOD_QUADRANTS,
+  getMoodQuadrant,
+} from "../utils/dimensions";
+
+// Quadrant label positions in plot units (valence, arousal)
+const QUADRANT_LABELS = [
+  { key: "excited", x: 0.55, y: 0.85 },
+  { key: "stressed", x: -0.55, y: 0.85 },
+  { key: "depressed", x: -0.55, y: -0.85 },
+  { key: "relaxed", x: 0.55, y: -0.85 },
+];
+
+export default function MoodPlot({ size = 280, className = "" }) {
+  const { dimensions, emotionHistory, dominantEmotion, isInferenceRunning } =
+    useEmotionStore();
+
+  const currentColor =
+    EMOTION_COLORS[dominantEmotion] || EMOTION_COLORS.neutral;
+  const quadrant = getMoodQuadrant(dimensions);
+
+  const half = size / 2;
+  const toX = (valence) => half + valence * (half - 8);
+  const toY = (arousal) => half - arousal * (half - 8);
+
+  // Recent voiced positions, oldest first
+  const trail = useMemo(
+    () =>
+      emotionHistory
+        .filter((entry) => entry.dimensions && !entry.isSilence)
+        .slice(-20)
+        .map((entry) => ({
+          x: toX(entry.dimensions.valence),
+          y: toY(entry.dimensions.arousal),
+        })),
+    [emotionHistory, size]
+  );
+
+  const trailPath = trail
+    .map((p, i) => `${i === 0 ? "M" : "L"} ${p.x},${p.y}`)
+    .join(" ");
+
+  return (
+    <div className={`glass-card p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">Mood Map</h3>
+        <span
+          className="text-sm font-medium"
+          style={{ color: MOOD_QUADRANTS[quadrant].color }}
+        >
+          {MOOD_QUADRANTS[quadrant].name}
+        </span>
+      </div>
+
+      <svg width={size} height={size} className="mx-auto">
+        {/* Background and axes */}
+        <rect
+          x="0"
+          y="0"
+          width={size}
+          height={size}
+          rx="12"
+          fill="rgba(255,255,255,0.03)"
+        />
+        <line
+          x1={half}
+          y1="0"
+          x2={half}
+          y2={size}
+          stroke="rgba(255,255,255,0.1)"
+        />
+        <line
+          x1="0"
+          y1={half}
+          x2={size}
+          y2={half}
+          stroke="rgba(255,255,255,0.1)"
+        />
+
+        {QUADRANT_LABELS.map(({ key, x, y }) => (
+          <text
+            key={key}
+            x={toX(x)}
+            y={toY(y)}
+            textAnchor="middle"
+            dominantBaseline="middle"
+            fontSize="11"
+            fill={MOOD_QUADRANTS[key].color}
+            opacity={quadrant === key ? 0.9 : 0.35}
+          >
+            {MOOD_QUADRANTS[key].name}
+          </text>
+        ))}
+
+        {/* Axis labels */}
+        <text
+          x={size - 4}
+          y={half - 6}
+          textAnchor="end"
+          fontSize="10"
+          fill="#6B7280"
+        >
+          valence +
+        </text>
+        <text x={half + 6} y="12" fontSize="10" fill="#6B7280">
+          arousal +
+        </text>
+
+        {/* Trail */}
+        {trail.length > 1 && (
+          <path
+            d={trailPath}
+            fill="none"
+            stroke={currentColor}
+            strokeWidth="1.5"
+            strokeLinejoin="round"
+            opacity="0.35"
+          />
+        )}
+
+        {/* Current position; size follows dominance */}
+        <circle
+          cx={toX(dimensions.valence)}
+          cy={toY(dimensions.arousal)}
+          r={6 + (dimensions.dominance + 1) * 3}
+          fill={currentColor}
+          stroke="white"
+          strokeWidth="2"
+          opacity={isInferenceRunning ? 1 : 0.4}
+          className="transition-all duration-300"
+        />
+      </svg>
+
+      <div className="grid grid-cols-3 gap-2 mt-4 text-center text-xs">
+        {DIMENSIONS.map((dimension) => (
+          <div key={dimension} className="p-2 rounded-lg bg-white/5">
+            <p className="text-gray-500 capitalize">{dimension}</p>
+            <p className="font-mono text-white">
+              {dimensions[dimension] >= 0 ? "+" : ""}
+              {dimensions[dimension].toFixed(2)}
+            </p>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+/**
+ * Multimodal Timeline Component
+ * Voice, face and fused emotion tracks side by side
+ */
+
+import { useMemo } from "react";
+import { useFusionStore } from "../stores/fusionStore";
+import { EMOTION_COLORS, EMOTION_EMOJIS } from "../utils/emotions";
+
+// Entries shown per track (~15 seconds at the fusion tick rate)
+const VISIBLE_ENTRIES = 60;
+
+const TRACKS = [
+  { key: "voice", label: "Voice" },
+  { key: "face", label: "Face" },
+  { key: "fused", label: "Fused" },
+];
+
+export default function MultimodalTimeline({ className = "" }) {
+  const { timeline, fused } = useFusionStore();
+
+  const visible = useMemo(() => timeline.slice(-VISIBLE_ENTRIES), [timeline]);
+
+  const fusedColor = fused
+    ? EMOTION_COLORS[fused.dominant] || EMOTION_COLORS.neutral
+    : EMOTION_COLORS.neutral;
+
+  return (
+    <div className={`glass-card p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-semibold text-white">Face + Voice</h3>
+        {fused && (
+          <div className="flex items-center gap-2 text-sm">
+            <span className="text-xl">{EMOTION_EMOJIS[fused.dominant]}</span>
+            <span
+              className="font-medium capitalize"
+              style={{ color: fusedColor }}
+            >
+              {fused.dominant}
+            </span>
+            <span className="text-gray-500 font-mono">
+              {Math.round(fused.confidence * 100)}%
+            </span>
+          </div>
+        )}
+      </div>
+
+      {visible.length === 0 ? (
+        <div className="h-24 flex items-center justify-center text-gray-500 text-sm">
+          Waiting for face and voice predictions...
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {TRACKS.map(({ key, label }) => (
+            <div key={key} className="flex items-center gap-3">
+              <span className="w-12 text-xs text-gray-400">{label}</span>
+              <div className="flex-1 flex gap-px h-5 rounded-md overflow-hidden bg-white/5">
+                {visible.map((entry, i) => {
+                  const prediction = entry[key];
+                  return (
+                    <div
+                      key={i}
+                      className="flex-1 transition-colors duration-200"
+                      style={{
+                        backgroundColor: prediction
+                          ? EMOTION_COLORS[prediction.dominant] ||
+                            EMOTION_COLORS.neutral
+                          : "transparent",
+                        opacity: prediction
+                          ? 0.4 + 0.6 * prediction.confidence
+                          : 1,
+                      }}
+                      title={
+                        prediction
+                          ? `${prediction.dominant} ${Math.round(
+                              prediction.confidence * 100
+                            )}%`
+                          : "No prediction"
+                      }
+                    />
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* How much each modality counted in the latest fused prediction */}
+      {fused && (
+        <div className="mt-4 flex items-center gap-3 text-xs text-gray-400">
+          <span>Weight</span>
+          <div className="flex-1 flex h-1.5 rounded-full overflow-hidden bg-white/5">
+            <div
+              className="bg-indigo-400 transition-all duration-300"
+              style={{ width: `${(fused.contributions.voice || 0) * 100}%` }}
+            />
+            <div
+              className="bg-emerald-400 transition-all duration-300"
+              style={{ width: `${(fused.contributions.face || 0) * 100}%` }}
+            />
+          </div>
+          <span className="text-indigo-400">
+            voice {Math.round((fused.contributions.voice || 0) * 100)}%
+          </span>
+          <span className="text-emerald-400">
+            face {Math.round((fused.contributions.face || 0) * 100)}%
+          </span>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -5,14 +5,11 @@
 
 import { useMemo } from "react";
 import { useEmotionStore } from "../stores/emotionStore";
-import {
-  EMOTION_LABELS,
-  EMOTION_COLORS,
-  EMOTION_EMOJIS,
-} from "../utils/emotions";
+import { EMOTION_COLORS, EMOTION_EMOJIS } from "../utils/emotions";
 
 export default function RadarChart({ size = 300, className = "" }) {
-  const { emotions, dominantEmotion, isInferenceRunning } = useEmotionStore();
+  const { emotions, emotionLabels, dominantEmotion, isInferenceRunning } =
+    useEmotionStore();
 
   const currentColor =
     EMOTION_COLORS[dominantEmotion] || EMOTION_COLORS.neutral;
@@ -21,7 +18,7 @@ export default function RadarChart({ size = 300, className = "" }) {
   const chartData = useMemo(() => {
     const center = size / 2;
     const radius = size / 2 - 40;
-    const numPoints = EMOTION_LABELS.length;
+    const numPoints = emotionLabels.length;
     const angleStep = (2 * Math.PI) / numPoints;
 
     // Background grid circles
@@ -31,7 +28,7 @@ export default function RadarChart({ size = 300, className = "" }) {
     }));
 
     // Axis lines and labels
-    const axes = EMOTION_LABELS.map((label, i) => {
+    const axes = emotionLabels.map((label, i) => {
       const angle = -Math.PI / 2 + i * angleStep;
       return {
         label,
@@ -47,7 +44,7 @@ export default function RadarChart({ size = 300, className = "" }) {
     });
 
     // Data polygon points
-    const dataPoints = EMOTION_LABELS.map((label, i) => {
+    const dataPoints = emotionLabels.map((label, i) => {
       const value = emotions[label] || 0;
       const angle = -Math.PI / 2 + i * angleStep;
       const r = radius * value;
@@ -67,7 +64,7 @@ export default function RadarChart({ size = 300, className = "" }) {
         .join(" ") + " Z";
 
     return { center, radius, gridCircles, axes, dataPoints, dataPath };
-  }, [emotions, size]);
+  }, [emotions, emotionLabels, size]);
 
   return (
     <div className={`glass-card p-6 ${className}`}>
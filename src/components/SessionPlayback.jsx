@@ -0,0 +1,209 @@
+/**
+ * Session Playback Component
+ * Plays a session's locally recorded audio with its emotion timeline
+ * scrolling along
+ */
+
+import { useEffect, useRef, useState } from "react";
+import { Loader2, AlertCircle, Trash2 } from "lucide-react";
+import { sessionsApi } from "../lib/api";
+import { EMOTION_LABELS } from "../utils/emotions";
+import { deleteRecording, getRecording } from "../utils/recordingDb";
+import EmotionTimeline from "./EmotionTimeline";
+
+// Timeline width per second of audio; longer sessions scroll
+const PIXELS_PER_SECOND = 12;
+// Length of the last prediction's segment (one live hop)
+const LAST_SEGMENT_SECONDS = 0.5;
+
+/**
+ * Saved predictions as timeline segments, in seconds from the recording start
+ */
+function toSegments(predictions, startedAt, duration) {
+  const starts = predictions.map(
+    (prediction) =>
+      (new Date(prediction.timestamp).getTime() - startedAt) / 1000
+  );
+
+  return predictions
+    .map((prediction, i) => ({
+      start: Math.max(0, starts[i]),
+      end: Math.min(
+        duration,
+        i + 1 < starts.length ? starts[i + 1] : starts[i] + LAST_SEGMENT_SECONDS
+      ),
+      emotions: prediction.emotions,
+      rawEmotions: prediction.emotions,
+      dominant: prediction.dominant,
+      confidence: prediction.confidence,
+      isSilence: false,
+    }))
+    .filter((segment) => segment.end > segment.start);
+}
+
+export default function SessionPlayback({
+  sessionId,
+  onDeleted,
+  className = "",
+}) {
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [recording, setRecording] = useState(null);
+  const [audioUrl, setAudioUrl] = useState(null);
+  const [segments, setSegments] = useState([]);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  const audioRef = useRef(null);
+  const scrollRef = useRef(null);
+
+  // Load the recording and the session's predictions
+  useEffect(() => {
+    let cancelled = false;
+    let url = null;
+
+    const load = async () => {
+      try {
+        const [stored, { session }] = await Promise.all([
+          getRecording(sessionId),
+          sessionsApi.getById(sessionId),
+        ]);
+        if (cancelled) return;
+        if (!stored) {
+          throw new Error("No recording for this session on this device");
+        }
+
+        url = URL.createObjectURL(stored.blob);
+        setRecording(stored);
+        setAudioUrl(url);
+        setSegments(
+          toSegments(
+            session.predictions || [],
+            stored.startedAt,
+            stored.duration
+          )
+        );
+      } catch (err) {
+        if (!cancelled) setError(err.message);
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    load();
+
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [sessionId]);
+
+  // timeupdate only fires a few times a second; follow playback per frame
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let rafId;
+    const tick = () => {
+      if (audioRef.current) {
+        setCurrentTime(audioRef.current.currentTime);
+      }
+      rafId = requestAnimationFrame(tick);
+    };
+    rafId = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(rafId);
+  }, [isPlaying]);
+
+  // Keep the playhead in the middle of the visible part
+  useEffect(() => {
+    const container = scrollRef.current;
+    if (!container || !recording?.duration) return;
+
+    const playheadX =
+      (currentTime / recording.duration) * container.scrollWidth;
+    container.scrollLeft = playheadX - container.clientWidth / 2;
+  }, [currentTime, recording]);
+
+  const seekTo = (time) => {
+    if (audioRef.current) {
+      audioRef.current.currentTime = time;
+      setCurrentTime(time);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!window.confirm("Delete the recorded audio of this session?")) return;
+    try {
+      await deleteRecording(sessionId);
+      onDeleted?.();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className={`flex items-center justify-center py-6 ${className}`}>
+        <Loader2 className="w-6 h-6 text-indigo-500 animate-spin" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div
+        className={`flex items-center gap-2 p-3 bg-red-500/10 border border-red-500/20 rounded-xl ${className}`}
+      >
+        <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0" />
+        <p className="text-sm text-red-400">{error}</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className={`space-y-4 ${className}`}>
+      <div className="flex items-center gap-3">
+        {/* MediaRecorder files often report no duration; the stored one is used */}
+        <audio
+          ref={audioRef}
+          src={audioUrl}
+          controls
+          className="flex-1 h-10"
+          onTimeUpdate={() => setCurrentTime(audioRef.current.currentTime)}
+          onPlay={() => setIsPlaying(true)}
+          onPause={() => setIsPlaying(false)}
+          onEnded={() => setIsPlaying(false)}
+        />
+        <button
+          onClick={handleDelete}
+          className="btn-icon hover:bg-red-500/10"
+          title="Delete recorded audio"
+        >
+          <Trash2 className="w-4 h-4 text-gray-400 hover:text-red-400" />
+        </button>
+      </div>
+
+      {segments.length > 0 ? (
+        <div ref={scrollRef} className="overflow-x-auto">
+          <div
+            style={{
+              width: `max(100%, ${recording.duration * PIXELS_PER_SECOND}px)`,
+            }}
+          >
+            <EmotionTimeline
+              segments={segments}
+              labels={EMOTION_LABELS}
+              duration={recording.duration}
+              currentTime={currentTime}
+              onSeek={seekTo}
+            />
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-gray-500">
+          No predictions were saved during this recording.
+        </p>
+      )}
+    </div>
+  );
+}
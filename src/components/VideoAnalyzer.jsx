@@ -0,0 +1,425 @@
+/**
+ * Video Analyzer Component
+ * Face emotions per sampled frame plus voice emotions from the audio track
+ * of an uploaded video, on one timeline under the player
+ */
+
+import { useState, useRef, useCallback, useEffect } from "react";
+import { Upload, FileVideo, Loader2, Square, AlertCircle } from "lucide-react";
+import { useEmotionStore } from "../stores/emotionStore";
+import { getInferenceSettings } from "../stores/settingsStore";
+import { processUploadedFile } from "../utils/audioHelper";
+import { analyzeAudioFile } from "../utils/fileInference";
+import {
+  FACE_EMOTION_COLORS,
+  FACE_EMOTION_EMOJIS,
+  createFrameDetector,
+  spawnFaceDetector,
+} from "../utils/faceDetection";
+import {
+  buildFaceTracks,
+  detectionsAt,
+  sampleVideoFaces,
+} from "../utils/videoAnalysis";
+import EmotionTimeline from "./EmotionTimeline";
+import ModelLoadProgress from "./ModelLoadProgress";
+
+const PHASE_LABELS = {
+  audio: "Analyzing voice...",
+  model: "Loading face model...",
+  faces: "Analyzing faces...",
+};
+
+export default function VideoAnalyzer({ className = "" }) {
+  const [isDragging, setIsDragging] = useState(false);
+  const [phase, setPhase] = useState(null); // audio | model | faces
+  const [progress, setProgress] = useState(0);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [error, setError] = useState(null);
+  const [audioNote, setAudioNote] = useState(null);
+
+  // File state
+  const [fileName, setFileName] = useState(null);
+  const [videoUrl, setVideoUrl] = useState(null);
+  const [duration, setDuration] = useState(0);
+  const [currentTime, setCurrentTime] = useState(0);
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  // Analysis results
+  const [voiceResult, setVoiceResult] = useState(null);
+  const [faceSamples, setFaceSamples] = useState([]);
+  const [faceTracks, setFaceTracks] = useState([]);
+
+  const fileInputRef = useRef(null);
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const detectorRef = useRef(null); // { worker, detectFrame }
+  const runRef = useRef(0); // Bumped to cancel a running analysis
+  const dragCounterRef = useRef(0);
+
+  const isBusy = phase !== null;
+
+  const resetState = () => {
+    runRef.current++;
+    if (videoUrl) {
+      URL.revokeObjectURL(videoUrl);
+    }
+    setVideoUrl(null);
+    setFileName(null);
+    setDuration(0);
+    setCurrentTime(0);
+    setIsPlaying(false);
+    setVoiceResult(null);
+    setFaceSamples([]);
+    setFaceTracks([]);
+    setAudioNote(null);
+    setError(null);
+    setPhase(null);
+    setProgress(0);
+  };
+
+  // The worker is spawned for the first video and kept for later ones
+  const getDetector = useCallback(async () => {
+    if (!detectorRef.current) {
+      const { worker } = await spawnFaceDetector(setLoadProgress);
+      detectorRef.current = {
+        worker,
+        detectFrame: createFrameDetector(worker),
+      };
+      setLoadProgress(null);
+    }
+    return detectorRef.current;
+  }, []);
+
+  const handleFile = useCallback(
+    async (file) => {
+      if (!file || !file.type.startsWith("video/")) {
+        setError("Please select a video file (MP4, WebM)");
+        return;
+      }
+
+      resetState();
+      const run = runRef.current;
+      const isCancelled = () => run !== runRef.current;
+      const url = URL.createObjectURL(file);
+      setFileName(file.name);
+      setVideoUrl(url);
+
+      try {
+        // Voice: the audio track, decoded like an audio upload
+        setPhase("audio");
+        try {
+          const audioBuffer = await processUploadedFile(file);
+          const result = await analyzeAudioFile(
+            audioBuffer,
+            useEmotionStore.getState().modelPath,
+            getInferenceSettings()
+          );
+          if (isCancelled()) return;
+          setVoiceResult(result);
+        } catch (err) {
+          console.warn("[VideoAnalyzer] No usable audio track:", err);
+          if (isCancelled()) return;
+          setAudioNote("No audio track could be decoded; showing faces only");
+        }
+
+        // Faces: one frame every FACE_SAMPLE_INTERVAL through the worker
+        setPhase("model");
+        const { worker, detectFrame } = await getDetector();
+        if (isCancelled()) return;
+        worker.postMessage({ type: "start" }); // Fresh tracks per video
+
+        setPhase("faces");
+        const { samples, duration: videoDuration } = await sampleVideoFaces(
+          url,
+          detectFrame,
+          { onProgress: setProgress, isCancelled }
+        );
+        if (isCancelled()) return;
+
+        setDuration(videoDuration);
+        setFaceSamples(samples);
+        setFaceTracks(buildFaceTracks(samples));
+      } catch (err) {
+        console.error("[VideoAnalyzer] Error:", err);
+        if (!isCancelled()) {
+          setError(err.message || "Failed to analyze video");
+        }
+      } finally {
+        if (!isCancelled()) setPhase(null);
+      }
+    },
+    [getDetector, videoUrl]
+  );
+
+  // Stop the worker when leaving the page
+  useEffect(() => {
+    return () => {
+      runRef.current++;
+      detectorRef.current?.worker.terminate();
+      detectorRef.current = null;
+    };
+  }, []);
+
+  // Drag & Drop handlers
+  const handleDragEnter = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragCounterRef.current++;
+    if (dragCounterRef.current === 1) {
+      setIsDragging(true);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+  };
+
+  const handleDragLeave = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragCounterRef.current--;
+    if (dragCounterRef.current === 0) {
+      setIsDragging(false);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    dragCounterRef.current = 0;
+    setIsDragging(false);
+
+    if (e.dataTransfer?.files?.length) {
+      handleFile(e.dataTransfer.files[0]);
+    }
+  };
+
+  const handleFileInput = (e) => {
+    if (e.target.files?.length) {
+      handleFile(e.target.files[0]);
+      e.target.value = "";
+    }
+  };
+
+  const handleTimeUpdate = () => {
+    if (videoRef.current) {
+      setCurrentTime(videoRef.current.currentTime);
+    }
+  };
+
+  // timeupdate only fires a few times a second; follow playback per frame
+  useEffect(() => {
+    if (!isPlaying) return;
+
+    let rafId;
+    const tick = () => {
+      handleTimeUpdate();
+      rafId = requestAnimationFrame(tick);
+    };
+    rafId = requestAnimationFrame(tick);
+
+    return () => cancelAnimationFrame(rafId);
+  }, [isPlaying]);
+
+  const seekTo = (time) => {
+    if (videoRef.current) {
+      videoRef.current.currentTime = time;
+      setCurrentTime(time);
+    }
+  };
+
+  // Bounding boxes of the frame under the playhead
+  useEffect(() => {
+    const video = videoRef.current;
+    const canvas = canvasRef.current;
+    if (!video || !canvas || !video.videoWidth) return;
+
+    if (
+      canvas.width !== video.videoWidth ||
+      canvas.height !== video.videoHeight
+    ) {
+      canvas.width = video.videoWidth;
+      canvas.height = video.videoHeight;
+    }
+
+    const ctx = canvas.getContext("2d");
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    detectionsAt(faceSamples, currentTime).forEach((det) => {
+      const { bbox, emotion, confidence, trackId } = det;
+      const color = FACE_EMOTION_COLORS[emotion];
+
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 4;
+      ctx.beginPath();
+      ctx.roundRect(bbox.x1, bbox.y1, bbox.x2 - bbox.x1, bbox.y2 - bbox.y1, 8);
+      ctx.stroke();
+
+      ctx.fillStyle = color;
+      const label = `Face ${trackId} · ${
+        FACE_EMOTION_EMOJIS[emotion]
+      } ${emotion.toUpperCase()} ${(confidence * 100).toFixed(0)}%`;
+      ctx.font = "bold 16px sans-serif";
+      const txtParams = ctx.measureText(label);
+      ctx.fillRect(bbox.x1, bbox.y1 - 30, txtParams.width + 20, 30);
+      ctx.fillStyle = "#fff";
+      ctx.fillText(label, bbox.x1 + 10, bbox.y1 - 10);
+    });
+  }, [faceSamples, currentTime]);
+
+  const hasResults = voiceResult?.timeline?.length > 0 || faceTracks.length;
+
+  return (
+    <div className={`glass-card p-6 ${className}`}>
+      <div className="flex items-center justify-between mb-4">
+        <div>
+          <h3 className="text-lg font-semibold text-white">
+            🎬 Video Analysis
+          </h3>
+          <p className="text-sm text-gray-400">
+            Face and voice emotions of a recorded video
+          </p>
+        </div>
+        {videoUrl && (
+          <button
+            onClick={resetState}
+            className="p-2 rounded-full hover:bg-white/10 transition-colors"
+            title="Clear"
+          >
+            <Square className="w-4 h-4 text-gray-400" />
+          </button>
+        )}
+      </div>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept="video/*"
+        className="hidden"
+        onChange={handleFileInput}
+      />
+
+      {/* Drop Zone */}
+      {!videoUrl && (
+        <div
+          className={`border-2 border-dashed rounded-2xl p-8 text-center cursor-pointer transition-all duration-200 ${
+            isDragging
+              ? "border-[#5A7ACD] bg-[#5A7ACD]/10"
+              : "border-gray-600 hover:border-gray-500 hover:bg-white/5"
+          }`}
+          onDragEnter={handleDragEnter}
+          onDragOver={handleDragOver}
+          onDragLeave={handleDragLeave}
+          onDrop={handleDrop}
+          onClick={() => fileInputRef.current?.click()}
+        >
+          <div className="flex flex-col items-center gap-3">
+            <div
+              className={`p-4 rounded-full transition-colors ${
+                isDragging ? "bg-[#5A7ACD]/20" : "bg-white/5"
+              }`}
+            >
+              {isDragging ? (
+                <FileVideo className="w-8 h-8 text-[#5A7ACD]" />
+              ) : (
+                <Upload className="w-8 h-8 text-gray-400" />
+              )}
+            </div>
+            <div>
+              <p className="text-white font-medium">
+                {isDragging ? "Drop to analyze" : "Drop a video file here"}
+              </p>
+              <p className="text-sm text-gray-400 mt-1">or click to browse</p>
+            </div>
+            <p className="text-xs text-gray-500">MP4 and WebM supported</p>
+          </div>
+        </div>
+      )}
+
+      {/* Player with face overlay */}
+      {videoUrl && (
+        <div className="space-y-4">
+          <p className="text-sm text-white truncate">{fileName}</p>
+          <div className="relative rounded-xl overflow-hidden bg-black">
+            <video
+              ref={videoRef}
+              src={videoUrl}
+              controls
+              playsInline
+              className="w-full h-auto block"
+              onTimeUpdate={handleTimeUpdate}
+              onSeeked={handleTimeUpdate}
+              onPlay={() => setIsPlaying(true)}
+              onPause={() => setIsPlaying(false)}
+              onEnded={() => setIsPlaying(false)}
+              onLoadedMetadata={() =>
+                setDuration(videoRef.current?.duration || 0)
+              }
+            />
+            <canvas
+              ref={canvasRef}
+              className="absolute inset-0 w-full h-full pointer-events-none"
+            />
+          </div>
+
+          {isBusy && (
+            <div className="p-3 bg-white/5 rounded-xl">
+              <div className="flex items-center gap-2 text-sm text-white">
+                <Loader2 className="w-4 h-4 text-[#5A7ACD] animate-spin" />
+                {PHASE_LABELS[phase]}
+                {phase === "faces" && (
+                  <span className="ml-auto font-mono text-gray-400">
+                    {Math.round(progress * 100)}%
+                  </span>
+                )}
+              </div>
+              {phase === "faces" && (
+                <div className="mt-2 h-1.5 bg-gray-700 rounded-full overflow-hidden">
+                  <div
+                    className="h-full bg-[#5A7ACD] transition-all duration-200"
+                    style={{ width: `${progress * 100}%` }}
+                  />
+                </div>
+              )}
+              {phase === "model" && (
+                <ModelLoadProgress
+                  progress={loadProgress}
+                  color="#5A7ACD"
+                  className="mt-2"
+                />
+              )}
+            </div>
+          )}
+
+          {audioNote && <p className="text-xs text-gray-500">{audioNote}</p>}
+
+          {/* Voice + faces on one timeline */}
+          {!isBusy && hasResults && (
+            <EmotionTimeline
+              segments={voiceResult?.timeline || []}
+              labels={voiceResult?.labels || []}
+              duration={duration}
+              currentTime={currentTime}
+              onSeek={seekTo}
+              extraTracks={faceTracks}
+            />
+          )}
+          {!isBusy && !error && !hasResults && (
+            <p className="text-sm text-gray-500">
+              No speech or faces were found in this video.
+            </p>
+          )}
+        </div>
+      )}
+
+      {error && (
+        <div className="flex items-center gap-2 p-3 mt-4 bg-red-500/10 border border-red-500/20 rounded-xl">
+          <AlertCircle className="w-5 h-5 text-red-400 flex-shrink-0" />
+          <p className="text-sm text-red-400">{error}</p>
+        </div>
+      )}
+    </div>
+  );
+}
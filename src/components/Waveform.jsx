@@ -8,9 +8,19 @@ import { useAudioStore } from "../stores/audioStore";
 import { useEmotionStore } from "../stores/emotionStore";
 import { EMOTION_COLORS } from "../utils/emotions";
 
+// Input peak treated as clipped
+const CLIPPING_PEAK = 0.99;
+
 export default function Waveform({ className = "" }) {
-  const { rmsHistory, volume, isRecording, isFilePlaying } = useAudioStore();
-  const { dominantEmotion, confidence, isInferenceRunning } = useEmotionStore();
+  const { rmsHistory, volume, peak, isRecording, isFilePlaying } =
+    useAudioStore();
+  const {
+    dominantEmotion,
+    confidence,
+    isInferenceRunning,
+    isSilence,
+    speechProbability,
+  } = useEmotionStore();
 
   const currentColor =
     EMOTION_COLORS[dominantEmotion] || EMOTION_COLORS.neutral;
@@ -143,6 +153,15 @@ export default function Waveform({ className = "" }) {
             }}
           />
           <span className="text-xs text-gray-400">{statusLabel}</span>
+          {isInferenceRunning && speechProbability !== null && (
+            <span className="text-xs text-gray-500">
+              · {isSilence ? "Silence" : "Speech"}{" "}
+              {Math.round(speechProbability * 100)}%
+            </span>
+          )}
+          {isAudioActive && peak >= CLIPPING_PEAK && (
+            <span className="text-xs text-red-400">· Clipping</span>
+          )}
         </div>
       </div>
     </div>
@@ -279,6 +279,50 @@ export const statsApi = {
   getTrends: async (weeks = 4) => {
     return request(`/stats/trends?weeks=${weeks}`);
   },
+
+  getMood: async (days = 30) => {
+    return request(`/stats/mood?days=${days}`);
+  },
+};
+
+// ==================== Alerts API ====================
+
+export const alertsApi = {
+  getRules: async () => {
+    return request("/alerts/rules");
+  },
+
+  createRule: async (rule) => {
+    return request("/alerts/rules", {
+      method: "POST",
+      body: rule,
+    });
+  },
+
+  updateRule: async (id, data) => {
+    return request(`/alerts/rules/${id}`, {
+      method: "PATCH",
+      body: data,
+    });
+  },
+
+  deleteRule: async (id) => {
+    return request(`/alerts/rules/${id}`, {
+      method: "DELETE",
+    });
+  },
+
+  getEvents: async (params = {}) => {
+    const query = new URLSearchParams(params).toString();
+    return request(`/alerts/events${query ? `?${query}` : ""}`);
+  },
+
+  recordEvent: async (event) => {
+    return request("/alerts/events", {
+      method: "POST",
+      body: event,
+    });
+  },
 };
 
 // Default export with all APIs
@@ -289,6 +333,7 @@ export default {
   users: usersApi,
   tags: tagsApi,
   stats: statsApi,
+  alerts: alertsApi,
   setAuthToken,
   getAuthToken,
   clearAuthToken,
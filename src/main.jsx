@@ -7,6 +7,15 @@ import ReactDOM from "react-dom/client";
 import App from "./App";
 import "./index.css";
 
+// Cache the app shell and WASM for offline use (production builds only)
+if (import.meta.env.PROD && "serviceWorker" in navigator) {
+  window.addEventListener("load", () => {
+    navigator.serviceWorker.register("/sw.js").catch((error) => {
+      console.warn("Service worker registration failed:", error);
+    });
+  });
+}
+
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
     <App />
@@ -3,10 +3,15 @@ import Waveform from "../components/Waveform";
 import EmotionDisplay from "../components/EmotionDisplay";
 import ControlPanel from "../components/ControlPanel";
 import RadarChart from "../components/RadarChart";
+import MoodPlot from "../components/MoodPlot";
 import EmotionHistory from "../components/EmotionHistory";
 import FileAnalyzer from "../components/FileAnalyzer";
+import VideoAnalyzer from "../components/VideoAnalyzer";
+import MultimodalTimeline from "../components/MultimodalTimeline";
+import FaceTimelines from "../components/FaceTimelines";
 import { useEmotionStore } from "../stores/emotionStore";
 import { useAudioStore } from "../stores/audioStore";
+import { useFusionStore } from "../stores/fusionStore";
 import { EMOTION_COLORS } from "../utils/emotions";
 
 export default function Dashboard() {
@@ -18,6 +23,7 @@ export default function Dashboard() {
   } = useEmotionStore();
 
   const { isRecording } = useAudioStore();
+  const { isFaceActive } = useFusionStore();
 
   const currentColor =
     EMOTION_COLORS[dominantEmotion] || EMOTION_COLORS.neutral;
@@ -66,6 +72,18 @@ export default function Dashboard() {
           <FaceEmotionDetector />
         </div>
 
+        {/* Per-person face timelines */}
+        <div className="col-span-12 empty:hidden">
+          <FaceTimelines />
+        </div>
+
+        {/* Voice, face and fused tracks - only when both are running */}
+        {isFaceActive && isInferenceRunning && (
+          <div className="col-span-12">
+            <MultimodalTimeline />
+          </div>
+        )}
+
         {/* Left column - Waveform & Emotion Display */}
         <div className="col-span-12 lg:col-span-8 space-y-6">
           {/* Waveform visualizer (mic only) */}
@@ -76,6 +94,9 @@ export default function Dashboard() {
 
           {/* Emotion history timeline */}
           <EmotionHistory />
+
+          {/* Video file analysis (face + voice) */}
+          <VideoAnalyzer />
         </div>
 
         {/* Right column - Control, File Analyzer & Radar */}
@@ -89,6 +110,9 @@ export default function Dashboard() {
           {/* Radar chart */}
           <RadarChart size={280} />
 
+          {/* Valence-arousal plot */}
+          <MoodPlot size={280} />
+
           {/* Quick stats */}
           <div className="glass-card p-6">
             <h3 className="text-lg font-semibold text-white mb-4">
@@ -3,7 +3,7 @@
  * View and manage past recording sessions
  */
 
-import { useEffect } from "react";
+import { useEffect, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import {
   Calendar,
@@ -15,10 +15,13 @@ import {
   LogIn,
   AlertCircle,
   RefreshCw,
+  PlayCircle,
 } from "lucide-react";
 import { useSessionStore } from "../stores/sessionStore";
 import { useAuthStore } from "../stores/authStore";
 import { EMOTION_COLORS, EMOTION_EMOJIS } from "../utils/emotions";
+import { deleteRecording, listRecordingIds } from "../utils/recordingDb";
+import SessionPlayback from "../components/SessionPlayback";
 
 export default function History() {
   const navigate = useNavigate();
@@ -33,21 +36,36 @@ export default function History() {
     getSessionStats,
   } = useSessionStore();
 
+  // Sessions with audio recorded on this device
+  const [recordedIds, setRecordedIds] = useState(() => new Set());
+  const [playingId, setPlayingId] = useState(null);
+
+  const loadRecordedIds = () =>
+    listRecordingIds()
+      .then((ids) => setRecordedIds(new Set(ids)))
+      .catch(() => setRecordedIds(new Set()));
+
   useEffect(() => {
     if (!isAuthenticated) return;
 
     fetchSessions();
+    loadRecordedIds();
   }, [isAuthenticated, fetchSessions]);
 
   const handleRefresh = async () => {
     if (isAuthenticated) {
       await fetchSessions();
+      loadRecordedIds();
     }
   };
 
   const handleDelete = async (sessionId) => {
     if (window.confirm("Are you sure you want to delete this session?")) {
       await deleteSession(sessionId);
+      if (recordedIds.has(sessionId)) {
+        await deleteRecording(sessionId).catch(() => {});
+        loadRecordedIds();
+      }
     }
   };
 
@@ -237,6 +255,27 @@ export default function History() {
 
                   {/* Actions */}
                   <div className="flex items-center gap-2 ml-4">
+                    {recordedIds.has(session.id) && (
+                      <button
+                        onClick={() =>
+                          setPlayingId(
+                            playingId === session.id ? null : session.id
+                          )
+                        }
+                        className={`btn-icon ${
+                          playingId === session.id ? "bg-indigo-500/10" : ""
+                        }`}
+                        title="Play recorded audio"
+                      >
+                        <PlayCircle
+                          className={`w-5 h-5 ${
+                            playingId === session.id
+                              ? "text-indigo-400"
+                              : "text-gray-400 hover:text-indigo-400"
+                          }`}
+                        />
+                      </button>
+                    )}
                     <button
                       onClick={() => handleDelete(session.id)}
                       className="btn-icon hover:bg-red-500/10"
@@ -246,6 +285,18 @@ export default function History() {
                     </button>
                   </div>
                 </div>
+
+                {/* Recorded audio with the timeline following playback */}
+                {playingId === session.id && (
+                  <SessionPlayback
+                    sessionId={session.id}
+                    className="mt-6"
+                    onDeleted={() => {
+                      setPlayingId(null);
+                      loadRecordedIds();
+                    }}
+                  />
+                )}
               </div>
             );
           })}
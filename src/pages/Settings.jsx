@@ -13,28 +13,117 @@ import {
   Volume2,
   Cpu,
   Database,
+  Activity,
 } from "lucide-react";
 import { useAudioStore } from "../stores/audioStore";
 import { useEmotionStore } from "../stores/emotionStore";
+import { useSettingsStore } from "../stores/settingsStore";
 import { checkBrowserCompatibility } from "../utils/audio";
+import { BACKENDS } from "../utils/backendSelector";
+import { clearModelCache } from "../utils/modelCache";
+import { SMOOTHING_STRATEGIES } from "../utils/smoothing";
+import { clearRecordings, getRecordingUsage } from "../utils/recordingDb";
+import { isRecordingSupported } from "../utils/sessionRecorder";
+import ModelLoadProgress from "../components/ModelLoadProgress";
+import AlertRules from "../components/AlertRules";
+
+const RESAMPLE_QUALITY_NAMES = {
+  low: "Low (shortest filter)",
+  medium: "Medium",
+  high: "High (default)",
+};
 
 export default function Settings() {
   const { audioDevices, selectedDeviceId, setSelectedDevice, isRecording } =
     useAudioStore();
 
-  const { modelPath, setModelPath, isModelLoaded } = useEmotionStore();
+  const {
+    modelPath,
+    modelId,
+    emotionLabels,
+    availableModels,
+    isSwitchingModel,
+    modelLoadProgress,
+    loadAvailableModels,
+    switchModel,
+    isModelLoaded,
+    isModelVerified,
+    inferenceBackend,
+    executionBackend,
+  } = useEmotionStore();
+
+  const {
+    smoothing,
+    hysteresis,
+    setSmoothing,
+    setHysteresis,
+    resetInferenceSettings,
+    resampleQuality,
+    setResampleQuality,
+    recordSessionAudio,
+    setRecordSessionAudio,
+  } = useSettingsStore();
 
   const [compatibility, setCompatibility] = useState({
     supported: true,
     missing: [],
   });
   const [isRefreshing, setIsRefreshing] = useState(false);
+  const [recordingUsage, setRecordingUsage] = useState(null);
+  const [modelCacheStatus, setModelCacheStatus] = useState(null);
 
   // Check compatibility
   useEffect(() => {
     setCompatibility(checkBrowserCompatibility());
   }, []);
 
+  // Models the user can switch between
+  useEffect(() => {
+    if (availableModels.length === 0) {
+      loadAvailableModels();
+    }
+  }, [availableModels.length, loadAvailableModels]);
+
+  // Space used by session audio kept on this device
+  const loadRecordingUsage = () =>
+    getRecordingUsage()
+      .then(setRecordingUsage)
+      .catch(() => setRecordingUsage(null));
+
+  useEffect(() => {
+    loadRecordingUsage();
+  }, []);
+
+  const handleClearRecordings = async () => {
+    if (!window.confirm("Delete all session audio stored on this device?")) {
+      return;
+    }
+    try {
+      await clearRecordings();
+    } catch (error) {
+      console.error("Failed to delete recordings:", error);
+    }
+    loadRecordingUsage();
+  };
+
+  // Downloaded models stay cached; clearing forces a fresh download
+  const handleClearModelCache = async () => {
+    try {
+      const cleared = await clearModelCache();
+      setModelCacheStatus(
+        cleared
+          ? "Cleared. Models are downloaded again the next time they load."
+          : "Nothing to clear."
+      );
+    } catch (error) {
+      setModelCacheStatus(`Could not clear the cache: ${error.message}`);
+    }
+  };
+
+  const activeModel =
+    availableModels.find((model) => model.id === modelId) ||
+    availableModels.find((model) => model.manifestUrl === modelPath);
+
   // Refresh audio devices
   const refreshDevices = async () => {
     setIsRefreshing(true);
@@ -115,6 +204,28 @@ export default function Settings() {
               )}
             </div>
 
+            {/* Resampler preset */}
+            <div>
+              <label className="text-sm font-medium text-gray-300 block mb-2">
+                Resampling Quality
+              </label>
+              <select
+                value={resampleQuality}
+                onChange={(e) => setResampleQuality(e.target.value)}
+                className="input-field"
+              >
+                {Object.entries(RESAMPLE_QUALITY_NAMES).map(([id, name]) => (
+                  <option key={id} value={id}>
+                    {name}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-2">
+                Anti-aliasing filter used when converting to 16 kHz. Applies
+                from the next recording and to file analysis.
+              </p>
+            </div>
+
             {/* Audio settings info */}
             <div className="grid grid-cols-2 gap-4 pt-4 border-t border-white/5">
               <InfoItem label="Sample Rate" value="16 kHz" />
@@ -144,15 +255,27 @@ export default function Settings() {
               <div>
                 <p className="text-sm font-medium text-white">Model Status</p>
                 <p className="text-xs text-gray-400">
-                  wav2vec2-emotion (quantized)
+                  {activeModel?.name || modelId || "—"}
                 </p>
+                {isModelLoaded && isModelVerified === false && (
+                  <p className="text-xs text-amber-400 mt-1">
+                    Not verified: the manifest has no sha256
+                  </p>
+                )}
               </div>
               <div
                 className={`flex items-center gap-2 ${
-                  isModelLoaded ? "text-green-400" : "text-yellow-400"
+                  isModelLoaded && !isSwitchingModel
+                    ? "text-green-400"
+                    : "text-yellow-400"
                 }`}
               >
-                {isModelLoaded ? (
+                {isSwitchingModel ? (
+                  <>
+                    <RefreshCw className="w-4 h-4 animate-spin" />
+                    <span className="text-sm">Switching...</span>
+                  </>
+                ) : isModelLoaded ? (
                   <>
                     <Check className="w-4 h-4" />
                     <span className="text-sm">Loaded</span>
@@ -166,15 +289,207 @@ export default function Settings() {
               </div>
             </div>
 
+            {/* Model selector; switching keeps a running session going */}
+            {availableModels.length > 1 && (
+              <div>
+                <label className="text-sm font-medium text-gray-300 block mb-2">
+                  Model
+                </label>
+                <select
+                  value={activeModel?.manifestUrl || modelPath}
+                  onChange={(e) => switchModel(e.target.value)}
+                  disabled={isSwitchingModel}
+                  className="input-field"
+                >
+                  {availableModels.map((model) => (
+                    <option key={model.id} value={model.manifestUrl}>
+                      {model.name}
+                    </option>
+                  ))}
+                </select>
+                {isSwitchingModel && (
+                  <ModelLoadProgress
+                    progress={modelLoadProgress}
+                    className="mt-3"
+                  />
+                )}
+              </div>
+            )}
+
             <div className="grid grid-cols-2 gap-4">
-              <InfoItem label="Runtime" value="ONNX Web (WASM)" />
+              <InfoItem
+                label="Runtime"
+                value={
+                  executionBackend
+                    ? `ONNX Web (${executionBackend.name}${
+                        executionBackend.threads > 1
+                          ? `, ${executionBackend.threads} threads`
+                          : ""
+                      })`
+                    : "ONNX Web"
+                }
+              />
               <InfoItem label="Inference Window" value="2 seconds" />
               <InfoItem label="Hop Size" value="500ms" />
-              <InfoItem label="Emotions" value="8 classes" />
+              <InfoItem
+                label="Emotions"
+                value={`${emotionLabels.length} classes`}
+              />
+              <InfoItem
+                label="Inference Thread"
+                value={
+                  inferenceBackend === "worker"
+                    ? "Web Worker"
+                    : inferenceBackend === "main"
+                    ? "Main thread (fallback)"
+                    : "—"
+                }
+              />
+            </div>
+
+            {executionBackend && (
+              <div className="pt-4 border-t border-white/5">
+                <p className="text-xs text-gray-500 mb-2">
+                  Backend benchmark (per window, lower is better)
+                </p>
+                {Object.entries(executionBackend.timings).map(([id, time]) => (
+                  <InfoItem
+                    key={id}
+                    label={`${BACKENDS[id]?.name || id}${
+                      id === executionBackend.id ? " (selected)" : ""
+                    }`}
+                    value={`${time.toFixed(1)} ms`}
+                  />
+                ))}
+              </div>
+            )}
+
+            <div className="pt-4 border-t border-white/5 flex items-center justify-between gap-4">
+              <p className="text-xs text-gray-500">
+                {modelCacheStatus ||
+                  "Models are cached on this device for offline use."}
+              </p>
+              <button
+                onClick={handleClearModelCache}
+                className="btn-ghost text-sm flex-shrink-0"
+              >
+                Clear model cache
+              </button>
             </div>
           </div>
         </section>
 
+        {/* Smoothing Settings */}
+        <section className="glass-card p-6">
+          <div className="flex items-center gap-3 mb-6">
+            <div className="p-2 rounded-xl bg-pink-500/20">
+              <Activity className="w-5 h-5 text-pink-400" />
+            </div>
+            <div className="flex-1">
+              <h2 className="text-lg font-semibold text-white">Smoothing</h2>
+              <p className="text-sm text-gray-400">
+                How predictions are stabilized over time
+              </p>
+            </div>
+            <button
+              onClick={resetInferenceSettings}
+              className="btn-ghost text-xs"
+            >
+              Defaults
+            </button>
+          </div>
+
+          <div className="space-y-4">
+            <div>
+              <label className="text-sm font-medium text-gray-300 block mb-2">
+                Strategy
+              </label>
+              <select
+                value={smoothing.strategy}
+                onChange={(e) => setSmoothing({ strategy: e.target.value })}
+                className="input-field"
+              >
+                {Object.entries(SMOOTHING_STRATEGIES).map(([id, strategy]) => (
+                  <option key={id} value={id}>
+                    {strategy.name}
+                  </option>
+                ))}
+              </select>
+              <p className="text-xs text-gray-500 mt-2">
+                {SMOOTHING_STRATEGIES[smoothing.strategy]?.description}
+              </p>
+            </div>
+
+            {smoothing.strategy === "ema" && (
+              <SliderItem
+                label="Responsiveness"
+                value={smoothing.alpha}
+                min={0.05}
+                max={1}
+                step={0.05}
+                format={(value) => `α ${value.toFixed(2)}`}
+                onChange={(alpha) => setSmoothing({ alpha })}
+              />
+            )}
+
+            {(smoothing.strategy === "median" ||
+              smoothing.strategy === "majority") && (
+              <SliderItem
+                label="Window"
+                value={smoothing.windowSize}
+                min={1}
+                max={15}
+                step={1}
+                format={(value) => `${value} windows`}
+                onChange={(windowSize) => setSmoothing({ windowSize })}
+              />
+            )}
+
+            {smoothing.strategy === "viterbi" && (
+              <SliderItem
+                label="Switch Penalty"
+                value={smoothing.transitionPenalty}
+                min={0}
+                max={10}
+                step={0.5}
+                format={(value) => value.toFixed(1)}
+                onChange={(transitionPenalty) =>
+                  setSmoothing({ transitionPenalty })
+                }
+              />
+            )}
+
+            <div className="pt-4 border-t border-white/5 space-y-4">
+              <p className="text-xs text-gray-500">
+                The dominant emotion only changes once another emotion leads by
+                the margin for the hold time. With majority vote or Viterbi, the
+                decoded emotion only has to last for the hold time.
+              </p>
+              <SliderItem
+                label="Hysteresis Margin"
+                value={hysteresis.margin}
+                min={0}
+                max={0.5}
+                step={0.01}
+                format={(value) => `${Math.round(value * 100)}%`}
+                onChange={(margin) => setHysteresis({ margin })}
+              />
+              <SliderItem
+                label="Hold Time"
+                value={hysteresis.holdMs}
+                min={0}
+                max={3000}
+                step={100}
+                format={(value) => `${value}ms`}
+                onChange={(holdMs) => setHysteresis({ holdMs })}
+              />
+            </div>
+          </div>
+        </section>
+
+        {/* Emotion Alerts */}
+        <AlertRules />
+
         {/* Browser Compatibility */}
         <section className="glass-card p-6">
           <div className="flex items-center gap-3 mb-6">
@@ -254,6 +569,43 @@ export default function Settings() {
           <p className="text-xs text-gray-500 mt-4">
             All data is stored securely and only accessible by you.
           </p>
+
+          {/* Session audio (opt-in, never uploaded) */}
+          <div className="mt-6 pt-6 border-t border-white/5 space-y-3">
+            <label className="flex items-center gap-2 text-sm text-gray-300">
+              <input
+                type="checkbox"
+                checked={recordSessionAudio}
+                disabled={!isRecordingSupported()}
+                onChange={(e) => setRecordSessionAudio(e.target.checked)}
+              />
+              Record session audio on this device
+            </label>
+            <p className="text-xs text-gray-500">
+              Off by default. When enabled, live sessions are recorded and kept
+              in this browser only, so you can replay them in History with their
+              emotion timeline. Audio is never uploaded.
+              {!isRecordingSupported() &&
+                " This browser does not support audio recording."}
+            </p>
+
+            {recordingUsage && (
+              <div className="flex items-center justify-between py-2">
+                <span className="text-sm text-gray-400">
+                  {recordingUsage.count} recording
+                  {recordingUsage.count === 1 ? "" : "s"} ·{" "}
+                  {(recordingUsage.bytes / (1024 * 1024)).toFixed(1)} MB
+                </span>
+                <button
+                  onClick={handleClearRecordings}
+                  disabled={recordingUsage.count === 0}
+                  className="btn-ghost text-sm text-red-400 hover:text-red-300 disabled:opacity-50"
+                >
+                  Delete all recordings
+                </button>
+              </div>
+            )}
+          </div>
         </section>
       </div>
     </div>
@@ -269,6 +621,26 @@ function InfoItem({ label, value }) {
   );
 }
 
+function SliderItem({ label, value, min, max, step, format, onChange }) {
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <label className="text-sm font-medium text-gray-300">{label}</label>
+        <span className="text-sm font-mono text-white">{format(value)}</span>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        step={step}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full"
+      />
+    </div>
+  );
+}
+
 function FeatureItem({ name, supported, description }) {
   return (
     <div className="flex items-center justify-between p-3 bg-white/5 rounded-xl">
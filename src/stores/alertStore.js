@@ -0,0 +1,195 @@
+/**
+ * Alert Store - Zustand store for emotion alerts
+ * Keeps the user's alert rules (stored on the server), evaluates them on
+ * every live prediction and delivers alerts as in-app toasts, browser
+ * notifications and, per rule, recorded server events.
+ */
+
+import { create } from "zustand";
+import { alertsApi } from "../lib/api";
+import { AlertEvaluator } from "../utils/alertRules";
+import { useSessionStore } from "./sessionStore";
+
+// How long a toast stays up
+const TOAST_DURATION_MS = 8000;
+const MAX_TOASTS = 4;
+
+const evaluator = new AlertEvaluator();
+let nextToastId = 1;
+
+const notificationsSupported = () => typeof Notification !== "undefined";
+
+/**
+ * Show a browser notification when the user has allowed them
+ */
+function showDesktopNotification(alert) {
+  if (!notificationsSupported() || Notification.permission !== "granted") {
+    return;
+  }
+  try {
+    new Notification(`Emotion alert: ${alert.rule.name}`, {
+      body: alert.message,
+      tag: alert.rule.id,
+    });
+  } catch (error) {
+    // Some browsers only allow notifications from a service worker
+    console.warn("[AlertStore] Notification failed:", error.message);
+  }
+}
+
+const initialState = {
+  rules: [],
+  toasts: [],
+  isLoading: false,
+  isSaving: false,
+  error: null,
+  notificationPermission: notificationsSupported()
+    ? Notification.permission
+    : "unsupported",
+};
+
+export const useAlertStore = create((set, get) => ({
+  ...initialState,
+
+  // Fetch the user's alert rules
+  fetchRules: async () => {
+    try {
+      set({ isLoading: true, error: null });
+
+      const { rules } = await alertsApi.getRules();
+      evaluator.setRules(rules || []);
+
+      set({ rules: rules || [], isLoading: false });
+      return { success: true, data: rules };
+    } catch (error) {
+      set({ error: error.message, isLoading: false });
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Create a rule
+  createRule: async (rule) => {
+    try {
+      set({ isSaving: true, error: null });
+
+      const { rule: created } = await alertsApi.createRule(rule);
+      const rules = [...get().rules, created];
+      evaluator.setRules(rules);
+
+      set({ rules, isSaving: false });
+      return { success: true, data: created };
+    } catch (error) {
+      set({ error: error.message, isSaving: false });
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Update a rule
+  updateRule: async (id, changes) => {
+    try {
+      set({ isSaving: true, error: null });
+
+      const { rule: updated } = await alertsApi.updateRule(id, changes);
+      const rules = get().rules.map((rule) =>
+        rule.id === id ? updated : rule
+      );
+      evaluator.setRules(rules);
+
+      set({ rules, isSaving: false });
+      return { success: true, data: updated };
+    } catch (error) {
+      set({ error: error.message, isSaving: false });
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Delete a rule
+  deleteRule: async (id) => {
+    try {
+      set({ isSaving: true, error: null });
+
+      await alertsApi.deleteRule(id);
+      const rules = get().rules.filter((rule) => rule.id !== id);
+      evaluator.setRules(rules);
+
+      set({ rules, isSaving: false });
+      return { success: true };
+    } catch (error) {
+      set({ error: error.message, isSaving: false });
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Forget rules, e.g. on sign out
+  clearRules: () => {
+    evaluator.setRules([]);
+    set({ rules: [], toasts: [] });
+  },
+
+  // Check a prediction against the rules and deliver any alerts
+  evaluatePrediction: (prediction) => {
+    const fired = evaluator.evaluate(prediction);
+    for (const alert of fired) {
+      get().deliverAlert(alert);
+    }
+  },
+
+  // Toast, desktop notification and server event for one alert
+  deliverAlert: (alert) => {
+    const toast = {
+      id: nextToastId++,
+      ruleName: alert.rule.name,
+      emotion: alert.emotion,
+      message: alert.message,
+      timestamp: alert.timestamp,
+    };
+    set((state) => ({
+      toasts: [...state.toasts, toast].slice(-MAX_TOASTS),
+    }));
+    setTimeout(() => get().dismissToast(toast.id), TOAST_DURATION_MS);
+
+    if (alert.rule.notifyDesktop) {
+      showDesktopNotification(alert);
+    }
+
+    if (alert.rule.recordEvent) {
+      alertsApi
+        .recordEvent({
+          ruleId: alert.rule.id,
+          sessionId: useSessionStore.getState().currentSession?.id ?? null,
+          emotion: alert.emotion,
+          value: alert.value,
+          message: alert.message,
+          triggeredAt: new Date(alert.timestamp).toISOString(),
+        })
+        .catch((error) =>
+          console.warn("[AlertStore] Failed to record alert:", error.message)
+        );
+    }
+  },
+
+  // Remove a toast
+  dismissToast: (id) => {
+    set((state) => ({
+      toasts: state.toasts.filter((toast) => toast.id !== id),
+    }));
+  },
+
+  // Start rule tracking over, e.g. for a new session
+  resetEvaluation: () => {
+    evaluator.reset();
+  },
+
+  // Ask for browser notification permission
+  requestNotificationPermission: async () => {
+    if (!notificationsSupported()) return "unsupported";
+    const permission = await Notification.requestPermission();
+    set({ notificationPermission: permission });
+    return permission;
+  },
+
+  // Clear error
+  clearError: () => {
+    set({ error: null });
+  },
+}));
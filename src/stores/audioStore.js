@@ -4,7 +4,14 @@
  */
 
 import { create } from "zustand";
-import { createRingBuffer, AUDIO_CONSTANTS } from "../utils/RingBuffer";
+import {
+  createRingBuffer,
+  AUDIO_CONSTANTS,
+  RingLevelReader,
+} from "../utils/RingBuffer";
+import { useSettingsStore } from "./settingsStore";
+// Bundled separately so the worklet can import the shared resampler
+import audioProcessorUrl from "../worklets/audio-processor.js?worker&url";
 
 let fileProgressRafId = null;
 
@@ -32,12 +39,47 @@ const startProgressLoop = (get, set) => {
   fileProgressRafId = requestAnimationFrame(loop);
 };
 
+let levelRafId = null;
+
+const stopLevelLoop = () => {
+  if (levelRafId) {
+    cancelAnimationFrame(levelRafId);
+    levelRafId = null;
+  }
+};
+
+// The worklet publishes levels in the ring buffer header; read them once
+// per frame instead of receiving a message per audio block
+const startLevelLoop = (get, set) => {
+  stopLevelLoop();
+  const reader = new RingLevelReader(get().sharedBuffer);
+  const loop = () => {
+    const levels = reader.read();
+    if (levels) {
+      if (levels.dropped > 0) {
+        console.warn(`Buffer overflow: ${levels.dropped} samples dropped`);
+      }
+      set((state) => ({
+        rms: levels.rms,
+        peak: levels.peak,
+        volume: Math.min(1, levels.rms * 10),
+        rmsHistory: [...state.rmsHistory.slice(-127), levels.rms],
+      }));
+    }
+    levelRafId = requestAnimationFrame(loop);
+  };
+  levelRafId = requestAnimationFrame(loop);
+};
+
 const createWorkletNode = async (audioContext, get, set) => {
-  await audioContext.audioWorklet.addModule("/audio-processor.js");
+  await audioContext.audioWorklet.addModule(audioProcessorUrl);
   const workletNode = new AudioWorkletNode(audioContext, "audio-processor", {
     numberOfInputs: 1,
     numberOfOutputs: 0,
     channelCount: 1,
+    processorOptions: {
+      resampleQuality: useSettingsStore.getState().resampleQuality,
+    },
   });
 
   workletNode.port.onmessage = (event) => {
@@ -54,26 +96,7 @@ const createWorkletNode = async (audioContext, get, set) => {
       }
       case "initialized":
         set({ isProcessorReady: true });
-        break;
-      case "rms": {
-        const newRms = data.rms;
-        const volume = Math.min(1, newRms * 10);
-        set((state) => ({
-          rms: newRms,
-          volume,
-          rmsHistory: [...state.rmsHistory.slice(-127), newRms],
-        }));
-        break;
-      }
-      case "samples":
-        if (data.samples && data.samples.length > 0) {
-          import("./emotionStore").then(({ useEmotionStore }) => {
-            useEmotionStore.getState().addAudioSamples(data.samples);
-          });
-        }
-        break;
-      case "bufferOverflow":
-        console.warn(`Buffer overflow: ${data.dropped} samples dropped`);
+        startLevelLoop(get, set);
         break;
       case "error":
         set({ error: data.error });
@@ -98,8 +121,9 @@ const initialState = {
   audioDevices: [],
   selectedDeviceId: null,
 
-  // Visualization data
+  // Visualization data, read from the ring buffer header per frame
   rms: 0,
+  peak: 0, // Largest absolute sample of the latest level window
   rmsHistory: [], // Last N RMS values for waveform
   volume: 0, // Normalized 0-1
 
@@ -243,6 +267,8 @@ export const useAudioStore = create((set, get) => ({
       state.mediaStream.getTracks().forEach((track) => track.stop());
     }
 
+    stopLevelLoop();
+
     // Reset worklet
     if (state.workletNode) {
       state.workletNode.port.postMessage({ type: "reset" });
@@ -261,6 +287,7 @@ export const useAudioStore = create((set, get) => ({
       isRecording: false,
       isProcessorReady: false,
       rms: 0,
+      peak: 0,
       rmsHistory: [],
       volume: 0,
       inputMode: "mic",
@@ -513,6 +540,7 @@ export const useAudioStore = create((set, get) => ({
     set(update);
 
     if (releaseContext && state.audioContext) {
+      stopLevelLoop();
       try {
         await state.audioContext.close();
       } catch (error) {
@@ -1,11 +1,17 @@
 /**
  * Emotion Store - Zustand store for emotion recognition state
- * Uses main-thread inference for better WASM compatibility
+ * Runs inference in the Web Worker (Thread C), which reads audio straight
+ * from the SharedArrayBuffer ring buffer. Falls back to main-thread inference
+ * over the same ring buffer when the worker cannot load the model.
  */
 
 import { create } from "zustand";
-import { EMOTION_LABELS, EMOTION_COLORS } from "../utils/emotions";
-import { AUDIO_CONSTANTS } from "../utils/RingBuffer";
+import {
+  EMOTION_LABELS,
+  EMOTION_COLORS,
+  applyModelPalette,
+} from "../utils/emotions";
+import { AUDIO_CONSTANTS, RingBufferReader } from "../utils/RingBuffer";
 import {
   initializeInference,
   runInference,
@@ -13,24 +19,148 @@ import {
   isInferenceReady,
   getWindowSize,
   getHopSize,
+  getModelManifest,
+  getBackendInfo,
+  configureInference,
+  switchInferenceModel,
 } from "../utils/inference";
+import { ModelContractError } from "../utils/modelContract";
+import {
+  DEFAULT_MANIFEST_URL,
+  getModel,
+  loadModelCatalog,
+} from "../utils/modelRegistry";
+import { getInferenceSettings, useSettingsStore } from "./settingsStore";
+import { useAlertStore } from "./alertStore";
+import { useFusionStore } from "./fusionStore";
+
+/**
+ * Spawn the inference worker and wait for its model to load
+ * Rejects if the worker script or its WASM backend fails to load.
+ */
+const spawnInferenceWorker = (modelPath, sharedBuffer, capacity, onProgress) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL("../workers/inference.js", import.meta.url),
+      { type: "module" }
+    );
+
+    const fail = (message, contract = null) => {
+      worker.terminate();
+      reject(Object.assign(new Error(message), { contract }));
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault?.();
+      fail(event.message || "Inference worker failed to start");
+    };
+
+    worker.onmessage = (event) => {
+      const { type, ...data } = event.data;
+      switch (type) {
+        case "ready":
+          worker.postMessage({
+            type: "init",
+            modelPath,
+            sharedBuffer,
+            capacity,
+          });
+          break;
+        case "loadProgress":
+          onProgress(data);
+          break;
+        case "modelLoaded":
+          worker.onerror = null;
+          worker.onmessage = null;
+          resolve({ worker, ...data });
+          break;
+        case "error":
+          fail(data.error, data.contract);
+          break;
+        default:
+          break;
+      }
+    };
+  });
+
+/**
+ * Ask a running inference worker to load another model
+ * Resolves with the new model's details once the worker has swapped it in.
+ */
+const requestWorkerSwitch = (worker, modelPath, onProgress) =>
+  new Promise((resolve, reject) => {
+    const listener = (event) => {
+      const { type, ...data } = event.data;
+      switch (type) {
+        case "loadProgress":
+          onProgress(data);
+          break;
+        case "modelSwitched":
+          worker.removeEventListener("message", listener);
+          resolve(data);
+          break;
+        case "switchFailed":
+          worker.removeEventListener("message", listener);
+          reject(
+            Object.assign(new Error(data.error), { contract: data.contract })
+          );
+          break;
+        default:
+          break;
+      }
+    };
+    worker.addEventListener("message", listener);
+    worker.postMessage({ type: "switchModel", modelPath });
+  });
+
+/**
+ * { modelId, problems } of a model contract failure, from either thread
+ */
+const getContractDetails = (error) =>
+  error.contract ||
+  (error instanceof ModelContractError
+    ? { modelId: error.modelId, problems: error.problems }
+    : null);
+
+// In-flight model load, shared by every caller of initializeWorker
+let modelLoadRequest = null;
+
+const zeroEmotions = (labels) =>
+  labels.reduce((acc, label) => {
+    acc[label] = 0;
+    return acc;
+  }, {});
 
 // Initial emotion values
-const initialEmotions = EMOTION_LABELS.reduce((acc, label) => {
-  acc[label] = 0;
-  return acc;
-}, {});
+const initialEmotions = zeroEmotions(EMOTION_LABELS);
+const initialDimensions = { valence: 0, arousal: 0, dominance: 0 };
 
 const initialState = {
   // Inference state
-  isModelLoaded: false,
+  isModelLoaded: false, // Downloaded and warmed up
+  modelLoadProgress: null, // { phase: "download" | "warmup", loaded, total, verified }
+  isModelVerified: null, // Model file matched the manifest's sha256
   isInferenceRunning: false,
+  inferenceBackend: null, // "worker" | "main"
+  executionBackend: null, // ONNX Runtime backend picked by backendSelector
+
+  // Active model (labels come from its manifest)
+  modelId: null,
+  emotionLabels: EMOTION_LABELS,
+  availableModels: [], // Manifests from the model catalog
+  isSwitchingModel: false,
 
   // Current predictions
   emotions: { ...initialEmotions },
   rawEmotions: { ...initialEmotions },
   dominantEmotion: "neutral",
   confidence: 0,
+  isCalibrated: false, // Probabilities went through the model's calibration
+  dimensions: { ...initialDimensions }, // Valence / arousal / dominance
+
+  // Voice activity of the latest window
+  isSilence: true,
+  speechProbability: null,
 
   // Performance metrics
   inferenceTime: 0,
@@ -45,59 +175,283 @@ const initialState = {
   sessionEmotionSummary: { ...initialEmotions },
   predictionCount: 0,
 
-  // Audio buffer for inference
+  // Inference worker (Thread C)
+  worker: null,
+
+  // Main-thread fallback: ring buffer reader and accumulated samples
+  ringReader: null,
   audioBuffer: [],
 
-  // Inference loop
+  // Inference loop (main-thread fallback only)
   inferenceIntervalId: null,
 
   // Error state
   error: null,
-  modelPath: "/models/emotion_model.onnx",
+  modelContractError: null, // { modelId, problems } when a model breaks its manifest
+  // URL of the model manifest (see public/models/README.md)
+  modelPath: DEFAULT_MANIFEST_URL,
 };
 
 export const useEmotionStore = create((set, get) => ({
   ...initialState,
 
-  // Initialize model (replaces worker initialization)
+  // Initialize the inference worker, falling back to the main thread
+  // The model is loaded once, by the first page that needs it; later calls
+  // only attach the new ring buffer.
   initializeWorker: async (sharedBuffer, capacity) => {
+    if (modelLoadRequest) await modelLoadRequest;
+    if (get().isModelLoaded) {
+      get().attachBuffer(sharedBuffer, capacity);
+      return true;
+    }
+
+    modelLoadRequest = get().loadModel(sharedBuffer, capacity);
     try {
-      const state = get();
+      return await modelLoadRequest;
+    } finally {
+      modelLoadRequest = null;
+    }
+  },
+
+  // Point the loaded model at a new ring buffer
+  attachBuffer: (sharedBuffer, capacity) => {
+    const { worker, inferenceBackend } = get();
+    set({ sharedBuffer, bufferCapacity: capacity });
+    if (inferenceBackend === "worker") {
+      worker.postMessage({ type: "initBuffer", sharedBuffer, capacity });
+    } else if (inferenceBackend === "main") {
+      set({ ringReader: new RingBufferReader(sharedBuffer, capacity) });
+    }
+  },
+
+  // Record download / warm-up progress, at most once per percent
+  setModelLoadProgress: (progress) => {
+    const previous = get().modelLoadProgress;
+    if (
+      progress.phase === "download" &&
+      previous?.phase === "download" &&
+      progress.loaded !== progress.total
+    ) {
+      const step = progress.total ? progress.total / 100 : 1 << 20;
+      if (progress.loaded - previous.loaded < step) return;
+    }
+    set({ modelLoadProgress: progress });
+  },
 
-      // Store reference to shared buffer for reading audio
-      set({ sharedBuffer, bufferCapacity: capacity });
+  // Download and warm up the model in the worker or on the main thread
+  loadModel: async (sharedBuffer, capacity) => {
+    const state = get();
+    const onProgress = get().setModelLoadProgress;
+    set({ sharedBuffer, bufferCapacity: capacity, modelLoadProgress: null });
+
+    try {
+      const { worker, modelId, labels, verified, backend } =
+        await spawnInferenceWorker(
+          state.modelPath,
+          sharedBuffer,
+          capacity,
+          onProgress
+        );
+      worker.onmessage = (event) => get().handleWorkerMessage(event.data);
+      worker.onerror = (event) => {
+        set({ error: event.message || "Inference worker crashed" });
+      };
+
+      get().applyLoadedModel(modelId, labels, verified);
+      set({ worker, inferenceBackend: "worker", executionBackend: backend });
+      get().applyInferenceSettings();
+      console.log("[EmotionStore] Model loaded in inference worker");
+      return true;
+    } catch (error) {
+      // The model itself is wrong; the main thread would fail the same way
+      if (error.contract) {
+        get().setModelContractError(error);
+        return false;
+      }
+      console.warn(
+        "[EmotionStore] Inference worker unavailable, using main thread:",
+        error.message
+      );
+    }
 
-      // Initialize the ONNX model
-      const success = await initializeInference(state.modelPath);
+    try {
+      const success = await initializeInference(state.modelPath, {
+        onProgress,
+      });
 
       if (success) {
-        set({ isModelLoaded: true, error: null });
-        console.log("[EmotionStore] Model loaded successfully");
+        const manifest = getModelManifest();
+        get().applyLoadedModel(
+          manifest.id,
+          manifest.labels,
+          Boolean(manifest.sha256)
+        );
+        set({
+          ringReader: new RingBufferReader(sharedBuffer, capacity),
+          inferenceBackend: "main",
+          executionBackend: getBackendInfo(),
+        });
+        get().applyInferenceSettings();
+        console.log("[EmotionStore] Model loaded on main thread");
       } else {
-        set({ error: "Failed to load model" });
+        set({ error: "Failed to load model", modelLoadProgress: null });
       }
 
       return success;
     } catch (error) {
-      set({ error: error.message });
+      if (getContractDetails(error)) {
+        get().setModelContractError(error);
+        return false;
+      }
+      set({ error: error.message, modelLoadProgress: null });
       console.error("[EmotionStore] Initialization error:", error);
       return false;
     }
   },
 
-  // Add audio samples to buffer (called from audio store)
-  addAudioSamples: (samples) => {
+  // Show why a model doesn't match its manifest
+  setModelContractError: (error) => {
+    console.error("[EmotionStore] Model contract error:", error.message);
+    set({
+      modelContractError: getContractDetails(error),
+      modelLoadProgress: null,
+    });
+  },
+
+  // Reset state for a newly loaded model
+  applyLoadedModel: (modelId, labels, verified) => {
+    const emptyEmotions = zeroEmotions(labels);
+    // Catalog manifests register their palettes too; the active one wins
+    const manifest = getModel(modelId);
+    if (manifest) applyModelPalette(manifest.labels, manifest.colors);
+
+    set({
+      isModelLoaded: true,
+      modelLoadProgress: null,
+      modelId,
+      isModelVerified: verified,
+      emotionLabels: labels,
+      emotions: emptyEmotions,
+      rawEmotions: { ...emptyEmotions },
+      sessionEmotionSummary: { ...emptyEmotions },
+      error: null,
+      modelContractError: null,
+    });
+  },
+
+  // Load the manifests listed in the model catalog
+  loadAvailableModels: async () => {
+    const availableModels = await loadModelCatalog();
+    set({ availableModels });
+    return availableModels;
+  },
+
+  // Swap in another model without stopping a running session
+  // Predictions and history start over at the switch; the session itself
+  // (recording, database session, start time) carries on.
+  switchModel: async (modelPath) => {
+    if (modelLoadRequest) await modelLoadRequest;
     const state = get();
-    if (!state.isInferenceRunning) return;
+    if (state.isSwitchingModel) return false;
+    if (modelPath === state.modelPath && state.isModelLoaded) return true;
+
+    // Nothing loaded yet: the next load picks up the new path
+    if (!state.inferenceBackend) {
+      set({ modelPath });
+      return true;
+    }
+
+    const onProgress = get().setModelLoadProgress;
+    set({ isSwitchingModel: true, modelLoadProgress: null });
+
+    try {
+      let loaded;
+      if (state.inferenceBackend === "worker") {
+        loaded = await requestWorkerSwitch(state.worker, modelPath, onProgress);
+      } else {
+        const success = await switchInferenceModel(modelPath, { onProgress });
+        if (!success) {
+          throw new Error("the model could not be loaded");
+        }
+        const manifest = getModelManifest();
+        loaded = {
+          modelId: manifest.id,
+          labels: manifest.labels,
+          verified: Boolean(manifest.sha256),
+          backend: getBackendInfo(),
+        };
+      }
+
+      set({ modelPath, executionBackend: loaded.backend });
+      get().applyLoadedModel(loaded.modelId, loaded.labels, loaded.verified);
+      set({
+        dimensions: { ...initialDimensions },
+        dominantEmotion: "neutral",
+        confidence: 0,
+        isSilence: true,
+        speechProbability: null,
+        emotionHistory: [],
+        predictionCount: 0,
+        audioBuffer: [],
+      });
+      console.log("[EmotionStore] Switched to model", loaded.modelId);
+      return true;
+    } catch (error) {
+      if (getContractDetails(error)) {
+        get().setModelContractError(error);
+      } else {
+        set({ error: `Failed to switch model: ${error.message}` });
+      }
+      return false;
+    } finally {
+      set({ isSwitchingModel: false, modelLoadProgress: null });
+    }
+  },
 
-    // Add samples to buffer
-    const newBuffer = [...state.audioBuffer];
-    for (let i = 0; i < samples.length; i++) {
-      newBuffer.push(samples[i]);
+  // Send the smoothing settings to whichever thread runs inference
+  applyInferenceSettings: (settings = getInferenceSettings()) => {
+    const { worker, inferenceBackend } = get();
+    if (inferenceBackend === "worker") {
+      worker.postMessage({ type: "configure", ...settings });
+    } else if (inferenceBackend === "main") {
+      configureInference(settings);
     }
+  },
+
+  // Handle messages from the inference worker
+  handleWorkerMessage: (message) => {
+    const { type, ...data } = message;
+    switch (type) {
+      case "prediction":
+        if (get().isInferenceRunning) {
+          get().handlePrediction(data);
+        }
+        break;
+      case "error":
+        console.error("[EmotionStore] Worker error:", data.error);
+        set({ error: data.error });
+        break;
+      default:
+        break;
+    }
+  },
+
+  // Drain the ring buffer into the main-thread sample buffer
+  readAudioSamples: () => {
+    const state = get();
+    if (!state.ringReader) return;
+
+    const available = state.ringReader.availableRead();
+    if (available === 0) return;
+
+    const samples = new Float32Array(available);
+    const read = state.ringReader.read(samples);
 
     // Keep buffer at reasonable size (4x window)
     const maxSize = getWindowSize() * 4;
+    const newBuffer = state.audioBuffer.concat(
+      Array.from(samples.subarray(0, read))
+    );
     if (newBuffer.length > maxSize) {
       newBuffer.splice(0, newBuffer.length - maxSize);
     }
@@ -113,34 +467,38 @@ export const useEmotionStore = create((set, get) => ({
       return;
     }
 
+    get().readAudioSamples();
+    const { audioBuffer } = get();
+
     const windowSize = getWindowSize();
     const hopSize = getHopSize();
 
     // Check if we have enough samples
-    if (state.audioBuffer.length < windowSize) {
+    if (audioBuffer.length < windowSize) {
       return;
     }
 
     // Get the latest window of audio
-    const audioWindow = new Float32Array(state.audioBuffer.slice(-windowSize));
+    const audioWindow = new Float32Array(audioBuffer.slice(-windowSize));
 
     // Run inference
     const result = await runInference(audioWindow, AUDIO_CONSTANTS.SAMPLE_RATE);
 
-    if (result) {
+    if (result && get().isInferenceRunning) {
       get().handlePrediction(result);
 
       // Remove processed samples according to hop size
-      const newBuffer = state.audioBuffer.slice(
-        Math.min(hopSize, state.audioBuffer.length)
-      );
-      set({ audioBuffer: newBuffer });
+      const current = get().audioBuffer;
+      set({ audioBuffer: current.slice(Math.min(hopSize, current.length)) });
     }
   },
 
   // Handle prediction result
   handlePrediction: (data) => {
     const state = get();
+    // Drop windows the previous model finished after a switch
+    if (data.modelId && data.modelId !== state.modelId) return;
+
     const {
       emotions,
       rawEmotions,
@@ -153,10 +511,13 @@ export const useEmotionStore = create((set, get) => ({
     // Update emotion history
     const historyEntry = {
       timestamp,
+      modelId: data.modelId ?? state.modelId,
       emotions: { ...emotions },
+      dimensions: data.dimensions ? { ...data.dimensions } : null,
       dominant,
       confidence,
       isSilence: data.isSilence || false,
+      speechProbability: data.speechProbability ?? null,
     };
 
     const newHistory = [...state.emotionHistory, historyEntry].slice(
@@ -167,7 +528,7 @@ export const useEmotionStore = create((set, get) => ({
     const newCount = state.predictionCount + 1;
     const newSummary = { ...state.sessionEmotionSummary };
 
-    for (const label of EMOTION_LABELS) {
+    for (const label of state.emotionLabels) {
       newSummary[label] =
         (state.sessionEmotionSummary[label] * state.predictionCount +
           emotions[label]) /
@@ -177,37 +538,56 @@ export const useEmotionStore = create((set, get) => ({
     set({
       emotions,
       rawEmotions,
+      dimensions: data.dimensions || initialDimensions,
       dominantEmotion: dominant,
       confidence,
+      isCalibrated: data.calibrated || false,
       inferenceTime,
+      isSilence: data.isSilence || false,
+      speechProbability: data.speechProbability ?? null,
       lastPredictionTime: timestamp,
       emotionHistory: newHistory,
       sessionEmotionSummary: newSummary,
       predictionCount: newCount,
     });
+
+    useAlertStore.getState().evaluatePrediction(historyEntry);
+    useFusionStore.getState().updateVoice(historyEntry);
   },
 
   // Start inference
   startInference: () => {
     const state = get();
 
-    if (!isInferenceReady()) {
+    if (!state.isModelLoaded) {
       set({ error: "Model not initialized" });
       return false;
     }
 
-    // Start inference loop
-    const intervalId = setInterval(() => {
-      get().processAudio();
-    }, 150); // Run inference every 150ms
+    let intervalId = null;
+
+    if (state.inferenceBackend === "worker") {
+      state.worker.postMessage({ type: "start" });
+    } else {
+      // Skip audio captured before the session started
+      state.ringReader?.reset();
+      resetInference();
+
+      intervalId = setInterval(() => {
+        get().processAudio();
+      }, 150); // Run inference every 150ms
+    }
 
     set({
       isInferenceRunning: true,
       inferenceIntervalId: intervalId,
+      audioBuffer: [],
       sessionStartTime: Date.now(),
     });
 
-    console.log("[EmotionStore] Inference started");
+    console.log(
+      `[EmotionStore] Inference started (${state.inferenceBackend} thread)`
+    );
     return true;
   },
 
@@ -215,6 +595,9 @@ export const useEmotionStore = create((set, get) => ({
   stopInference: () => {
     const state = get();
 
+    if (state.worker) {
+      state.worker.postMessage({ type: "stop" });
+    }
     if (state.inferenceIntervalId) {
       clearInterval(state.inferenceIntervalId);
     }
@@ -229,25 +612,34 @@ export const useEmotionStore = create((set, get) => ({
 
   // Reset session data
   resetSession: () => {
-    resetInference();
+    const { worker } = get();
+    if (worker) {
+      worker.postMessage({ type: "reset" });
+    } else {
+      resetInference();
+    }
+    useAlertStore.getState().resetEvaluation();
+    useFusionStore.getState().reset();
+    const emptyEmotions = zeroEmotions(get().emotionLabels);
 
     set({
-      emotions: { ...initialEmotions },
-      rawEmotions: { ...initialEmotions },
+      emotions: emptyEmotions,
+      rawEmotions: { ...emptyEmotions },
+      dimensions: { ...initialDimensions },
       dominantEmotion: "neutral",
       confidence: 0,
+      isSilence: true,
+      speechProbability: null,
       emotionHistory: [],
-      sessionEmotionSummary: { ...initialEmotions },
+      sessionEmotionSummary: { ...emptyEmotions },
       predictionCount: 0,
       sessionStartTime: null,
       audioBuffer: [],
     });
   },
 
-  // Set model path
-  setModelPath: (path) => {
-    set({ modelPath: path });
-  },
+  // Set model path, switching models if one is already loaded
+  setModelPath: (path) => get().switchModel(path),
 
   // Get current emotion color
   getCurrentColor: () => {
@@ -257,7 +649,7 @@ export const useEmotionStore = create((set, get) => ({
 
   // Clear error
   clearError: () => {
-    set({ error: null });
+    set({ error: null, modelContractError: null });
   },
 
   // Terminate (cleanup)
@@ -266,10 +658,17 @@ export const useEmotionStore = create((set, get) => ({
     if (state.inferenceIntervalId) {
       clearInterval(state.inferenceIntervalId);
     }
+    if (state.worker) {
+      state.worker.terminate();
+    }
     set({
       isModelLoaded: false,
       isInferenceRunning: false,
+      inferenceBackend: null,
+      executionBackend: null,
       inferenceIntervalId: null,
+      worker: null,
+      ringReader: null,
     });
   },
 
@@ -279,3 +678,16 @@ export const useEmotionStore = create((set, get) => ({
     set(initialState);
   },
 }));
+
+// Apply smoothing changes from Settings to the running session
+useSettingsStore.subscribe((settings, previous) => {
+  if (
+    settings.smoothing !== previous.smoothing ||
+    settings.hysteresis !== previous.hysteresis
+  ) {
+    useEmotionStore.getState().applyInferenceSettings({
+      smoothing: settings.smoothing,
+      hysteresis: settings.hysteresis,
+    });
+  }
+});
@@ -0,0 +1,159 @@
+/**
+ * Face Store - Zustand store for tracked faces
+ * Keeps one smoothed emotion timeline per face track (see
+ * utils/faceTracker.js), lets each person be named and saves a person's
+ * timeline as a session.
+ */
+
+import { create } from "zustand";
+import { predictionsApi, sessionsApi } from "../lib/api";
+import { EMOTION_LABELS } from "../utils/emotions";
+import { alignFaceEmotions, FACE_LABEL_MAP } from "../utils/fusion";
+import { useSessionStore } from "./sessionStore";
+
+// Detections arrive every ~60ms; timelines keep one entry per tick
+const TIMELINE_INTERVAL_MS = 250;
+const FACE_MODEL_ID = "face_emotion";
+
+const initialState = {
+  people: {}, // track id -> { id, name, firstSeen, lastSeen, isVisible, timeline }
+  isSaving: false,
+  error: null,
+  maxTimelineLength: 2400, // ~10 minutes per person
+};
+
+/**
+ * Timeline entry as a prediction on the voice model's labels, so saved
+ * face sessions read like any other session
+ */
+const toPrediction = (entry) => {
+  const { emotions } = alignFaceEmotions(entry.emotions, EMOTION_LABELS);
+  return {
+    dominant: FACE_LABEL_MAP[entry.emotion] ?? entry.emotion,
+    confidence: entry.confidence,
+    emotions,
+    modelId: FACE_MODEL_ID,
+    timestamp: new Date(entry.timestamp).toISOString(),
+  };
+};
+
+export const useFaceStore = create((set, get) => ({
+  ...initialState,
+
+  // Tracked detections for one frame, from the face detector worker
+  updateTracks: (detections, timestamp = Date.now()) => {
+    const state = get();
+    const people = {};
+    let changed = false;
+
+    for (const person of Object.values(state.people)) {
+      people[person.id] = person.isVisible
+        ? { ...person, isVisible: false }
+        : person;
+    }
+
+    for (const detection of detections) {
+      const existing = people[detection.trackId];
+      const person = existing || {
+        id: detection.trackId,
+        name: `Person ${detection.trackId}`,
+        firstSeen: timestamp,
+        timeline: [],
+      };
+      const last = person.timeline[person.timeline.length - 1];
+      const timeline =
+        last && timestamp - last.timestamp < TIMELINE_INTERVAL_MS
+          ? person.timeline
+          : [
+              ...person.timeline,
+              {
+                timestamp,
+                emotion: detection.emotion,
+                confidence: detection.confidence,
+                emotions: detection.emotionProbs,
+              },
+            ].slice(-state.maxTimelineLength);
+
+      people[person.id] = {
+        ...person,
+        lastSeen: timestamp,
+        isVisible: true,
+        timeline,
+      };
+      changed = true;
+    }
+
+    // Skip the update when nobody was or is in view
+    if (changed || Object.values(state.people).some((p) => p.isVisible)) {
+      set({ people });
+    }
+  },
+
+  // Name a person, e.g. "Interviewer"
+  renamePerson: (id, name) => {
+    const person = get().people[id];
+    if (!person) return;
+    set((state) => ({
+      people: { ...state.people, [id]: { ...person, name } },
+    }));
+  },
+
+  // Forget one person's timeline
+  removePerson: (id) => {
+    set((state) => {
+      const { [id]: removed, ...people } = state.people;
+      return { people };
+    });
+  },
+
+  // Save a person's timeline as a completed session
+  savePerson: async (id) => {
+    const person = get().people[id];
+    if (!person || person.timeline.length === 0) {
+      return { success: false, error: "Nothing recorded for this person" };
+    }
+
+    try {
+      set({ isSaving: true, error: null });
+
+      const { session } = await sessionsApi.create({
+        name: person.name,
+        description: `Face emotion timeline (${person.timeline.length} predictions)`,
+        startTime: new Date(person.timeline[0].timestamp).toISOString(),
+      });
+      await predictionsApi.createBatch(
+        session.id,
+        person.timeline.map(toPrediction)
+      );
+      const { session: saved } = await sessionsApi.end(session.id);
+
+      useSessionStore.setState((state) => ({
+        sessions: [saved, ...state.sessions],
+      }));
+      set((state) => ({
+        isSaving: false,
+        people: state.people[id]
+          ? {
+              ...state.people,
+              [id]: { ...state.people[id], savedSessionId: saved.id },
+            }
+          : state.people,
+      }));
+
+      return { success: true, data: saved };
+    } catch (error) {
+      set({ error: error.message, isSaving: false });
+      return { success: false, error: error.message };
+    }
+  },
+
+  // Clear error
+  clearError: () => {
+    set({ error: null });
+  },
+
+  // Forget everyone, e.g. when the camera starts again
+  reset: () => {
+    set({ people: {}, error: null });
+  },
+}));
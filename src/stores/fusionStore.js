@@ -0,0 +1,123 @@
+/**
+ * Fusion Store - Zustand store for the multimodal emotion stream
+ * Collects the latest face and voice predictions, fuses them (see
+ * utils/fusion.js) whenever either one updates and keeps a timeline with
+ * one track per modality plus the fused track.
+ */
+
+import { create } from "zustand";
+import { UNCERTAIN_LABEL } from "../utils/calibration";
+import { EMOTION_LABELS } from "../utils/emotions";
+import {
+  alignFaceEmotions,
+  fuseEmotions,
+  MODALITY_MAX_AGE_MS,
+} from "../utils/fusion";
+
+// Face predictions arrive every ~60ms; the timeline keeps one entry per tick
+const TIMELINE_INTERVAL_MS = 250;
+
+const initialState = {
+  labels: EMOTION_LABELS,
+  isFaceActive: false,
+  voice: null, // { emotions, covers, dominant, confidence, timestamp }
+  face: null,
+  fused: null, // { emotions, dominant, confidence, contributions, timestamp }
+  timeline: [],
+  maxTimelineLength: 240,
+};
+
+const track = (prediction) =>
+  prediction
+    ? { dominant: prediction.dominant, confidence: prediction.confidence }
+    : null;
+
+const isFresh = (prediction, modality, timestamp) =>
+  prediction &&
+  timestamp - prediction.timestamp <= MODALITY_MAX_AGE_MS[modality];
+
+export const useFusionStore = create((set, get) => ({
+  ...initialState,
+
+  // Face detector started or stopped
+  setFaceActive: (isFaceActive) => {
+    set(isFaceActive ? { isFaceActive } : { isFaceActive, face: null });
+  },
+
+  // Face detector produced probabilities for the primary face
+  updateFace: (faceEmotions, timestamp = Date.now()) => {
+    const { emotions, covers } = alignFaceEmotions(faceEmotions, get().labels);
+    let dominant = covers[0];
+    for (const label of covers) {
+      if (emotions[label] > emotions[dominant]) dominant = label;
+    }
+
+    set({
+      face: {
+        emotions,
+        covers,
+        dominant,
+        confidence: emotions[dominant] ?? 0,
+        timestamp,
+      },
+    });
+    get().fuse(timestamp);
+  },
+
+  // Voice pipeline produced a prediction (emotionStore history entry)
+  updateVoice: (prediction) => {
+    const labels = Object.keys(prediction.emotions);
+    // Silent windows carry no evidence about the speaker's emotion; in
+    // uncertain ones no class cleared its threshold, so none is fused
+    const hasEvidence =
+      !prediction.isSilence && prediction.dominant !== UNCERTAIN_LABEL;
+
+    set({
+      labels,
+      voice: hasEvidence
+        ? {
+            emotions: prediction.emotions,
+            covers: labels,
+            dominant: prediction.dominant,
+            confidence: prediction.confidence,
+            timestamp: prediction.timestamp,
+          }
+        : null,
+    });
+    get().fuse(prediction.timestamp);
+  },
+
+  // Fuse the current predictions and extend the timeline
+  fuse: (timestamp) => {
+    const state = get();
+    const voice = isFresh(state.voice, "voice", timestamp) ? state.voice : null;
+    const face = isFresh(state.face, "face", timestamp) ? state.face : null;
+
+    const result = fuseEmotions({ voice, face }, state.labels);
+    const fused = result ? { ...result, timestamp } : null;
+
+    const last = state.timeline[state.timeline.length - 1];
+    if (last && timestamp - last.timestamp < TIMELINE_INTERVAL_MS) {
+      set({ fused });
+      return;
+    }
+
+    set({
+      fused,
+      timeline: [
+        ...state.timeline,
+        {
+          timestamp,
+          voice: track(voice),
+          face: track(face),
+          fused: track(fused),
+        },
+      ].slice(-state.maxTimelineLength),
+    });
+  },
+
+  // Clear the stream, e.g. when a new session starts
+  reset: () => {
+    set({ voice: null, face: null, fused: null, timeline: [] });
+  },
+}));
@@ -0,0 +1,75 @@
+/**
+ * Settings Store - Zustand store for persisted user preferences
+ * Holds the inference smoothing and resampling settings applied to live and
+ * file analysis, and whether session audio is recorded
+ */
+
+import { create } from "zustand";
+import { persist } from "zustand/middleware";
+import { DEFAULT_RESAMPLER_QUALITY } from "../utils/resampler";
+import { HYSTERESIS_DEFAULTS, SMOOTHING_DEFAULTS } from "../utils/smoothing";
+
+const initialState = {
+  smoothing: { ...SMOOTHING_DEFAULTS },
+  hysteresis: { ...HYSTERESIS_DEFAULTS },
+  resampleQuality: DEFAULT_RESAMPLER_QUALITY, // low | medium | high
+  recordSessionAudio: false, // Keep live session audio on this device (opt-in)
+};
+
+export const useSettingsStore = create(
+  persist(
+    (set) => ({
+      ...initialState,
+
+      // Update smoothing strategy or its parameters
+      setSmoothing: (changes) => {
+        set((state) => ({ smoothing: { ...state.smoothing, ...changes } }));
+      },
+
+      // Update dominant emotion hysteresis
+      setHysteresis: (changes) => {
+        set((state) => ({ hysteresis: { ...state.hysteresis, ...changes } }));
+      },
+
+      // Resampler preset; live capture picks it up on the next recording
+      setResampleQuality: (resampleQuality) => {
+        set({ resampleQuality });
+      },
+
+      // Opt in to (or out of) recording session audio locally
+      setRecordSessionAudio: (recordSessionAudio) => {
+        set({ recordSessionAudio });
+      },
+
+      // Restore default inference settings
+      resetInferenceSettings: () => {
+        set({
+          smoothing: { ...SMOOTHING_DEFAULTS },
+          hysteresis: { ...HYSTERESIS_DEFAULTS },
+        });
+      },
+    }),
+    {
+      name: "audio-emotion-settings",
+      // Fill in settings added after the stored copy was written
+      merge: (persisted, current) => ({
+        ...current,
+        smoothing: { ...current.smoothing, ...persisted?.smoothing },
+        hysteresis: { ...current.hysteresis, ...persisted?.hysteresis },
+        resampleQuality: persisted?.resampleQuality ?? current.resampleQuality,
+        recordSessionAudio:
+          persisted?.recordSessionAudio ?? current.recordSessionAudio,
+      }),
+    }
+  )
+);
+
+/**
+ * Current smoothing, hysteresis and resampling settings, in
+ * EmotionEngine.configure / analyzeWithEngine form
+ */
+export const getInferenceSettings = () => {
+  const { smoothing, hysteresis, resampleQuality } =
+    useSettingsStore.getState();
+  return { smoothing, hysteresis, resampleQuality };
+};
@@ -0,0 +1,655 @@
+/**
+ * EmotionEngine - Shared speech emotion inference pipeline
+ *
+ * Owns everything between raw audio and an emotion prediction: window
+ * preparation, tensor construction, calibration, valence / arousal / dominance,
+ * voice activity detection and temporal smoothing. The live main-thread path, the inference worker and file
+ * analysis all run through this class, so the same audio produces the same
+ * predictions no matter where it is analyzed.
+ *
+ * API:
+ * - load(manifestUrl | manifest) - download, load and warm up a model
+ * - attach(manifest, session)    - use a session created elsewhere (Node CLI)
+ * - predictWindow(samples)       - stateless prediction for one window
+ * - predictBatch(windows)        - stateless predictions, batched
+ * - predictStream(samples)       - gated + smoothed prediction for a stream
+ * - predictStreamBatch(windows)  - predictStream over many windows, batched
+ * - configure(options)           - change smoothing / hysteresis settings
+ * - getOptions()                 - current settings, for a replacement engine
+ * - reset()                      - clear smoothing, voice-hold and VAD state
+ */
+
+import * as ort from "onnxruntime-web";
+import { resampleAudio } from "./audio";
+import { selectBackend } from "./backendSelector";
+import {
+  IDENTITY_CALIBRATION,
+  applyThresholds,
+  calibrateOutput,
+  loadCalibration,
+} from "./calibration";
+import {
+  DIMENSIONS,
+  emotionsToDimensions,
+  headToDimensions,
+} from "./dimensions";
+import { getDominantEmotion } from "./emotions";
+import {
+  DEFAULT_MANIFEST_URL,
+  applyNormalization,
+  createModelSession,
+  fetchModelBytes,
+  getInputDims,
+  getTensorNames,
+  loadManifest,
+  releaseModelBytes,
+  releaseModelSession,
+  runSilentWindow,
+} from "./modelRegistry";
+import {
+  ModelContractError,
+  probeModelContract,
+  validateModelContract,
+} from "./modelContract";
+import {
+  DominantHysteresis,
+  EmaSmoother,
+  SMOOTHING_DEFAULTS,
+  createSmoother,
+} from "./smoothing";
+import { VoiceActivityDetector } from "./vad";
+
+export const HOP_DURATION_SECONDS = 0.5;
+export const VOICE_HOLD_MS = 800;
+export const DEFAULT_BATCH_SIZE = 8;
+
+export class EmotionEngine {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.smoothing] - Smoothing strategy and parameters
+   *   (see SMOOTHING_DEFAULTS)
+   * @param {Object} [options.hysteresis] - Dominant emotion margin and hold
+   *   time (see HYSTERESIS_DEFAULTS)
+   * @param {Object} [options.vad] - VoiceActivityDetector options
+   * @param {number} [options.voiceHoldMs] - How long to hold the last voiced
+   *   prediction through short pauses
+   * @param {Object} [options.sessionOptions] - Extra InferenceSession options
+   * @param {Object} [options.runtime] - ONNX Runtime namespace that tensors
+   *   are built with; onnxruntime-node when sessions come from attach()
+   */
+  constructor(options = {}) {
+    this.ort = options.runtime || ort;
+    this.smoothingOptions = options.smoothing || {};
+    this.hysteresisOptions = options.hysteresis || {};
+    this.vadOptions = options.vad || {};
+    this.voiceHoldMs = options.voiceHoldMs ?? VOICE_HOLD_MS;
+    this.sessionOptions = options.sessionOptions || {};
+
+    this.manifest = null;
+    this.session = null;
+    this.backend = null;
+    this.calibration = IDENTITY_CALIBRATION;
+    this.smoother = null;
+    this.hysteresis = new DominantHysteresis(this.hysteresisOptions);
+    this.dimensionSmoother = null;
+    this.vad = null;
+    this.silenceVector = {};
+    this.silenceDimensions = null;
+    this.lastVoicedTimestamp = 0;
+    this.batchingFailed = false;
+  }
+
+  /**
+   * Load the model described by a manifest
+   * The execution provider is picked by benchmarking the model on every
+   * backend available in this thread (see backendSelector.js); those runs
+   * on a silent window double as the warm-up, so the first real prediction
+   * doesn't pay for shader compilation or memory allocation. The model is
+   * checked against its manifest first (see modelContract.js).
+   * @param {string|Object} source - Manifest URL or normalized manifest
+   * @param {Object} [options]
+   * @param {Function} [options.onProgress] - Called with
+   *   { phase: "download", loaded, total } while the model file arrives,
+   *   then { phase: "warmup" } while backends are benchmarked. Both carry
+   *   `verified`, false when the manifest has no sha256 to check the file
+   *   against. Neither is reported when the model was already loaded in
+   *   this thread.
+   * @returns {Promise<Object>} - The loaded manifest
+   * @throws {ModelContractError} When the model doesn't match its manifest
+   */
+  async load(source = DEFAULT_MANIFEST_URL, { onProgress } = {}) {
+    const manifest =
+      typeof source === "string" ? await loadManifest(source) : source;
+    const verified = Boolean(manifest.sha256);
+    const reportDownload = ({ loaded, total }) =>
+      onProgress?.({ phase: "download", loaded, total, verified });
+
+    const [selection, calibration] = await Promise.all([
+      selectBackend(ort, {
+        key: manifest.id,
+        createSession: async (sessionOptions) => {
+          await fetchModelBytes(manifest, { onProgress: reportDownload });
+          onProgress?.({ phase: "warmup", verified });
+          return createModelSession(manifest, {
+            ...this.sessionOptions,
+            ...sessionOptions,
+          });
+        },
+        validate: (session) => validateModelContract(manifest, session),
+        run: (session) => runSilentWindow(session, manifest),
+        release: (session, sessionOptions) =>
+          releaseModelSession(manifest.id, sessionOptions),
+      }),
+      loadCalibration(manifest),
+    ]);
+    releaseModelBytes(manifest.id);
+
+    try {
+      await probeModelContract(manifest, selection.session);
+    } catch (error) {
+      await releaseModelSession(manifest.id);
+      throw error;
+    }
+
+    this.useSession(manifest, selection.session, {
+      calibration,
+      backend: { ...selection.backend, timings: selection.timings },
+    });
+    return manifest;
+  }
+
+  /**
+   * Use a session created outside the model registry
+   * For runtimes the registry doesn't cover, such as onnxruntime-node; pass
+   * that runtime to the constructor. The session is checked against the
+   * manifest and warmed up, but not benchmarked or cached.
+   * @param {Object} manifest - Normalized manifest
+   * @param {Object} session - InferenceSession
+   * @param {Object} [options]
+   * @param {Object} [options.calibration] - Normalized calibration
+   * @param {Object} [options.backend] - Description of the execution provider
+   * @returns {Promise<Object>} - The manifest
+   * @throws {ModelContractError} When the model doesn't match its manifest
+   */
+  async attach(
+    manifest,
+    session,
+    { calibration = IDENTITY_CALIBRATION, backend = null } = {}
+  ) {
+    validateModelContract(manifest, session);
+    await probeModelContract(manifest, session, this.ort);
+
+    this.useSession(manifest, session, { calibration, backend });
+    return manifest;
+  }
+
+  /**
+   * Switch to a loaded session and start the stream state over
+   */
+  useSession(manifest, session, { calibration, backend }) {
+    this.manifest = manifest;
+    this.session = session;
+    this.backend = backend;
+    this.calibration = calibration;
+    this.smoother = createSmoother(manifest.labels, this.smoothingOptions);
+    this.hysteresis.reset();
+    this.dimensionSmoother = this.createDimensionSmoother();
+    this.vad = new VoiceActivityDetector({
+      ...this.vadOptions,
+      sampleRate: manifest.sampleRate,
+    });
+    this.silenceVector = manifest.labels.reduce((acc, label) => {
+      acc[label] = label === manifest.silenceLabel ? 1 : 0;
+      return acc;
+    }, {});
+    this.silenceDimensions = emotionsToDimensions(
+      this.silenceVector,
+      manifest.dimensions.mapping
+    );
+    this.lastVoicedTimestamp = 0;
+    this.batchingFailed = false;
+  }
+
+  /**
+   * Change smoothing and hysteresis settings
+   * Takes effect from the next window; smoothing state starts over when the
+   * strategy or its parameters change.
+   * @param {Object} options
+   * @param {Object} [options.smoothing] - Smoothing strategy and parameters
+   * @param {Object} [options.hysteresis] - Margin and hold time
+   */
+  configure({ smoothing, hysteresis } = {}) {
+    if (smoothing) {
+      // Validate before replacing the current smoother
+      const smoother = createSmoother(this.labels, smoothing);
+      this.smoothingOptions = { ...smoothing };
+      if (this.manifest) {
+        this.smoother = smoother;
+        this.hysteresis.reset();
+        this.dimensionSmoother = this.createDimensionSmoother();
+      }
+    }
+    if (hysteresis) {
+      this.hysteresisOptions = { ...hysteresis };
+      this.hysteresis = new DominantHysteresis(this.hysteresisOptions);
+    }
+  }
+
+  /**
+   * Constructor options reflecting the current settings
+   * Lets a replacement engine for another model pick up where this one is.
+   */
+  getOptions() {
+    return {
+      smoothing: { ...this.smoothingOptions },
+      hysteresis: { ...this.hysteresisOptions },
+      vad: { ...this.vadOptions },
+      voiceHoldMs: this.voiceHoldMs,
+      sessionOptions: { ...this.sessionOptions },
+    };
+  }
+
+  /**
+   * EMA for regression-head dimensions
+   * Mapped dimensions need none: they follow the smoothed probabilities.
+   */
+  createDimensionSmoother() {
+    return new EmaSmoother(
+      DIMENSIONS,
+      this.smoothingOptions.alpha ?? SMOOTHING_DEFAULTS.alpha
+    );
+  }
+
+  get isLoaded() {
+    return this.session !== null;
+  }
+
+  get labels() {
+    return this.manifest?.labels ?? [];
+  }
+
+  get windowSamples() {
+    return this.manifest?.windowSamples ?? 0;
+  }
+
+  get sampleRate() {
+    return this.manifest?.sampleRate ?? 0;
+  }
+
+  /**
+   * Samples to advance between streaming windows
+   * @param {number} hopSeconds - Desired hop duration
+   */
+  getHopSize(hopSeconds = HOP_DURATION_SECONDS) {
+    if (!this.manifest) return 0;
+    return Math.min(
+      this.windowSamples - 1,
+      Math.max(1, Math.floor(this.sampleRate * hopSeconds))
+    );
+  }
+
+  /**
+   * Resample, pad/crop to the model window and normalize
+   * Longer input keeps its most recent samples.
+   * @param {Float32Array} samples - Audio samples
+   * @param {number} [sampleRate] - Sample rate of `samples`
+   * @returns {Float32Array}
+   */
+  prepareWindow(samples, sampleRate) {
+    const { windowSamples } = this;
+    let prepared = samples;
+
+    if (sampleRate && sampleRate !== this.sampleRate) {
+      prepared = resampleAudio(prepared, sampleRate, this.sampleRate);
+    }
+
+    if (prepared.length < windowSamples) {
+      const padded = new Float32Array(windowSamples);
+      padded.set(prepared);
+      prepared = padded;
+    } else if (prepared.length > windowSamples) {
+      prepared = prepared.slice(-windowSamples);
+    }
+
+    return applyNormalization(prepared, this.manifest.normalization);
+  }
+
+  /**
+   * Turn one row of model output into a calibrated probability list
+   */
+  toProbabilities(output) {
+    return calibrateOutput(
+      output,
+      this.manifest.output.type,
+      this.calibration,
+      this.labels
+    );
+  }
+
+  /**
+   * Map a probability list onto the manifest labels
+   */
+  toEmotionMap(probabilities) {
+    const emotions = {};
+    this.labels.forEach((label, index) => {
+      emotions[label] = probabilities[index] ?? 0;
+    });
+    return emotions;
+  }
+
+  /**
+   * Largest batch the loaded model accepts
+   * Models with a fixed batch dimension (in the manifest or the graph) and
+   * models that already rejected a batched run get one window per run.
+   */
+  getMaxBatchSize() {
+    if (!this.session || this.batchingFailed) return 1;
+
+    const batchIndex = this.manifest.input.shape.indexOf("batch");
+    if (batchIndex === -1) return 1;
+
+    const { inputName } = getTensorNames(this.manifest, this.session);
+    const metadata = this.session.inputMetadata?.find(
+      (input) => input.name === inputName
+    );
+    const graphDim = metadata?.isTensor ? metadata.shape[batchIndex] : null;
+
+    return typeof graphDim === "number" ? 1 : Infinity;
+  }
+
+  /**
+   * Run the model on prepared windows packed into one tensor
+   * `dimensionRows` holds the regression head output when the manifest names
+   * one, otherwise null.
+   * @returns {Promise<{ rows: number[][], dimensionRows: number[][]|null, inferenceTime: number }>}
+   */
+  async runPrepared(prepared) {
+    const { windowSamples } = this;
+    const batch = prepared.length;
+    const data = new Float32Array(batch * windowSamples);
+    prepared.forEach((window, index) =>
+      data.set(window, index * windowSamples)
+    );
+
+    const tensor = new this.ort.Tensor(
+      this.manifest.input.dtype,
+      data,
+      getInputDims(this.manifest, batch)
+    );
+
+    const { inputName, outputName } = getTensorNames(
+      this.manifest,
+      this.session
+    );
+    const feeds = {};
+    feeds[inputName] = tensor;
+
+    const startTime = performance.now();
+    const results = await this.session.run(feeds);
+    const inferenceTime = performance.now() - startTime;
+
+    const splitRows = (output, field, size) => {
+      const width = output.length / batch;
+      if (width !== size) {
+        throw new ModelContractError(this.manifest.id, [
+          { field, expected: `${size} values`, actual: `${width} values` },
+        ]);
+      }
+      const rows = [];
+      for (let i = 0; i < batch; i++) {
+        rows.push(output.subarray(i * width, (i + 1) * width));
+      }
+      return rows;
+    };
+
+    const headName = this.manifest.dimensions.output;
+    if (headName && !results[headName]) {
+      throw new Error(`Model has no dimensions output "${headName}"`);
+    }
+
+    return {
+      rows: splitRows(
+        results[outputName].data,
+        "output",
+        this.manifest.labels.length
+      ),
+      dimensionRows: headName
+        ? splitRows(
+            results[headName].data,
+            "dimensions.output",
+            this.manifest.dimensions.order.length
+          )
+        : null,
+      inferenceTime,
+    };
+  }
+
+  /**
+   * Run the model on a single window without touching stream state
+   * @param {Float32Array} samples - Audio window
+   * @param {Object} [options]
+   * @param {number} [options.sampleRate] - Sample rate of `samples`
+   * @returns {Promise<{ probabilities: number[], emotions: Object, dimensions: Object, inferenceTime: number }>}
+   */
+  async predictWindow(samples, { sampleRate } = {}) {
+    const [result] = await this.predictBatch([samples], {
+      sampleRate,
+      batchSize: 1,
+    });
+    return result;
+  }
+
+  /**
+   * Run the model on many windows without touching stream state
+   * Windows are packed into tensors of up to `batchSize`; per-window results
+   * match predictWindow. Falls back to one window per run if the model
+   * rejects batched input.
+   * @param {Float32Array[]} windows - Audio windows
+   * @param {Object} [options]
+   * @param {number} [options.sampleRate] - Sample rate of the windows
+   * @param {number} [options.batchSize] - Maximum windows per run
+   * @returns {Promise<Array<{ probabilities: number[], emotions: Object, dimensions: Object, inferenceTime: number }>>}
+   */
+  async predictBatch(
+    windows,
+    { sampleRate, batchSize = DEFAULT_BATCH_SIZE } = {}
+  ) {
+    if (!this.session) {
+      throw new Error("Emotion model not loaded");
+    }
+
+    const prepared = windows.map((window) =>
+      this.prepareWindow(window, sampleRate)
+    );
+    const results = [];
+    let offset = 0;
+
+    while (offset < prepared.length) {
+      const size = Math.max(
+        1,
+        Math.min(batchSize, this.getMaxBatchSize(), prepared.length - offset)
+      );
+      const chunk = prepared.slice(offset, offset + size);
+
+      let run;
+      try {
+        run = await this.runPrepared(chunk);
+      } catch (error) {
+        if (size === 1) throw error;
+        console.warn(
+          "[EmotionEngine] Batched inference failed, using batch size 1:",
+          error.message
+        );
+        this.batchingFailed = true;
+        continue;
+      }
+
+      run.rows.forEach((row, i) => {
+        const probabilities = this.toProbabilities(row);
+        const emotions = this.toEmotionMap(probabilities);
+        results.push({
+          probabilities,
+          emotions,
+          dimensions: run.dimensionRows
+            ? headToDimensions(run.dimensionRows[i], this.manifest.dimensions)
+            : emotionsToDimensions(emotions, this.manifest.dimensions.mapping),
+          inferenceTime: run.inferenceTime / size,
+        });
+      });
+      offset += size;
+    }
+
+    return results;
+  }
+
+  /**
+   * Predict the next window of a continuous stream
+   * Applies voice activity detection, voice hold and temporal smoothing.
+   * @param {Float32Array} samples - Audio window
+   * @param {Object} [options]
+   * @param {number} [options.sampleRate] - Sample rate of `samples`
+   * @param {number} [options.timestamp] - Stream time in ms (defaults to now)
+   * @returns {Promise<Object>} - Prediction payload
+   */
+  async predictStream(samples, { sampleRate, timestamp = Date.now() } = {}) {
+    const voice = this.vad.analyze(samples);
+    if (!voice.isSpeech) {
+      return this.buildSilenceResult(timestamp, voice);
+    }
+
+    const raw = await this.predictWindow(samples, { sampleRate });
+    return this.buildVoicedResult(raw, timestamp, voice);
+  }
+
+  /**
+   * Predict consecutive windows of a stream, batching the model runs
+   * Gives the same results as calling predictStream on each window in order.
+   * @param {Array<{ samples: Float32Array, timestamp: number }>} windows
+   * @param {Object} [options]
+   * @param {number} [options.sampleRate] - Sample rate of the windows
+   * @param {number} [options.batchSize] - Maximum windows per model run
+   * @returns {Promise<Object[]>} - Prediction payloads, in window order
+   */
+  async predictStreamBatch(windows, { sampleRate, batchSize } = {}) {
+    // The VAD adapts as it goes, so it sees the windows in stream order
+    const voices = windows.map((window) => this.vad.analyze(window.samples));
+    const raw = await this.predictBatch(
+      windows
+        .filter((window, i) => voices[i].isSpeech)
+        .map((window) => window.samples),
+      { sampleRate, batchSize }
+    );
+
+    let voicedIndex = 0;
+    return windows.map((window, i) =>
+      voices[i].isSpeech
+        ? this.buildVoicedResult(
+            raw[voicedIndex++],
+            window.timestamp,
+            voices[i]
+          )
+        : this.buildSilenceResult(window.timestamp, voices[i])
+    );
+  }
+
+  /**
+   * Apply stream state to a voiced window's raw prediction
+   */
+  buildVoicedResult(
+    { emotions: rawEmotions, dimensions: rawDimensions, inferenceTime },
+    timestamp,
+    voice
+  ) {
+    this.lastVoicedTimestamp = timestamp;
+
+    const emotions = this.smoother.update(rawEmotions);
+    const { dominant, confidence } = this.resolveDominant(emotions, timestamp);
+
+    return {
+      emotions,
+      rawEmotions,
+      dimensions: this.smoothDimensions(emotions, rawDimensions),
+      rawDimensions,
+      dominant,
+      confidence,
+      inferenceTime,
+      timestamp,
+      isSilence: false,
+      speechProbability: voice.speechProbability,
+      calibrated: !this.calibration.isIdentity,
+      modelId: this.manifest.id,
+    };
+  }
+
+  /**
+   * Prediction for a silent window
+   * Holds the last voiced state briefly, then decays towards silence.
+   */
+  buildSilenceResult(timestamp, voice) {
+    const holdActive =
+      this.lastVoicedTimestamp > 0 &&
+      timestamp - this.lastVoicedTimestamp < this.voiceHoldMs;
+    const baseline = holdActive
+      ? this.smoother.getState() || { ...this.silenceVector }
+      : this.smoother.update(this.silenceVector);
+    const emotions = { ...baseline };
+    const { dominant, confidence } = this.resolveDominant(emotions, timestamp);
+    const dimensions = this.smoothDimensions(
+      emotions,
+      holdActive ? null : this.silenceDimensions
+    );
+
+    return {
+      emotions,
+      rawEmotions: emotions,
+      dimensions,
+      rawDimensions: dimensions,
+      dominant,
+      confidence,
+      inferenceTime: 0,
+      timestamp,
+      isSilence: true,
+      speechProbability: voice.speechProbability,
+      calibrated: !this.calibration.isIdentity,
+      modelId: this.manifest.id,
+    };
+  }
+
+  /**
+   * Smoothed dimensions for a window
+   * Mapped dimensions are read off the smoothed probabilities; a regression
+   * head is smoothed on its own. `rawDimensions` null holds the last value.
+   */
+  smoothDimensions(emotions, rawDimensions) {
+    const { output, mapping } = this.manifest.dimensions;
+    if (!output) return emotionsToDimensions(emotions, mapping);
+
+    return rawDimensions
+      ? this.dimensionSmoother.update(rawDimensions)
+      : this.dimensionSmoother.getState() ||
+          emotionsToDimensions(emotions, mapping);
+  }
+
+  /**
+   * Dominant emotion after decoding, hysteresis and class thresholds
+   */
+  resolveDominant(emotions, timestamp) {
+    const decoded = this.smoother.getDominant();
+    const candidate = decoded || getDominantEmotion(emotions).emotion;
+    const dominant = this.hysteresis.update(emotions, candidate, timestamp, {
+      decoded: Boolean(decoded),
+    });
+    return applyThresholds(emotions, dominant, this.calibration.thresholds);
+  }
+
+  /**
+   * Clear smoothing and voice-hold state and recalibrate the VAD
+   */
+  reset() {
+    this.smoother?.reset();
+    this.hysteresis.reset();
+    this.dimensionSmoother?.reset();
+    this.vad?.reset();
+    this.lastVoicedTimestamp = 0;
+  }
+}
@@ -5,14 +5,45 @@
  * for transferring audio data between the AudioWorklet (producer) and
  * the Inference Worker (consumer) without blocking.
  *
+ * The header also carries the input levels, so the worklet never has to
+ * post messages: the main thread polls them on animation frames.
+ *
+ * The consumer sleeps in Atomics.wait(Async) until the samples it asked for
+ * (the wake threshold) are readable; the producer notifies only then.
+ *
+ * Every sample is written twice, at i and i + capacity, so any run of up to
+ * `capacity` samples is contiguous and a model window can be handed out as a
+ * view of shared memory instead of a copy.
+ *
  * Memory Layout:
  * [0]: Write pointer (producer updates)
  * [1]: Read pointer (consumer updates)
  * [2]: Buffer capacity
- * [3...N]: Audio sample data
+ * [3]: Level sequence, bumped after each level update
+ * [4]: RMS of the latest level window (Float32)
+ * [5]: Peak of the latest level window (Float32)
+ * [6]: Samples dropped because the buffer was full (running total)
+ * [7]: Wake threshold: readable samples the consumer waits for (0 = none)
+ * [8...N]: Audio sample data, twice `capacity` samples (mirrored)
  */
 
-export const RING_BUFFER_HEADER_SIZE = 3; // writePtr, readPtr, capacity
+export const RING_BUFFER_HEADER_SIZE = 8;
+
+// Header slot indices
+export const RING_HEADER = {
+  WRITE_PTR: 0,
+  READ_PTR: 1,
+  CAPACITY: 2,
+  LEVEL_SEQUENCE: 3,
+  RMS: 4,
+  PEAK: 5,
+  DROPPED: 6,
+  WAKE_AT: 7,
+};
+
+// Longest blocking Atomics.wait where Atomics.waitAsync is missing, so the
+// consumer's message handler still runs a few times a second
+const SYNC_WAIT_SLICE_MS = 250;
 
 export class RingBufferWriter {
   /**
@@ -32,24 +63,52 @@ export class RingBufferWriter {
 
     // Data buffer starts after header
     const dataOffset = RING_BUFFER_HEADER_SIZE * Int32Array.BYTES_PER_ELEMENT;
-    this.dataBuffer = new Float32Array(sharedBuffer, dataOffset, capacity);
+    this.dataBuffer = new Float32Array(sharedBuffer, dataOffset, capacity * 2);
+
+    // Float view of the header for the level slots
+    this.levelBuffer = new Float32Array(
+      sharedBuffer,
+      0,
+      RING_BUFFER_HEADER_SIZE
+    );
 
     // Initialize capacity in shared memory
     Atomics.store(this.controlBuffer, 2, capacity);
   }
 
+  /**
+   * Publish input levels for the main thread
+   * Readers may see a new RMS with the previous peak; both are display-only.
+   * @param {number} rms
+   * @param {number} peak - Largest absolute sample
+   */
+  writeLevels(rms, peak) {
+    this.levelBuffer[RING_HEADER.RMS] = rms;
+    this.levelBuffer[RING_HEADER.PEAK] = peak;
+    Atomics.add(this.controlBuffer, RING_HEADER.LEVEL_SEQUENCE, 1);
+  }
+
+  /**
+   * Count samples that did not fit
+   * @param {number} count
+   */
+  addDropped(count) {
+    Atomics.add(this.controlBuffer, RING_HEADER.DROPPED, count);
+  }
+
   /**
    * Write audio samples to the ring buffer
    * @param {Float32Array} samples - Audio samples to write
+   * @param {number} [length] - Write only the first `length` samples
    * @returns {number} - Number of samples actually written
    */
-  write(samples) {
+  write(samples, length = samples.length) {
     const writePtr = Atomics.load(this.controlBuffer, 0);
     const readPtr = Atomics.load(this.controlBuffer, 1);
 
     const available = this.availableWrite(writePtr, readPtr);
 
-    const toWrite = Math.min(samples.length, available);
+    const toWrite = Math.min(length, available);
 
     if (toWrite === 0) {
       return 0;
@@ -59,12 +118,20 @@ export class RingBufferWriter {
 
     for (let i = 0; i < toWrite; i++) {
       this.dataBuffer[writeIndex] = samples[i];
+      this.dataBuffer[writeIndex + this.capacity] = samples[i];
       writeIndex = (writeIndex + 1) % this.capacity;
     }
 
     // Update write pointer atomically
     Atomics.store(this.controlBuffer, 0, writeIndex);
 
+    // Wake the consumer once what it waits for is there
+    const wakeAt = Atomics.load(this.controlBuffer, RING_HEADER.WAKE_AT);
+    if (wakeAt > 0 && this.availableRead() >= wakeAt) {
+      Atomics.store(this.controlBuffer, RING_HEADER.WAKE_AT, 0);
+      Atomics.notify(this.controlBuffer, RING_HEADER.WRITE_PTR);
+    }
+
     return toWrite;
   }
 
@@ -101,6 +168,7 @@ export class RingBufferWriter {
   reset() {
     Atomics.store(this.controlBuffer, 0, 0);
     Atomics.store(this.controlBuffer, 1, 0);
+    this.writeLevels(0, 0);
   }
 }
 
@@ -122,7 +190,7 @@ export class RingBufferReader {
 
     // Data buffer starts after header
     const dataOffset = RING_BUFFER_HEADER_SIZE * Int32Array.BYTES_PER_ELEMENT;
-    this.dataBuffer = new Float32Array(sharedBuffer, dataOffset, capacity);
+    this.dataBuffer = new Float32Array(sharedBuffer, dataOffset, capacity * 2);
   }
 
   /**
@@ -198,24 +266,76 @@ export class RingBufferReader {
   }
 
   /**
-   * Wait for a minimum number of samples to be available
-   * Uses Atomics.wait for efficient blocking
-   * @param {number} minSamples - Minimum samples to wait for
-   * @param {number} timeout - Timeout in milliseconds
-   * @returns {boolean} - True if enough samples available, false if timeout
+   * The oldest `length` unread samples as a view of shared memory
+   * The producer can't overwrite them until skip() moves past them, so the
+   * view stays valid across awaits.
+   * @param {number} length - At most availableRead() and `capacity`
+   * @returns {Float32Array}
    */
-  waitForSamples(minSamples, timeout = 1000) {
-    const startTime = performance.now();
+  peekWindow(length) {
+    const readPtr = Atomics.load(this.controlBuffer, 1);
+    return this.dataBuffer.subarray(readPtr, readPtr + length);
+  }
+
+  /**
+   * Advance the read pointer without copying
+   * @param {number} count - Samples to drop
+   * @returns {number} - Samples actually skipped
+   */
+  skip(count) {
+    const toSkip = Math.min(count, this.availableRead());
+    const readPtr = Atomics.load(this.controlBuffer, 1);
+    Atomics.store(this.controlBuffer, 1, (readPtr + toSkip) % this.capacity);
+    return toSkip;
+  }
 
-    while (this.availableRead() < minSamples) {
-      if (performance.now() - startTime > timeout) {
-        return false;
+  /**
+   * Sleep until a minimum number of samples is available
+   * Returns early if wake() is called. Uses Atomics.waitAsync, or a blocking
+   * Atomics.wait in slices of SYNC_WAIT_SLICE_MS where it is missing (so
+   * only from a worker).
+   * @param {number} minSamples - Minimum samples to wait for
+   * @param {number} [timeout] - Timeout in milliseconds
+   * @returns {Promise<boolean>} - True if enough samples are available
+   */
+  async waitForSamples(minSamples, timeout = Infinity) {
+    if (this.availableRead() >= minSamples) return true;
+
+    const writePtr = Atomics.load(this.controlBuffer, RING_HEADER.WRITE_PTR);
+    Atomics.store(this.controlBuffer, RING_HEADER.WAKE_AT, minSamples);
+
+    // The producer may have written before it could see the threshold
+    if (this.availableRead() < minSamples) {
+      if (typeof Atomics.waitAsync === "function") {
+        const wait = Atomics.waitAsync(
+          this.controlBuffer,
+          RING_HEADER.WRITE_PTR,
+          writePtr,
+          timeout
+        );
+        if (wait.async) await wait.value;
+      } else {
+        Atomics.wait(
+          this.controlBuffer,
+          RING_HEADER.WRITE_PTR,
+          writePtr,
+          Math.min(timeout, SYNC_WAIT_SLICE_MS)
+        );
+        // Let queued messages (e.g. "stop") run
+        await new Promise((resolve) => setTimeout(resolve, 0));
       }
-      // Small yield to prevent busy-waiting
-      // In a real implementation, you'd use Atomics.waitAsync
     }
 
-    return true;
+    Atomics.store(this.controlBuffer, RING_HEADER.WAKE_AT, 0);
+    return this.availableRead() >= minSamples;
+  }
+
+  /**
+   * End a pending waitForSamples, e.g. when inference stops
+   */
+  wake() {
+    Atomics.store(this.controlBuffer, RING_HEADER.WAKE_AT, 0);
+    Atomics.notify(this.controlBuffer, RING_HEADER.WRITE_PTR);
   }
 
   /**
@@ -227,6 +347,54 @@ export class RingBufferReader {
   }
 }
 
+export class RingLevelReader {
+  /**
+   * @param {SharedArrayBuffer} sharedBuffer - The shared memory buffer
+   */
+  constructor(sharedBuffer) {
+    this.controlBuffer = new Int32Array(
+      sharedBuffer,
+      0,
+      RING_BUFFER_HEADER_SIZE
+    );
+    this.levelBuffer = new Float32Array(
+      sharedBuffer,
+      0,
+      RING_BUFFER_HEADER_SIZE
+    );
+    this.sequence = Atomics.load(
+      this.controlBuffer,
+      RING_HEADER.LEVEL_SEQUENCE
+    );
+    this.dropped = Atomics.load(this.controlBuffer, RING_HEADER.DROPPED);
+  }
+
+  /**
+   * Levels published since the last call
+   * @returns {{ rms: number, peak: number, dropped: number } | null} - null
+   *   if nothing new was published; `dropped` counts samples lost since the
+   *   last call
+   */
+  read() {
+    const sequence = Atomics.load(
+      this.controlBuffer,
+      RING_HEADER.LEVEL_SEQUENCE
+    );
+    if (sequence === this.sequence) return null;
+    this.sequence = sequence;
+
+    const dropped = Atomics.load(this.controlBuffer, RING_HEADER.DROPPED);
+    const newlyDropped = dropped - this.dropped;
+    this.dropped = dropped;
+
+    return {
+      rms: this.levelBuffer[RING_HEADER.RMS],
+      peak: this.levelBuffer[RING_HEADER.PEAK],
+      dropped: newlyDropped,
+    };
+  }
+}
+
 /**
  * Create a SharedArrayBuffer for the ring buffer
  * @param {number} capacity - Number of float samples
@@ -235,7 +403,7 @@ export class RingBufferReader {
 export function createRingBuffer(capacity) {
   // Calculate total size: header (Int32) + data (Float32)
   const headerSize = RING_BUFFER_HEADER_SIZE * Int32Array.BYTES_PER_ELEMENT;
-  const dataSize = capacity * Float32Array.BYTES_PER_ELEMENT;
+  const dataSize = capacity * 2 * Float32Array.BYTES_PER_ELEMENT; // Mirrored
   const totalSize = headerSize + dataSize;
 
   const sharedBuffer = new SharedArrayBuffer(totalSize);
@@ -0,0 +1,170 @@
+/**
+ * Alert Rules - Live evaluation of emotion alert rules
+ *
+ * Rules are stored per user on the server (see server/src/routes/alerts.js)
+ * and evaluated here on every prediction:
+ * - THRESHOLD:      an emotion's probability stays above `threshold` for
+ *                   `durationSeconds` ("angry > 0.7 for 5 seconds")
+ * - DOMINANT_COUNT: an emotion becomes the dominant one `count` times within
+ *                   `windowSeconds` ("fearful dominant 3 times in a minute")
+ *
+ * Silent windows don't count towards either rule and break a THRESHOLD
+ * streak. After firing, a rule stays quiet for `cooldownSeconds`.
+ */
+
+export const ALERT_RULE_TYPES = {
+  THRESHOLD: {
+    name: "Sustained emotion",
+    description: "Probability stays above a threshold for a while",
+  },
+  DOMINANT_COUNT: {
+    name: "Repeated emotion",
+    description: "Becomes the dominant emotion several times in a window",
+  },
+};
+
+export const ALERT_RULE_DEFAULTS = {
+  type: "THRESHOLD",
+  emotion: "angry",
+  threshold: 0.7,
+  durationSeconds: 5,
+  count: 3,
+  windowSeconds: 60,
+  cooldownSeconds: 60,
+  notifyDesktop: true,
+  recordEvent: false,
+  webhookUrl: null,
+};
+
+/**
+ * One-line summary of a rule's condition
+ * @param {Object} rule - Alert rule
+ * @returns {string}
+ */
+export function describeAlertRule(rule) {
+  if (rule.type === "DOMINANT_COUNT") {
+    return `${rule.emotion} is dominant ${rule.count} times within ${rule.windowSeconds}s`;
+  }
+  return `${rule.emotion} > ${Math.round(rule.threshold * 100)}% for ${
+    rule.durationSeconds
+  }s`;
+}
+
+export class AlertEvaluator {
+  constructor() {
+    this.rules = [];
+    this.state = new Map(); // rule id -> per-rule tracking
+    this.lastDominant = null;
+  }
+
+  /**
+   * Replace the rule set; tracking is kept for rules whose condition didn't
+   * change
+   * @param {Object[]} rules - Alert rules from the server
+   */
+  setRules(rules) {
+    const previous = new Map(this.rules.map((rule) => [rule.id, rule]));
+    this.rules = rules.filter((rule) => rule.enabled !== false);
+
+    const state = new Map();
+    for (const rule of this.rules) {
+      const old = previous.get(rule.id);
+      const unchanged =
+        old &&
+        [
+          "type",
+          "emotion",
+          "threshold",
+          "durationSeconds",
+          "count",
+          "windowSeconds",
+        ].every((field) => old[field] === rule[field]);
+      state.set(
+        rule.id,
+        unchanged && this.state.has(rule.id)
+          ? this.state.get(rule.id)
+          : { since: null, onsets: [], lastFired: -Infinity }
+      );
+    }
+    this.state = state;
+  }
+
+  /**
+   * Check every rule against one prediction
+   * @param {Object} prediction - { emotions, dominant, isSilence, timestamp }
+   * @returns {Array<{ rule: Object, emotion: string, value: number, message: string, timestamp: number }>}
+   *   Alerts that fired
+   */
+  evaluate({ emotions, dominant, isSilence, timestamp }) {
+    const fired = [];
+    const becameDominant =
+      !isSilence && dominant !== this.lastDominant ? dominant : null;
+    this.lastDominant = isSilence ? null : dominant;
+
+    for (const rule of this.rules) {
+      const state = this.state.get(rule.id);
+      const value =
+        rule.type === "DOMINANT_COUNT"
+          ? this.trackOnsets(rule, state, becameDominant, timestamp)
+          : this.trackThreshold(rule, state, emotions, isSilence, timestamp);
+
+      if (value === null) continue;
+      if (timestamp - state.lastFired < rule.cooldownSeconds * 1000) continue;
+
+      state.lastFired = timestamp;
+      state.since = null;
+      state.onsets = [];
+      fired.push({
+        rule,
+        emotion: rule.emotion,
+        value,
+        message: `${rule.name}: ${describeAlertRule(rule)}`,
+        timestamp,
+      });
+    }
+
+    return fired;
+  }
+
+  /**
+   * @returns {number|null} - Current probability once the streak is long
+   *   enough
+   */
+  trackThreshold(rule, state, emotions, isSilence, timestamp) {
+    const value = emotions?.[rule.emotion] ?? 0;
+    if (isSilence || value <= rule.threshold) {
+      state.since = null;
+      return null;
+    }
+
+    if (state.since === null) state.since = timestamp;
+    return timestamp - state.since >= rule.durationSeconds * 1000
+      ? value
+      : null;
+  }
+
+  /**
+   * @returns {number|null} - Onset count once it reaches the rule's count
+   */
+  trackOnsets(rule, state, becameDominant, timestamp) {
+    if (becameDominant === rule.emotion) {
+      state.onsets.push(timestamp);
+    }
+    const windowStart = timestamp - rule.windowSeconds * 1000;
+    state.onsets = state.onsets.filter((onset) => onset >= windowStart);
+
+    return state.onsets.length >= rule.count ? state.onsets.length : null;
+  }
+
+  /**
+   * Forget streaks and onsets, e.g. when a new session starts
+   */
+  reset() {
+    this.lastDominant = null;
+    for (const state of this.state.values()) {
+      state.since = null;
+      state.onsets = [];
+      state.lastFired = -Infinity;
+    }
+  }
+}
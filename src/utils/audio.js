@@ -2,14 +2,24 @@
  * Audio Utility Functions
  */
 
+import { DEFAULT_RESAMPLER_QUALITY, resampleBuffer } from "./resampler";
+
 /**
- * Resample audio from one sample rate to another using linear interpolation
+ * Resample audio from one sample rate to another
+ * Polyphase windowed-sinc (see resampler.js), the same filter the
+ * AudioWorklet applies to live input.
  * @param {Float32Array} inputBuffer - Input audio samples
  * @param {number} inputSampleRate - Original sample rate
  * @param {number} outputSampleRate - Target sample rate
+ * @param {"low"|"medium"|"high"} [quality] - Filter preset
  * @returns {Float32Array} - Resampled audio
  */
-export function resampleAudio(inputBuffer, inputSampleRate, outputSampleRate) {
+export function resampleAudio(
+  inputBuffer,
+  inputSampleRate,
+  outputSampleRate,
+  quality = DEFAULT_RESAMPLER_QUALITY
+) {
   if (
     inputBuffer.length === 0 ||
     inputSampleRate === outputSampleRate ||
@@ -19,23 +29,12 @@ export function resampleAudio(inputBuffer, inputSampleRate, outputSampleRate) {
     return inputBuffer.slice();
   }
 
-  const ratio = inputSampleRate / outputSampleRate;
-  const outputLength = Math.max(1, Math.round(inputBuffer.length / ratio));
-  const output = new Float32Array(outputLength);
-
-  let phase = 0;
-  for (let i = 0; i < outputLength; i++) {
-    const srcIndex = phase;
-    const srcIndexFloor = Math.floor(srcIndex);
-    const srcIndexCeil = Math.min(srcIndexFloor + 1, inputBuffer.length - 1);
-    const t = srcIndex - srcIndexFloor;
-
-    output[i] =
-      inputBuffer[srcIndexFloor] * (1 - t) + inputBuffer[srcIndexCeil] * t;
-    phase += ratio;
-  }
-
-  return output;
+  return resampleBuffer(
+    inputBuffer,
+    Math.round(inputSampleRate),
+    Math.round(outputSampleRate),
+    quality
+  );
 }
 
 /**
@@ -206,6 +205,47 @@ export function computeSpectrum(samples) {
   return magnitudes;
 }
 
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float32Array} real - Real parts (length must be a power of 2)
+ * @param {Float32Array} imag - Imaginary parts, same length
+ */
+export function fft(real, imag) {
+  const N = real.length;
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < N; i++) {
+    let bit = N >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let size = 2; size <= N; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < N; start += size) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(step * k);
+        const sin = Math.sin(step * k);
+        const a = start + k;
+        const b = a + half;
+        const tr = real[b] * cos - imag[b] * sin;
+        const ti = real[b] * sin + imag[b] * cos;
+        real[b] = real[a] - tr;
+        imag[b] = imag[a] - ti;
+        real[a] += tr;
+        imag[a] += ti;
+      }
+    }
+  }
+}
+
 /**
  * Check if SharedArrayBuffer is available
  * @returns {boolean}
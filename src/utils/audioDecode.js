@@ -0,0 +1,181 @@
+/**
+ * Audio Decode - Runtime-independent decoding for file analysis
+ *
+ * Browsers resample inside decodeAudioData, each with its own filter, so
+ * analysis decodes at the file's own rate and leaves resampling to
+ * resampleAudio. WAV is decoded here in plain JS, with the same sample
+ * scaling browsers use; FLAC goes through the platform decoder at the rate
+ * read from its header. The Node CLI (src/cli) uses the same functions, which
+ * is what keeps its results identical to the browser's.
+ */
+
+import { downmixToMono } from "./audio";
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_IEEE_FLOAT = 3;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+const readTag = (view, offset) =>
+  String.fromCharCode(
+    view.getUint8(offset),
+    view.getUint8(offset + 1),
+    view.getUint8(offset + 2),
+    view.getUint8(offset + 3)
+  );
+
+const toView = (bytes) =>
+  bytes instanceof ArrayBuffer
+    ? new DataView(bytes)
+    : new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+/**
+ * Whether the bytes start with a RIFF/WAVE header
+ * @param {ArrayBuffer|Uint8Array} bytes
+ */
+export function isWav(bytes) {
+  const view = toView(bytes);
+  return (
+    view.byteLength >= 12 &&
+    readTag(view, 0) === "RIFF" &&
+    readTag(view, 8) === "WAVE"
+  );
+}
+
+/**
+ * Whether the bytes start with a FLAC stream marker
+ * @param {ArrayBuffer|Uint8Array} bytes
+ */
+export function isFlac(bytes) {
+  const view = toView(bytes);
+  return view.byteLength >= 4 && readTag(view, 0) === "fLaC";
+}
+
+/**
+ * Sample rate from a FLAC STREAMINFO block (always the first block)
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {number|null}
+ */
+export function readFlacSampleRate(bytes) {
+  const view = toView(bytes);
+  if (!isFlac(bytes) || view.byteLength < 21) return null;
+  // 4-byte marker, 4-byte block header, then 20 bits of rate at byte 18
+  return (
+    (view.getUint8(18) << 12) |
+    (view.getUint8(19) << 4) |
+    (view.getUint8(20) >> 4)
+  );
+}
+
+/**
+ * Sample reader for one WAV encoding, scaled to [-1, 1)
+ */
+function getSampleReader(view, format, bitsPerSample) {
+  if (format === WAVE_FORMAT_IEEE_FLOAT) {
+    if (bitsPerSample === 32) return (offset) => view.getFloat32(offset, true);
+    if (bitsPerSample === 64) return (offset) => view.getFloat64(offset, true);
+  }
+  if (format === WAVE_FORMAT_PCM) {
+    switch (bitsPerSample) {
+      case 8:
+        return (offset) => (view.getUint8(offset) - 128) / 128;
+      case 16:
+        return (offset) => view.getInt16(offset, true) / 32768;
+      case 24:
+        return (offset) => {
+          const value =
+            view.getUint8(offset) |
+            (view.getUint8(offset + 1) << 8) |
+            (view.getInt8(offset + 2) << 16);
+          return value / 8388608;
+        };
+      case 32:
+        return (offset) => view.getInt32(offset, true) / 2147483648;
+    }
+  }
+  throw new Error(
+    `Unsupported WAV encoding (format ${format}, ${bitsPerSample}-bit)`
+  );
+}
+
+/**
+ * Decode a WAV file
+ * @param {ArrayBuffer|Uint8Array} bytes - File contents
+ * @returns {{ sampleRate: number, channelData: Float32Array[] }}
+ */
+export function decodeWav(bytes) {
+  if (!isWav(bytes)) {
+    throw new Error("Not a WAV file");
+  }
+
+  const view = toView(bytes);
+  let fmt = null;
+  let data = null;
+
+  // Walk the chunks; each is padded to an even length
+  let offset = 12;
+  while (offset + 8 <= view.byteLength) {
+    const id = readTag(view, offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+
+    if (id === "fmt ") {
+      let format = view.getUint16(body, true);
+      if (format === WAVE_FORMAT_EXTENSIBLE && size >= 26) {
+        // Sub-format GUID starts with the actual format code
+        format = view.getUint16(body + 24, true);
+      }
+      fmt = {
+        format,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        blockAlign: view.getUint16(body + 12, true),
+        bitsPerSample: view.getUint16(body + 14, true),
+      };
+    } else if (id === "data") {
+      // Streams written before their length is known may overstate it
+      data = { offset: body, size: Math.min(size, view.byteLength - body) };
+      break;
+    }
+    offset = body + size + (size % 2);
+  }
+
+  if (!fmt || !data) {
+    throw new Error("WAV file is missing its fmt or data chunk");
+  }
+  if (fmt.channels === 0 || fmt.sampleRate === 0) {
+    throw new Error("WAV file has no channels or no sample rate");
+  }
+
+  const readSample = getSampleReader(view, fmt.format, fmt.bitsPerSample);
+  const bytesPerSample = fmt.bitsPerSample / 8;
+  const frameCount = Math.floor(data.size / fmt.blockAlign);
+  const channelData = Array.from(
+    { length: fmt.channels },
+    () => new Float32Array(frameCount)
+  );
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const frameOffset = data.offset + frame * fmt.blockAlign;
+    for (let ch = 0; ch < fmt.channels; ch++) {
+      channelData[ch][frame] = readSample(frameOffset + ch * bytesPerSample);
+    }
+  }
+
+  return { sampleRate: fmt.sampleRate, channelData };
+}
+
+/**
+ * Mono AudioBuffer stand-in for analyzeWithEngine
+ * @param {{ sampleRate: number, channelData: Float32Array[] }} decoded
+ * @returns {{ sampleRate: number, length: number, duration: number, numberOfChannels: number, getChannelData: Function }}
+ */
+export function toAnalysisBuffer({ sampleRate, channelData }) {
+  const samples = downmixToMono(channelData);
+  return {
+    sampleRate,
+    length: samples.length,
+    duration: samples.length / sampleRate,
+    numberOfChannels: 1,
+    getChannelData: () => samples,
+  };
+}
@@ -2,6 +2,13 @@
  * Audio Helper utilities for processing uploaded files
  */
 
+import {
+  decodeWav,
+  isWav,
+  readFlacSampleRate,
+  toAnalysisBuffer,
+} from "./audioDecode";
+
 /**
  * Read, decode, resample, and downmix an uploaded audio file to 16 kHz mono
  * @param {File} file - The uploaded audio file
@@ -64,3 +71,41 @@ export async function processUploadedFile(file, targetSampleRate = 16000) {
     await decodingContext.close();
   }
 }
+
+/**
+ * Decode an uploaded file for analysis, at its own sample rate
+ * WAV and FLAC decode exactly as in the Node CLI, so both give the same
+ * results; other formats use the browser decoder at its default rate.
+ * @param {File} file - The uploaded audio file
+ * @returns {Promise<Object>} Mono AudioBuffer stand-in (see toAnalysisBuffer)
+ */
+export async function decodeForAnalysis(file) {
+  if (!file) {
+    throw new Error("No audio file provided");
+  }
+
+  const arrayBuffer = await file.arrayBuffer();
+  if (isWav(arrayBuffer)) {
+    return toAnalysisBuffer(decodeWav(arrayBuffer));
+  }
+
+  // An offline context decodes without resampling when it runs at the
+  // file's rate
+  const sampleRate = readFlacSampleRate(arrayBuffer);
+  const decodingContext = sampleRate
+    ? new OfflineAudioContext(1, 1, sampleRate)
+    : new AudioContext();
+
+  try {
+    const decodedBuffer = await decodingContext.decodeAudioData(arrayBuffer);
+    return toAnalysisBuffer({
+      sampleRate: decodedBuffer.sampleRate,
+      channelData: Array.from(
+        { length: decodedBuffer.numberOfChannels },
+        (_, ch) => decodedBuffer.getChannelData(ch)
+      ),
+    });
+  } finally {
+    await decodingContext.close?.();
+  }
+}
@@ -0,0 +1,219 @@
+/**
+ * Backend Selector - Picks the fastest ONNX Runtime execution provider
+ *
+ * Candidates, in order of preference:
+ * - webgpu:        GPU via WebGPU, when an adapter is available
+ * - wasm-threaded: SIMD WASM on several threads, when the page is
+ *                  crossOriginIsolated (the Vite COOP/COEP headers)
+ * - wasm:          single-threaded SIMD WASM, always available
+ *
+ * ONNX Runtime fixes its WASM thread count when the first session is
+ * created, so each thread (page or worker) uses either the threaded or the
+ * single-threaded WASM variant, never both. Every usable candidate is
+ * loaded and warmed up on the real model; the fastest one is kept.
+ */
+
+import { configureOrtWasm } from "./modelCache";
+
+// Upper bound for WASM worker threads; more rarely helps small models
+const MAX_WASM_THREADS = 4;
+const WARMUP_RUNS = 1;
+const BENCHMARK_RUNS = 3;
+
+export const BACKENDS = {
+  webgpu: { name: "WebGPU", executionProviders: ["webgpu"] },
+  "wasm-threaded": {
+    name: "WASM (SIMD, threaded)",
+    executionProviders: ["wasm"],
+  },
+  wasm: { name: "WASM (SIMD)", executionProviders: ["wasm"] },
+};
+
+const selections = new Map(); // key -> Promise<selection>
+let wasmThreads = null;
+
+/**
+ * WASM threads this thread can use
+ */
+function getAvailableWasmThreads() {
+  const isolated =
+    typeof self !== "undefined" &&
+    self.crossOriginIsolated &&
+    typeof SharedArrayBuffer !== "undefined";
+  const cores = self.navigator?.hardwareConcurrency || 1;
+  return isolated ? Math.max(1, Math.min(MAX_WASM_THREADS, cores)) : 1;
+}
+
+/**
+ * Set the ONNX Runtime WASM paths and thread count
+ * Only the first call in a thread decides the thread count.
+ * @param {Object} ort - onnxruntime-web namespace
+ * @returns {number} - WASM threads in use
+ */
+export function configureOrtRuntime(ort) {
+  configureOrtWasm(ort);
+  if (wasmThreads === null) {
+    wasmThreads = getAvailableWasmThreads();
+    ort.env.wasm.numThreads = wasmThreads;
+  }
+  return wasmThreads;
+}
+
+async function hasWebGpu() {
+  try {
+    return !!(await self.navigator?.gpu?.requestAdapter());
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Candidate backends usable in this thread, most preferred first
+ * @param {Object} ort - onnxruntime-web namespace
+ * @returns {Promise<string[]>} - Keys of BACKENDS
+ */
+export async function detectBackends(ort) {
+  const threads = configureOrtRuntime(ort);
+  const candidates = [];
+  if (await hasWebGpu()) candidates.push("webgpu");
+  candidates.push(threads > 1 ? "wasm-threaded" : "wasm");
+  return candidates;
+}
+
+/**
+ * Median duration of a few runs after a warm-up
+ */
+async function benchmarkSession(session, run) {
+  for (let i = 0; i < WARMUP_RUNS; i++) {
+    await run(session);
+  }
+  const times = [];
+  for (let i = 0; i < BENCHMARK_RUNS; i++) {
+    const start = performance.now();
+    await run(session);
+    times.push(performance.now() - start);
+  }
+  times.sort((a, b) => a - b);
+  return times[Math.floor(times.length / 2)];
+}
+
+/**
+ * Load a model on every usable backend and keep the fastest
+ * Results are cached per `key` for the lifetime of the thread.
+ * @param {Object} ort - onnxruntime-web namespace
+ * @param {Object} options
+ * @param {string} options.key - Cache key, usually the model id
+ * @param {(sessionOptions: Object) => Promise<Object>} options.createSession
+ *   Creates a session with the given execution providers
+ * @param {(session: Object) => void} [options.validate] - Checks the model
+ *   itself on the first session that loads; an error here ends the
+ *   selection, since no other backend would do better
+ * @param {(session: Object) => Promise<void>} options.run - One inference
+ *   on representative input, used for the benchmark
+ * @param {(session: Object, sessionOptions: Object) => Promise<void>} [options.release]
+ *   Frees a session that lost the benchmark
+ * @returns {Promise<{ backend: Object, session: Object, timings: Object, errors: Object }>}
+ */
+export function selectBackend(
+  ort,
+  { key, createSession, validate, run, release }
+) {
+  if (!selections.has(key)) {
+    const selection = runSelection(ort, {
+      createSession,
+      validate,
+      run,
+      release,
+    }).catch((error) => {
+      selections.delete(key);
+      throw error;
+    });
+    selections.set(key, selection);
+  }
+  return selections.get(key);
+}
+
+async function runSelection(ort, { createSession, validate, run, release }) {
+  const candidates = await detectBackends(ort);
+  const timings = {};
+  const errors = {};
+  let best = null;
+  let validated = !validate;
+
+  const markUnavailable = (id, error) => {
+    errors[id] = error.message;
+    console.warn(
+      `[BackendSelector] ${BACKENDS[id].name} unavailable:`,
+      error.message
+    );
+  };
+
+  for (const id of candidates) {
+    const sessionOptions = {
+      executionProviders: BACKENDS[id].executionProviders,
+    };
+    let session = null;
+    try {
+      session = await createSession(sessionOptions);
+    } catch (error) {
+      markUnavailable(id, error);
+      continue;
+    }
+
+    if (!validated) {
+      try {
+        await validate(session);
+        validated = true;
+      } catch (error) {
+        await release?.(session, sessionOptions);
+        throw error;
+      }
+    }
+
+    try {
+      timings[id] = await benchmarkSession(session, run);
+    } catch (error) {
+      markUnavailable(id, error);
+      await release?.(session, sessionOptions);
+      continue;
+    }
+
+    if (!best || timings[id] < timings[best.id]) {
+      if (best) await release?.(best.session, best.sessionOptions);
+      best = { id, session, sessionOptions };
+    } else {
+      await release?.(session, sessionOptions);
+    }
+  }
+
+  if (!best) {
+    throw new Error(
+      `No ONNX Runtime backend could run the model (${Object.entries(errors)
+        .map(([id, message]) => `${id}: ${message}`)
+        .join("; ")})`
+    );
+  }
+
+  const backend = {
+    id: best.id,
+    name: BACKENDS[best.id].name,
+    threads: best.id === "webgpu" ? null : wasmThreads,
+    executionProviders: best.sessionOptions.executionProviders,
+    benchmarkMs: timings[best.id],
+  };
+  console.log(
+    `[BackendSelector] Using ${backend.name} (${backend.benchmarkMs.toFixed(
+      1
+    )} ms/run)`,
+    timings
+  );
+
+  return { backend, session: best.session, timings, errors };
+}
+
+/**
+ * Forget a cached selection so the next request benchmarks again
+ */
+export function clearBackendSelection(key) {
+  selections.delete(key);
+}
@@ -0,0 +1,147 @@
+/**
+ * Calibration - Turns raw model output into calibrated probabilities
+ *
+ * Speech emotion models are usually over-confident: softmax puts most of
+ * the mass on one class even when the model is guessing. A calibration file
+ * next to the model (see public/models/README.md) corrects this with
+ * - temperature scaling: logits are divided by `temperature` (> 1 softens)
+ * - per-class bias: added to each class's logit after scaling
+ * - per-class thresholds: a dominant emotion with a threshold must reach
+ *   it, otherwise another thresholded class or UNCERTAIN_LABEL is reported
+ */
+
+import { softmax } from "./emotions";
+
+export const UNCERTAIN_LABEL = "uncertain";
+
+export const IDENTITY_CALIBRATION = Object.freeze({
+  temperature: 1,
+  bias: Object.freeze({}),
+  thresholds: Object.freeze({}),
+  isIdentity: true,
+});
+
+const EPSILON = 1e-9;
+
+/**
+ * Validate a raw calibration file against a model's labels
+ * @param {Object} raw - Parsed calibration JSON
+ * @param {string[]} labels - Model label order
+ * @returns {Object} - Normalized, frozen calibration
+ */
+export function normalizeCalibration(raw, labels) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Calibration must be a JSON object");
+  }
+
+  const temperature = Number(raw.temperature ?? 1);
+  if (!Number.isFinite(temperature) || temperature <= 0) {
+    throw new Error("Calibration `temperature` must be a positive number");
+  }
+
+  const readPerClass = (field, isValid, rule) => {
+    const values = raw[field] || {};
+    for (const [label, value] of Object.entries(values)) {
+      if (!labels.includes(label)) {
+        throw new Error(`Calibration ${field} has unknown label "${label}"`);
+      }
+      if (typeof value !== "number" || !isValid(value)) {
+        throw new Error(`Calibration ${field}.${label} must be ${rule}`);
+      }
+    }
+    return Object.freeze({ ...values });
+  };
+
+  const bias = readPerClass("bias", Number.isFinite, "a number");
+  const thresholds = readPerClass(
+    "thresholds",
+    (value) => value >= 0 && value <= 1,
+    "between 0 and 1"
+  );
+
+  return Object.freeze({
+    temperature,
+    bias,
+    thresholds,
+    isIdentity:
+      temperature === 1 &&
+      Object.values(bias).every((value) => value === 0) &&
+      Object.keys(thresholds).length === 0,
+  });
+}
+
+/**
+ * Fetch the calibration file named by a manifest
+ * Models without one get IDENTITY_CALIBRATION.
+ * @param {Object} manifest - Normalized manifest
+ * @returns {Promise<Object>}
+ */
+export async function loadCalibration(manifest) {
+  if (!manifest.calibrationUrl) return IDENTITY_CALIBRATION;
+
+  const response = await fetch(manifest.calibrationUrl);
+  if (!response.ok) {
+    throw new Error(
+      `Failed to fetch calibration ${manifest.calibrationUrl} (${response.status})`
+    );
+  }
+  return normalizeCalibration(await response.json(), manifest.labels);
+}
+
+/**
+ * Calibrated probabilities for one row of model output
+ * Probability outputs are converted back to log space first, so the same
+ * calibration file works for either output type.
+ * @param {ArrayLike<number>} output - Model output row
+ * @param {string} outputType - "logits" or "probabilities"
+ * @param {Object} calibration - Normalized calibration
+ * @param {string[]} labels - Model label order
+ * @returns {number[]}
+ */
+export function calibrateOutput(output, outputType, calibration, labels) {
+  const values = Array.from(output);
+  if (calibration.isIdentity && outputType !== "logits") return values;
+
+  const { temperature, bias } = calibration;
+  const logits = values.map((value, i) => {
+    const logit =
+      outputType === "logits" ? value : Math.log(Math.max(value, EPSILON));
+    return logit / temperature + (bias[labels[i]] ?? 0);
+  });
+  return Array.from(softmax(logits));
+}
+
+/**
+ * Apply per-class thresholds to a dominant emotion
+ * Thresholds are optional per class: a dominant emotion without one is kept
+ * as is. One that misses its threshold falls back to the most likely class
+ * that has a threshold and clears it, or UNCERTAIN_LABEL when none does;
+ * classes without a threshold are never picked as the fallback.
+ * @param {Object} emotions - Calibrated probabilities
+ * @param {string} dominant - Emotion picked by smoothing / hysteresis
+ * @param {Object} thresholds - Label to minimum probability
+ * @returns {{ dominant: string, confidence: number }}
+ */
+export function applyThresholds(emotions, dominant, thresholds) {
+  const clears = (label) =>
+    label in thresholds && (emotions[label] ?? 0) >= thresholds[label];
+
+  if (!(dominant in thresholds) || clears(dominant)) {
+    return { dominant, confidence: emotions[dominant] ?? 0 };
+  }
+
+  let best = null;
+  for (const label of Object.keys(emotions)) {
+    if (clears(label) && (!best || emotions[label] > emotions[best])) {
+      best = label;
+    }
+  }
+  if (best) {
+    return { dominant: best, confidence: emotions[best] };
+  }
+
+  return {
+    dominant: UNCERTAIN_LABEL,
+    confidence: Math.max(0, ...Object.values(emotions)),
+  };
+}
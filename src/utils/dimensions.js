@@ -0,0 +1,163 @@
+/**
+ * Emotion Dimensions - Valence / arousal / dominance (VAD) representation
+ *
+ * Each categorical label has a position in VAD space, every axis in [-1, 1].
+ * A prediction's dimensions are the probability-weighted mean of its labels'
+ * positions. Models with a regression head can report VAD directly instead
+ * (see `dimensions` in public/models/README.md).
+ *
+ * Valence and arousal place a prediction in one of Russell's circumplex
+ * quadrants, which is what trends are grouped by.
+ */
+
+export const DIMENSIONS = ["valence", "arousal", "dominance"];
+
+// Approximate circumplex positions of the default labels
+export const DEFAULT_DIMENSION_MAP = {
+  angry: { valence: -0.6, arousal: 0.8, dominance: 0.6 },
+  disgust: { valence: -0.7, arousal: 0.3, dominance: 0.3 },
+  fearful: { valence: -0.7, arousal: 0.7, dominance: -0.6 },
+  happy: { valence: 0.8, arousal: 0.5, dominance: 0.4 },
+  neutral: { valence: 0, arousal: 0, dominance: 0 },
+  sad: { valence: -0.7, arousal: -0.4, dominance: -0.4 },
+  surprised: { valence: 0.3, arousal: 0.8, dominance: 0 },
+  calm: { valence: 0.5, arousal: -0.6, dominance: 0.2 },
+};
+
+export const MOOD_QUADRANTS = {
+  excited: {
+    name: "Excited",
+    description: "Positive, high energy",
+    color: "#FFD700",
+  },
+  relaxed: {
+    name: "Relaxed",
+    description: "Positive, low energy",
+    color: "#98FB98",
+  },
+  stressed: {
+    name: "Stressed",
+    description: "Negative, high energy",
+    color: "#DC143C",
+  },
+  depressed: {
+    name: "Low",
+    description: "Negative, low energy",
+    color: "#4169E1",
+  },
+  neutral: {
+    name: "Neutral",
+    description: "Close to the center",
+    color: "#A9A9A9",
+  },
+};
+
+// Predictions this close to the origin count as neutral
+const NEUTRAL_RADIUS = 0.15;
+
+const ORIGIN = Object.freeze({ valence: 0, arousal: 0, dominance: 0 });
+
+/**
+ * Validate the `dimensions` block of a model manifest
+ * @param {Object} [raw] - Manifest `dimensions` value
+ * @param {string[]} labels - Model label order
+ * @param {string} id - Model id, for error messages
+ * @returns {Object} - Frozen { output, order, range, mapping }
+ */
+export function normalizeDimensionConfig(raw = {}, labels, id) {
+  const order = raw.order || DIMENSIONS;
+  if (
+    order.length !== DIMENSIONS.length ||
+    !DIMENSIONS.every((dimension) => order.includes(dimension))
+  ) {
+    throw new Error(
+      `Model manifest "${id}" dimensions.order must list ${DIMENSIONS.join(
+        ", "
+      )}`
+    );
+  }
+
+  const range = raw.range || [-1, 1];
+  if (range.length !== 2 || !(range[0] < range[1])) {
+    throw new Error(
+      `Model manifest "${id}" dimensions.range must be [min, max]`
+    );
+  }
+
+  const mapping = {};
+  for (const label of labels) {
+    const position = raw.mapping?.[label] || DEFAULT_DIMENSION_MAP[label];
+    if (!position) {
+      mapping[label] = ORIGIN;
+      continue;
+    }
+    for (const dimension of DIMENSIONS) {
+      const value = position[dimension] ?? 0;
+      if (typeof value !== "number" || value < -1 || value > 1) {
+        throw new Error(
+          `Model manifest "${id}" dimensions.mapping.${label}.${dimension} must be between -1 and 1`
+        );
+      }
+    }
+    mapping[label] = Object.freeze({ ...ORIGIN, ...position });
+  }
+
+  return Object.freeze({
+    output: raw.output || null,
+    order: Object.freeze([...order]),
+    range: Object.freeze([...range]),
+    mapping: Object.freeze(mapping),
+  });
+}
+
+/**
+ * Probability-weighted VAD position of a prediction
+ * @param {Object} emotions - Label probabilities
+ * @param {Object} mapping - Label to { valence, arousal, dominance }
+ * @returns {{ valence: number, arousal: number, dominance: number }}
+ */
+export function emotionsToDimensions(emotions, mapping) {
+  const result = { valence: 0, arousal: 0, dominance: 0 };
+  let total = 0;
+
+  for (const [label, probability] of Object.entries(emotions)) {
+    const position = mapping[label];
+    if (!position) continue;
+    total += probability;
+    for (const dimension of DIMENSIONS) {
+      result[dimension] += probability * position[dimension];
+    }
+  }
+
+  if (total > 0) {
+    for (const dimension of DIMENSIONS) {
+      result[dimension] /= total;
+    }
+  }
+  return result;
+}
+
+/**
+ * VAD values from one row of a regression head, rescaled to [-1, 1]
+ * @param {ArrayLike<number>} row - Head output, in `config.order`
+ * @param {Object} config - Normalized dimension config
+ */
+export function headToDimensions(row, config) {
+  const [min, max] = config.range;
+  const result = {};
+  config.order.forEach((dimension, i) => {
+    const value = ((row[i] - min) / (max - min)) * 2 - 1;
+    result[dimension] = Math.max(-1, Math.min(1, value));
+  });
+  return result;
+}
+
+/**
+ * Circumplex quadrant of a valence / arousal pair
+ * @returns {string} - Key of MOOD_QUADRANTS
+ */
+export function getMoodQuadrant({ valence, arousal }) {
+  if (Math.hypot(valence, arousal) < NEUTRAL_RADIUS) return "neutral";
+  if (valence >= 0) return arousal >= 0 ? "excited" : "relaxed";
+  return arousal >= 0 ? "stressed" : "depressed";
+}
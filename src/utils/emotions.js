@@ -25,6 +25,7 @@ export const EMOTION_COLORS = {
   sad: "#4169E1", // Royal Blue
   surprised: "#87CEEB", // Sky Blue
   calm: "#98FB98", // Pale Green
+  uncertain: "#6B7280", // Slate (no class cleared its threshold)
 };
 
 // Emotion emojis
@@ -37,6 +38,7 @@ export const EMOTION_EMOJIS = {
   sad: "😢",
   surprised: "😲",
   calm: "😌",
+  uncertain: "🤔",
 };
 
 // Emotion descriptions for UI
@@ -49,8 +51,31 @@ export const EMOTION_DESCRIPTIONS = {
   sad: "Sadness detected in tone",
   surprised: "Elevated energy or surprise detected",
   calm: "Calm and relaxed tone",
+  uncertain: "No emotion is clear enough to call",
 };
 
+/**
+ * Merge a model's label colors into the shared palette
+ * Labels the app doesn't know yet get a neutral emoji and description
+ * @param {string[]} labels - Model label order
+ * @param {Object.<string, string>} colors - Label to hex color map
+ */
+export function applyModelPalette(labels, colors = {}) {
+  for (const label of labels) {
+    if (colors[label]) {
+      EMOTION_COLORS[label] = colors[label];
+    } else if (!EMOTION_COLORS[label]) {
+      EMOTION_COLORS[label] = EMOTION_COLORS.neutral;
+    }
+    if (!EMOTION_EMOJIS[label]) {
+      EMOTION_EMOJIS[label] = EMOTION_EMOJIS.neutral;
+    }
+    if (!EMOTION_DESCRIPTIONS[label]) {
+      EMOTION_DESCRIPTIONS[label] = `${label} detected`;
+    }
+  }
+}
+
 /**
  * Get emotion data by label
  * @param {string} emotion - Emotion label
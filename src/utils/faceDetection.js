@@ -0,0 +1,113 @@
+/**
+ * Face Detection - Main-thread side of the face detector worker
+ * Spawning the worker (workers/faceDetector.js), per-frame requests for
+ * video files, and the face model's display palette.
+ */
+
+export const FACE_MODEL_URL = "/models/face_emotion.onnx";
+// Hex SHA-256 of the face model file; without it the file isn't verified
+export const FACE_MODEL_SHA256 =
+  import.meta.env?.VITE_FACE_MODEL_SHA256 || null;
+
+export const FACE_EMOTION_COLORS = {
+  angry: "#ef4444",
+  disgust: "#d946ef",
+  fear: "#8b5cf6",
+  happy: "#22c55e",
+  neutral: "#94a3b8",
+  sad: "#3b82f6",
+  surprise: "#f59e0b",
+};
+
+export const FACE_EMOTION_EMOJIS = {
+  angry: "😠",
+  disgust: "🤢",
+  fear: "😨",
+  happy: "😊",
+  neutral: "😐",
+  sad: "😢",
+  surprise: "😲",
+};
+
+/**
+ * Spawn the face detector worker and wait for its model to load
+ * Rejects if the worker script or the model fails to load.
+ * @param {(progress: Object) => void} [onProgress] - Download / warm-up
+ *   progress, as for ModelLoadProgress
+ * @returns {Promise<{ worker: Worker, backend: string, verified: boolean }>}
+ */
+export const spawnFaceDetector = (onProgress) =>
+  new Promise((resolve, reject) => {
+    const worker = new Worker(
+      new URL("../workers/faceDetector.js", import.meta.url),
+      { type: "module" }
+    );
+
+    worker.onmessage = (event) => {
+      const { type, ...data } = event.data;
+      if (type === "ready") {
+        worker.postMessage({
+          type: "init",
+          modelUrl: FACE_MODEL_URL,
+          sha256: FACE_MODEL_SHA256,
+        });
+      } else if (type === "loadProgress") {
+        onProgress?.(data);
+      } else if (type === "modelLoaded") {
+        resolve({ worker, backend: data.backend, verified: data.verified });
+      } else if (type === "error") {
+        worker.terminate();
+        reject(new Error(data.error));
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      reject(new Error(event.message || "Face detector worker failed"));
+    };
+  });
+
+/**
+ * Grab the current frame of a <video> as something a worker can draw
+ * @param {HTMLVideoElement} video
+ * @returns {Promise<VideoFrame|ImageBitmap>} - Transferable; close it if
+ *   it isn't posted
+ */
+export const captureFrame = (video) =>
+  typeof VideoFrame !== "undefined"
+    ? Promise.resolve(new VideoFrame(video))
+    : createImageBitmap(video);
+
+/**
+ * Detect faces frame by frame on a spawned worker
+ * Takes over the worker's messages; post one frame at a time, since the
+ * worker only keeps the newest frame while busy.
+ * @param {Worker} worker - From spawnFaceDetector
+ * @returns {(frame: VideoFrame|ImageBitmap, timestamp: number) => Promise<Array|null>}
+ *   Resolves with the frame's tracked detections, or null if it was dropped
+ */
+export function createFrameDetector(worker) {
+  const pending = new Map(); // frame id -> { resolve, reject }
+  let nextFrameId = 1;
+
+  worker.onmessage = (event) => {
+    const { type, frameId, ...data } = event.data;
+    const request = pending.get(frameId);
+    if (!request) return;
+
+    pending.delete(frameId);
+    if (type === "detections") {
+      request.resolve(data.detections);
+    } else if (type === "frameDropped") {
+      request.resolve(null);
+    } else if (type === "error") {
+      request.reject(new Error(data.error));
+    }
+  };
+
+  return (frame, timestamp) =>
+    new Promise((resolve, reject) => {
+      const frameId = nextFrameId++;
+      pending.set(frameId, { resolve, reject });
+      worker.postMessage({ type: "frame", frame, frameId, timestamp }, [frame]);
+    });
+}
@@ -0,0 +1,162 @@
+/**
+ * Face Tracker - Stable identities across face detections
+ *
+ * The detector finds faces independently on every frame. The tracker
+ * matches each frame's boxes to the faces it already knows, so a person
+ * keeps one ID while moving and their emotions are smoothed only with their
+ * own history:
+ * - Boxes are matched greedily, best overlap (IoU) first; boxes that don't
+ *   overlap enough can still match by centroid distance, relative to the
+ *   track's size, to follow fast movement
+ * - Unmatched boxes start new tracks, which are reported once they have
+ *   been seen `minHits` times (so one-off false positives never get an ID)
+ * - Tracks that go unseen for `maxMissedMs` are dropped
+ */
+
+export const TRACKER_DEFAULTS = {
+  iouThreshold: 0.3,
+  maxCentroidDistance: 0.6, // In track diagonals
+  maxMissedMs: 1000,
+  minHits: 3,
+  smoothing: 0.4, // Weight of the previous probabilities in the EMA
+};
+
+/**
+ * Intersection over union of two { x1, y1, x2, y2 } boxes
+ */
+export function calculateIoU(box1, box2) {
+  const x1 = Math.max(box1.x1, box2.x1);
+  const y1 = Math.max(box1.y1, box2.y1);
+  const x2 = Math.min(box1.x2, box2.x2);
+  const y2 = Math.min(box1.y2, box2.y2);
+  const inter = Math.max(0, x2 - x1) * Math.max(0, y2 - y1);
+  const area1 = (box1.x2 - box1.x1) * (box1.y2 - box1.y1);
+  const area2 = (box2.x2 - box2.x1) * (box2.y2 - box2.y1);
+  const union = area1 + area2 - inter;
+  return union > 0 ? inter / union : 0;
+}
+
+/**
+ * Centroid distance between two boxes, in diagonals of the first one
+ */
+function centroidDistance(box1, box2) {
+  const dx = (box1.x1 + box1.x2 - box2.x1 - box2.x2) / 2;
+  const dy = (box1.y1 + box1.y2 - box2.y1 - box2.y2) / 2;
+  const diagonal = Math.hypot(box1.x2 - box1.x1, box1.y2 - box1.y1) || 1;
+  return Math.hypot(dx, dy) / diagonal;
+}
+
+export class FaceTracker {
+  constructor(options = {}) {
+    this.options = { ...TRACKER_DEFAULTS, ...options };
+    this.tracks = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Match one frame's detections to the known faces
+   * @param {Array<{ bbox: Object, probs: Object.<string, number> }>} detections
+   *   Boxes after NMS with their raw class probabilities
+   * @param {number} timestamp - Frame time in ms
+   * @returns {Array<{ trackId: number, bbox: Object, emotion: string, confidence: number, emotionProbs: Object.<string, number>, firstSeen: number }>}
+   *   Confirmed tracks seen in this frame, in detection order
+   */
+  update(detections, timestamp) {
+    const { iouThreshold, maxCentroidDistance, maxMissedMs } = this.options;
+
+    // Score every track/detection pair; any overlap beats centroid matches
+    const pairs = [];
+    this.tracks.forEach((track, t) => {
+      detections.forEach((detection, d) => {
+        const iou = calculateIoU(track.bbox, detection.bbox);
+        if (iou >= iouThreshold) {
+          pairs.push({ t, d, score: 1 + iou });
+          return;
+        }
+        const distance = centroidDistance(track.bbox, detection.bbox);
+        if (distance <= maxCentroidDistance) {
+          pairs.push({ t, d, score: 1 - distance / maxCentroidDistance });
+        }
+      });
+    });
+    pairs.sort((a, b) => b.score - a.score);
+
+    const trackMatches = new Map(); // track index -> detection index
+    const matchedDetections = new Set();
+    for (const { t, d } of pairs) {
+      if (trackMatches.has(t) || matchedDetections.has(d)) continue;
+      trackMatches.set(t, d);
+      matchedDetections.add(d);
+    }
+
+    const seen = new Map(); // detection index -> track
+    for (const [t, d] of trackMatches) {
+      const track = this.tracks[t];
+      this.observe(track, detections[d], timestamp);
+      seen.set(d, track);
+    }
+
+    detections.forEach((detection, d) => {
+      if (matchedDetections.has(d)) return;
+      const track = {
+        id: this.nextId++,
+        bbox: detection.bbox,
+        probs: null,
+        hits: 0,
+        firstSeen: timestamp,
+        lastSeen: timestamp,
+      };
+      this.observe(track, detection, timestamp);
+      this.tracks.push(track);
+      seen.set(d, track);
+    });
+
+    this.tracks = this.tracks.filter(
+      (track) => timestamp - track.lastSeen <= maxMissedMs
+    );
+
+    const result = [];
+    detections.forEach((detection, d) => {
+      const track = seen.get(d);
+      if (track.hits < this.options.minHits) return;
+
+      let emotion = null;
+      for (const [label, prob] of Object.entries(track.probs)) {
+        if (emotion === null || prob > track.probs[emotion]) emotion = label;
+      }
+      result.push({
+        ...detection,
+        trackId: track.id,
+        emotion,
+        confidence: track.probs[emotion],
+        emotionProbs: { ...track.probs },
+        firstSeen: track.firstSeen,
+      });
+    });
+    return result;
+  }
+
+  /**
+   * Move a track to its new box and fold the detection into its emotions
+   */
+  observe(track, detection, timestamp) {
+    const { smoothing } = this.options;
+    const probs = {};
+    for (const [label, current] of Object.entries(detection.probs)) {
+      const prev = track.probs ? track.probs[label] ?? current : current;
+      probs[label] = smoothing * prev + (1 - smoothing) * current;
+    }
+
+    track.bbox = detection.bbox;
+    track.probs = probs;
+    track.hits++;
+    track.lastSeen = timestamp;
+  }
+
+  /**
+   * Forget every track; IDs keep counting so old ones aren't reused
+   */
+  reset() {
+    this.tracks = [];
+  }
+}
@@ -1,39 +1,39 @@
 /**
  * File Inference - Analyze entire audio file at once
  * Similar to Colab approach: load file → run inference → get result
+ *
+ * Windows are streamed through the same EmotionEngine as live audio, using
+ * audio time as the stream clock, so silence gating and smoothing match.
+ * Model runs are batched; per-window results are the same as one-by-one.
+ * analyzeWithEngine is the runtime-independent part, shared with the Node CLI
+ * (src/cli), so a file gives the same results in both.
  */
 
-import * as ort from "onnxruntime-web";
-import { EMOTION_LABELS } from "./emotions";
+import { resampleAudio } from "./audio";
+import { DEFAULT_BATCH_SIZE, EmotionEngine } from "./EmotionEngine";
+import { applyThresholds } from "./calibration";
+import { DIMENSIONS, getMoodQuadrant } from "./dimensions";
+import { getDominantEmotion } from "./emotions";
+import { DEFAULT_MANIFEST_URL } from "./modelRegistry";
 
-const TARGET_SAMPLE_RATE = 16000;
-const WINDOW_SAMPLES = 2376; // Model input size
-const MODEL_PATH = "/models/emotion_model.onnx";
-
-let session = null;
-let isInitialized = false;
+const engine = new EmotionEngine();
 
 /**
  * Initialize the ONNX model
  */
-async function initializeModel() {
-  if (isInitialized && session) {
+async function initializeModel(manifestUrl = DEFAULT_MANIFEST_URL) {
+  if (engine.isLoaded && engine.manifest.manifestUrl === manifestUrl) {
     return true;
   }
 
   try {
     console.log("[FileInference] Loading ONNX model...");
-    ort.env.wasm.numThreads = 1;
 
-    session = await ort.InferenceSession.create(MODEL_PATH, {
-      executionProviders: ["wasm"],
-      graphOptimizationLevel: "all",
-    });
+    await engine.load(manifestUrl);
 
-    isInitialized = true;
     console.log("[FileInference] Model loaded successfully");
-    console.log("[FileInference] Input names:", session.inputNames);
-    console.log("[FileInference] Output names:", session.outputNames);
+    console.log("[FileInference] Input names:", engine.session.inputNames);
+    console.log("[FileInference] Output names:", engine.session.outputNames);
 
     return true;
   } catch (error) {
@@ -43,194 +43,174 @@ async function initializeModel() {
 }
 
 /**
- * Apply softmax to logits
- */
-function softmax(logits) {
-  const maxLogit = Math.max(...logits);
-  const expScores = logits.map((x) => Math.exp(x - maxLogit));
-  const sumExp = expScores.reduce((a, b) => a + b, 0);
-  return expScores.map((x) => x / sumExp);
-}
-
-/**
- * Normalize audio samples to [-1, 1]
+ * Split audio into overlapping model windows
+ * @returns {{ start: number, samples: Float32Array }[]}
  */
-function normalizeAudio(samples) {
-  const max = Math.max(...samples.map(Math.abs));
-  if (max === 0) return samples;
-  return samples.map((s) => s / max);
-}
+function splitIntoWindows(samples, windowSamples) {
+  if (samples.length <= windowSamples) {
+    return [{ start: 0, samples }];
+  }
 
-/**
- * Standardize audio (zero mean, unit variance)
- */
-function standardizeAudio(samples) {
-  const n = samples.length;
-  if (n === 0) return samples;
+  const hopSize = Math.floor(windowSamples / 2); // 50% overlap
+  const windows = [];
 
-  let sum = 0;
-  for (let i = 0; i < n; i++) {
-    sum += samples[i];
+  for (
+    let start = 0;
+    start + windowSamples <= samples.length;
+    start += hopSize
+  ) {
+    windows.push({
+      start,
+      samples: samples.subarray(start, start + windowSamples),
+    });
   }
-  const mean = sum / n;
 
-  let variance = 0;
-  for (let i = 0; i < n; i++) {
-    const diff = samples[i] - mean;
-    variance += diff * diff;
+  // Also include the tail if the hops didn't reach the end
+  const lastEnd = windows[windows.length - 1].start + windowSamples;
+  if (lastEnd < samples.length) {
+    const start = samples.length - windowSamples;
+    windows.push({ start, samples: samples.subarray(start) });
   }
-  variance /= n;
 
-  const std = Math.sqrt(variance);
-  if (std === 0) return samples.map(() => 0);
-
-  return samples.map((s) => (s - mean) / std);
+  return windows;
 }
 
 /**
- * Run inference on a single audio window
+ * Average label maps
  */
-async function runInferenceOnWindow(samples) {
-  if (!session) {
-    throw new Error("Model not initialized");
-  }
-
-  // Prepare samples (pad or truncate to WINDOW_SAMPLES)
-  let inputSamples;
-  if (samples.length < WINDOW_SAMPLES) {
-    inputSamples = new Float32Array(WINDOW_SAMPLES);
-    inputSamples.set(samples);
-  } else if (samples.length > WINDOW_SAMPLES) {
-    inputSamples = samples.slice(0, WINDOW_SAMPLES);
-  } else {
-    inputSamples = samples;
+function averageEmotions(emotionMaps, labels) {
+  const average = {};
+  for (const label of labels) {
+    let sum = 0;
+    for (const emotions of emotionMaps) {
+      sum += emotions[label] ?? 0;
+    }
+    average[label] = sum / emotionMaps.length;
   }
-
-  // Normalize and standardize
-  const normalized = normalizeAudio(Array.from(inputSamples));
-  const standardized = standardizeAudio(normalized);
-
-  // Create tensor [batch, samples, channels]
-  const inputTensor = new ort.Tensor(
-    "float32",
-    new Float32Array(standardized),
-    [1, standardized.length, 1]
-  );
-
-  // Run inference
-  const feeds = {};
-  feeds[session.inputNames[0]] = inputTensor;
-
-  const results = await session.run(feeds);
-  const outputName = session.outputNames[0];
-  const logits = Array.from(results[outputName].data);
-
-  return softmax(logits);
+  return average;
 }
 
 /**
  * Analyze entire audio file
- * Processes the file in overlapping windows and averages the results
+ * Processes the file in overlapping windows and averages the voiced ones.
+ * `timeline` keeps every window: start/end in seconds, smoothed and raw
+ * probabilities, valence / arousal / dominance, dominant emotion, the
+ * silence flag and speech probability.
+ * @param {AudioBuffer} audioBuffer - Decoded audio
+ * @param {string} [manifestUrl] - URL of the model manifest
+ * @param {Object} [options] - See analyzeWithEngine
  */
-export async function analyzeAudioFile(audioBuffer) {
+export async function analyzeAudioFile(
+  audioBuffer,
+  manifestUrl = DEFAULT_MANIFEST_URL,
+  options = {}
+) {
   // Ensure model is loaded
-  const modelReady = await initializeModel();
+  const modelReady = await initializeModel(manifestUrl);
   if (!modelReady) {
     throw new Error("Failed to load emotion model");
   }
 
-  const startTime = performance.now();
+  return analyzeWithEngine(engine, audioBuffer, options);
+}
 
-  // Get audio samples
-  const samples = audioBuffer.getChannelData(0);
-  const sampleRate = audioBuffer.sampleRate;
+/**
+ * Analyze decoded audio with a loaded engine
+ * @param {EmotionEngine} engine - Engine with a model loaded or attached
+ * @param {{ sampleRate: number, duration: number, getChannelData: Function }} audioBuffer
+ *   AudioBuffer, or an object with the same fields; channel 0 is analyzed
+ * @param {Object} [options]
+ * @param {number} [options.batchSize] - Windows per model run (models with a
+ *   fixed batch dimension always use 1)
+ * @param {Object} [options.smoothing] - Smoothing strategy and parameters
+ * @param {Object} [options.hysteresis] - Dominant emotion margin and hold time
+ * @param {"low"|"medium"|"high"} [options.resampleQuality] - Resampler preset
+ *   for files not at the model rate
+ */
+export async function analyzeWithEngine(
+  engine,
+  audioBuffer,
+  {
+    batchSize = DEFAULT_BATCH_SIZE,
+    smoothing,
+    hysteresis,
+    resampleQuality,
+  } = {}
+) {
+  const startTime = performance.now();
+  const { labels, sampleRate, windowSamples, id: modelId } = engine.manifest;
+
+  // Get audio samples at the model rate
+  let samples = audioBuffer.getChannelData(0);
+  if (audioBuffer.sampleRate !== sampleRate) {
+    samples = resampleAudio(
+      samples,
+      audioBuffer.sampleRate,
+      sampleRate,
+      resampleQuality
+    );
+  }
 
   console.log("[FileInference] Analyzing audio:", {
     duration: audioBuffer.duration,
-    sampleRate,
+    sampleRate: audioBuffer.sampleRate,
     samples: samples.length,
   });
 
-  // If audio is very short, just run one inference
-  if (samples.length <= WINDOW_SAMPLES) {
-    console.log("[FileInference] Short audio, running single inference");
-    const probabilities = await runInferenceOnWindow(samples);
-
-    const emotions = {};
-    EMOTION_LABELS.forEach((label, i) => {
-      emotions[label] = probabilities[i];
-    });
-
-    const maxIndex = probabilities.indexOf(Math.max(...probabilities));
-    const dominant = EMOTION_LABELS[maxIndex];
-    const confidence = probabilities[maxIndex];
-
-    const inferenceTime = performance.now() - startTime;
-
-    return {
-      emotions,
-      dominant,
-      confidence,
-      inferenceTime,
-      windowsProcessed: 1,
-    };
-  }
-
-  // For longer audio, process in overlapping windows
-  const hopSize = Math.floor(WINDOW_SAMPLES / 2); // 50% overlap
-  const windows = [];
-
-  for (
-    let start = 0;
-    start + WINDOW_SAMPLES <= samples.length;
-    start += hopSize
-  ) {
-    windows.push(samples.slice(start, start + WINDOW_SAMPLES));
-  }
-
-  // Also include the last window if there are remaining samples
-  if (samples.length % hopSize !== 0) {
-    const lastWindow = new Float32Array(WINDOW_SAMPLES);
-    const remaining = samples.slice(-WINDOW_SAMPLES);
-    lastWindow.set(
-      remaining.length >= WINDOW_SAMPLES
-        ? remaining.slice(-WINDOW_SAMPLES)
-        : remaining
-    );
-    windows.push(lastWindow);
-  }
-
+  const windows = splitIntoWindows(samples, windowSamples);
   console.log("[FileInference] Processing", windows.length, "windows");
 
-  // Run inference on each window
-  const allProbabilities = [];
-  for (const window of windows) {
-    const probs = await runInferenceOnWindow(window);
-    allProbabilities.push(probs);
-  }
-
-  // Average the probabilities across all windows
-  const avgProbabilities = new Array(EMOTION_LABELS.length).fill(0);
-  for (const probs of allProbabilities) {
-    for (let i = 0; i < probs.length; i++) {
-      avgProbabilities[i] += probs[i];
-    }
-  }
-  for (let i = 0; i < avgProbabilities.length; i++) {
-    avgProbabilities[i] /= allProbabilities.length;
-  }
-
-  // Create emotions map
-  const emotions = {};
-  EMOTION_LABELS.forEach((label, i) => {
-    emotions[label] = avgProbabilities[i];
-  });
-
-  // Find dominant emotion
-  const maxIndex = avgProbabilities.indexOf(Math.max(...avgProbabilities));
-  const dominant = EMOTION_LABELS[maxIndex];
-  const confidence = avgProbabilities[maxIndex];
-
+  // Run the windows through the stream pipeline on the audio clock
+  engine.configure({ smoothing, hysteresis });
+  engine.reset();
+  const predictions = await engine.predictStreamBatch(
+    windows.map((window) => ({
+      samples: window.samples,
+      timestamp: (window.start / sampleRate) * 1000,
+    })),
+    { batchSize }
+  );
+  engine.reset();
+
+  // Average the raw probabilities of voiced windows; an all-silent file
+  // falls back to the gated (silence) predictions
+  const voiced = predictions.filter((prediction) => !prediction.isSilence);
+  const emotions = voiced.length
+    ? averageEmotions(
+        voiced.map((prediction) => prediction.rawEmotions),
+        labels
+      )
+    : averageEmotions(
+        predictions.map((prediction) => prediction.emotions),
+        labels
+      );
+  const dimensions = voiced.length
+    ? averageEmotions(
+        voiced.map((prediction) => prediction.rawDimensions),
+        DIMENSIONS
+      )
+    : averageEmotions(
+        predictions.map((prediction) => prediction.dimensions),
+        DIMENSIONS
+      );
+
+  const { dominant, confidence } = applyThresholds(
+    emotions,
+    getDominantEmotion(emotions).emotion,
+    engine.calibration.thresholds
+  );
+  const duration = samples.length / sampleRate;
+  const timeline = predictions.map((prediction, i) => ({
+    start: windows[i].start / sampleRate,
+    end: Math.min(duration, (windows[i].start + windowSamples) / sampleRate),
+    emotions: prediction.emotions,
+    rawEmotions: prediction.rawEmotions,
+    dimensions: prediction.dimensions,
+    dominant: prediction.dominant,
+    confidence: prediction.confidence,
+    isSilence: prediction.isSilence,
+    speechProbability: prediction.speechProbability,
+  }));
   const inferenceTime = performance.now() - startTime;
 
   console.log("[FileInference] Analysis complete:", {
@@ -241,10 +221,17 @@ export async function analyzeAudioFile(audioBuffer) {
 
   return {
     emotions,
+    dimensions,
+    quadrant: getMoodQuadrant(dimensions),
     dominant,
     confidence,
     inferenceTime,
     windowsProcessed: windows.length,
+    voicedWindows: voiced.length,
+    timeline,
+    modelId,
+    labels,
+    calibrated: !engine.calibration.isIdentity,
   };
 }
 
@@ -252,12 +239,12 @@ export async function analyzeAudioFile(audioBuffer) {
  * Check if model is ready
  */
 export function isFileInferenceReady() {
-  return isInitialized && session !== null;
+  return engine.isLoaded;
 }
 
 /**
  * Preload the model
  */
-export async function preloadModel() {
-  return initializeModel();
+export async function preloadModel(manifestUrl = DEFAULT_MANIFEST_URL) {
+  return initializeModel(manifestUrl);
 }
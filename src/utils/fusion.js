@@ -0,0 +1,140 @@
+/**
+ * Multimodal Fusion - Combine face and voice emotions into one stream
+ *
+ * The face model predicts 7 classes ("fear", "surprise") while the voice
+ * model predicts 8 ("fearful", "surprised", "calm"). Face probabilities are
+ * first moved onto the voice labels through FACE_LABEL_MAP, then the two are
+ * combined by weighted late fusion:
+ *
+ *   fused[label] = Σ w_m · c_m · p_m[label] / Σ w_m · c_m
+ *
+ * where w_m is the modality's weight and c_m its confidence for this
+ * prediction (1 - normalized entropy, so a flat distribution counts for
+ * little). Sums only run over modalities that can predict the label, so
+ * "calm" comes from the voice alone instead of being pulled towards 0 by
+ * the face. Silent and uncertain voice windows and stale predictions are
+ * left out.
+ */
+
+// Face model label -> voice model label
+export const FACE_LABEL_MAP = {
+  angry: "angry",
+  disgust: "disgust",
+  fear: "fearful",
+  happy: "happy",
+  neutral: "neutral",
+  sad: "sad",
+  surprise: "surprised",
+};
+
+export const DEFAULT_FUSION_WEIGHTS = {
+  voice: 0.6,
+  face: 0.4,
+};
+
+// Predictions older than this (ms) no longer take part in fusion
+export const MODALITY_MAX_AGE_MS = {
+  voice: 1500,
+  face: 500,
+};
+
+/**
+ * Move face probabilities onto the voice labels
+ * @param {Object.<string, number>} faceEmotions - Face model probabilities
+ * @param {string[]} labels - Voice label order
+ * @param {Object.<string, string>} [labelMap] - Face label -> voice label
+ * @returns {{ emotions: Object.<string, number>, covers: string[] }}
+ *   Renormalized probabilities and the voice labels the face can predict
+ */
+export function alignFaceEmotions(
+  faceEmotions,
+  labels,
+  labelMap = FACE_LABEL_MAP
+) {
+  const emotions = {};
+  let total = 0;
+
+  for (const [faceLabel, probability] of Object.entries(faceEmotions)) {
+    const label = labelMap[faceLabel] ?? faceLabel;
+    if (!labels.includes(label)) continue;
+    emotions[label] = (emotions[label] || 0) + probability;
+    total += probability;
+  }
+
+  const covers = Object.keys(emotions);
+  if (total > 0) {
+    for (const label of covers) emotions[label] /= total;
+  }
+  return { emotions, covers };
+}
+
+/**
+ * How decisive a distribution is: 1 - normalized entropy
+ * @param {Object.<string, number>} emotions - Probabilities
+ * @param {string[]} labels - Labels to consider
+ * @returns {number} - 0 for uniform, 1 for one-hot
+ */
+export function modalityConfidence(emotions, labels) {
+  if (labels.length < 2) return 1;
+
+  let entropy = 0;
+  for (const label of labels) {
+    const p = emotions[label] || 0;
+    if (p > 0) entropy -= p * Math.log(p);
+  }
+  return Math.max(0, 1 - entropy / Math.log(labels.length));
+}
+
+/**
+ * Weighted late fusion of per-modality predictions
+ * @param {Object.<string, { emotions: Object.<string, number>, covers: string[] } | null>} inputs
+ *   Aligned predictions keyed by modality; null or missing ones are skipped
+ * @param {string[]} labels - Output label order
+ * @param {Object.<string, number>} [weights] - Weight per modality
+ * @returns {{ emotions: Object.<string, number>, dominant: string, confidence: number, contributions: Object.<string, number> } | null}
+ *   Fused prediction and each modality's share of the total weight, or null
+ *   when no modality is usable
+ */
+export function fuseEmotions(inputs, labels, weights = DEFAULT_FUSION_WEIGHTS) {
+  const modalities = [];
+  for (const [name, input] of Object.entries(inputs)) {
+    if (!input) continue;
+    const weight =
+      (weights[name] ?? 0) * modalityConfidence(input.emotions, input.covers);
+    if (weight > 0) modalities.push({ name, input, weight });
+  }
+  if (modalities.length === 0) return null;
+
+  const emotions = {};
+  let total = 0;
+  for (const label of labels) {
+    let sum = 0;
+    let norm = 0;
+    for (const { input, weight } of modalities) {
+      if (!input.covers.includes(label)) continue;
+      sum += weight * (input.emotions[label] || 0);
+      norm += weight;
+    }
+    emotions[label] = norm > 0 ? sum / norm : 0;
+    total += emotions[label];
+  }
+
+  let dominant = labels[0];
+  for (const label of labels) {
+    if (total > 0) emotions[label] /= total;
+    if (emotions[label] > emotions[dominant]) dominant = label;
+  }
+
+  const weightSum = modalities.reduce((sum, { weight }) => sum + weight, 0);
+  const contributions = {};
+  for (const { name, weight } of modalities) {
+    contributions[name] = weight / weightSum;
+  }
+
+  return {
+    emotions,
+    dominant,
+    confidence: emotions[dominant],
+    contributions,
+  };
+}
@@ -0,0 +1,229 @@
+/**
+ * Model Cache - Offline storage for ONNX models and runtime setup
+ *
+ * Model files are kept in Cache Storage after the first download and
+ * verified against the SHA-256 in their manifest (or, without one,
+ * revalidated with the server), so the app keeps working without a network. ONNX Runtime loads its WASM binaries from the local
+ * /wasm/ directory only (cached by the service worker, see public/sw.js).
+ */
+
+export const MODEL_CACHE_NAME = "audioemotion-models-v1";
+export const WASM_BASE_PATH = "/wasm/";
+
+export class ModelIntegrityError extends Error {
+  constructor(url, expected, actual) {
+    super(
+      `Integrity check failed for ${url}: expected SHA-256 ${expected}, got ${actual}`
+    );
+    this.url = url;
+    this.expected = expected;
+    this.actual = actual;
+    this.name = "ModelIntegrityError";
+  }
+}
+
+/**
+ * Point ONNX Runtime at the locally served WASM binaries
+ * Must run before the first InferenceSession is created.
+ * @param {Object} ort - onnxruntime-web namespace
+ */
+export function configureOrtWasm(ort) {
+  ort.env.wasm.wasmPaths = WASM_BASE_PATH;
+}
+
+/**
+ * Hex-encoded SHA-256 of a buffer
+ * @param {ArrayBuffer} buffer
+ * @returns {Promise<string>}
+ */
+export async function sha256Hex(buffer) {
+  const digest = await crypto.subtle.digest("SHA-256", buffer);
+  return Array.from(new Uint8Array(digest))
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+async function openCache() {
+  if (typeof caches === "undefined") return null;
+  try {
+    return await caches.open(MODEL_CACHE_NAME);
+  } catch (error) {
+    // Cache Storage can be unavailable (private mode, insecure origin)
+    return null;
+  }
+}
+
+/**
+ * Whether a buffer matches the expected hash (always true without a hash)
+ */
+async function matchesHash(buffer, sha256) {
+  if (!sha256) return { ok: true };
+  const actual = await sha256Hex(buffer);
+  return { ok: actual === sha256.toLowerCase(), actual };
+}
+
+/**
+ * Read a response body, reporting bytes as they arrive
+ * `total` comes from Content-Length and is null when the server omits it.
+ * @param {Response} response
+ * @param {string} url - Reported back to the callback
+ * @param {Function} [onProgress] - ({ url, loaded, total }) => void
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function readWithProgress(response, url, onProgress) {
+  const length = Number(response.headers.get("Content-Length"));
+  const total = length > 0 ? length : null;
+
+  if (!onProgress || !response.body) {
+    const buffer = await response.arrayBuffer();
+    onProgress?.({ url, loaded: buffer.byteLength, total: buffer.byteLength });
+    return buffer;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  onProgress({ url, loaded, total });
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.byteLength;
+    onProgress({ url, loaded, total });
+  }
+
+  const bytes = new Uint8Array(loaded);
+  let offset = 0;
+  for (const chunk of chunks) {
+    bytes.set(chunk, offset);
+    offset += chunk.byteLength;
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Conditional request for a cached file that has no hash to check it by
+ * Uses the ETag / Last-Modified stored with the cached copy; without them
+ * the file is downloaded again.
+ * @param {string} url
+ * @param {Response} cached - Cached response
+ * @returns {Promise<Response|null>} - The changed file (200), or null when
+ *   the cached copy is current or the server can't be reached
+ */
+async function revalidate(url, cached) {
+  const headers = {};
+  const etag = cached.headers.get("ETag");
+  const lastModified = cached.headers.get("Last-Modified");
+  if (etag) headers["If-None-Match"] = etag;
+  if (lastModified) headers["If-Modified-Since"] = lastModified;
+
+  try {
+    const response = await fetch(url, { cache: "no-cache", headers });
+    return response.status === 200 ? response : null;
+  } catch (error) {
+    // Offline: the cached copy is all there is
+    return null;
+  }
+}
+
+/**
+ * Fetch a binary file, serving it from Cache Storage when possible
+ * Cached copies that no longer match `sha256` are discarded and downloaded
+ * again; a download that doesn't match throws ModelIntegrityError. Without
+ * `sha256` a cached copy is revalidated with the server first, so a file
+ * replaced at the same URL is picked up; offline it is used as is.
+ * @param {string} url - File URL
+ * @param {Object} [options]
+ * @param {string} [options.sha256] - Expected hex SHA-256
+ * @param {Function} [options.onProgress] - Called with { url, loaded, total }
+ *   while downloading; a cache hit reports once, complete
+ * @returns {Promise<ArrayBuffer>}
+ */
+export async function fetchWithCache(url, { sha256, onProgress } = {}) {
+  const cache = await openCache();
+  let response = null;
+
+  if (cache) {
+    const cached = await cache.match(url);
+    if (cached) {
+      response = sha256 ? null : await revalidate(url, cached);
+      if (!response) {
+        const buffer = await cached.arrayBuffer();
+        const { ok } = await matchesHash(buffer, sha256);
+        if (ok) {
+          onProgress?.({
+            url,
+            loaded: buffer.byteLength,
+            total: buffer.byteLength,
+          });
+          return buffer;
+        }
+
+        console.warn(`[ModelCache] Cached ${url} is stale, downloading again`);
+        await cache.delete(url);
+      }
+    }
+  }
+
+  if (!response) {
+    response = await fetch(url, { cache: "no-cache" });
+  }
+  if (!response.ok) {
+    throw new Error(`Failed to download ${url} (${response.status})`);
+  }
+
+  const buffer = await readWithProgress(response, url, onProgress);
+  const { ok, actual } = await matchesHash(buffer, sha256);
+  if (!ok) {
+    throw new ModelIntegrityError(url, sha256, actual);
+  }
+
+  if (cache) {
+    // Validators are kept for revalidating files without a hash
+    const headers = {
+      "Content-Type":
+        response.headers.get("Content-Type") || "application/octet-stream",
+    };
+    for (const name of ["ETag", "Last-Modified"]) {
+      const value = response.headers.get(name);
+      if (value) headers[name] = value;
+    }
+
+    try {
+      await cache.put(url, new Response(buffer.slice(0), { headers }));
+    } catch (error) {
+      console.warn(`[ModelCache] Could not cache ${url}:`, error.message);
+    }
+  }
+
+  return buffer;
+}
+
+/**
+ * Load the ONNX bytes for a manifest (cached, integrity checked)
+ * @param {Object} manifest - Normalized manifest
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - See fetchWithCache
+ * @returns {Promise<Uint8Array>}
+ */
+export async function loadModelBytes(manifest, { onProgress } = {}) {
+  if (!manifest.sha256) {
+    console.warn(
+      `[ModelCache] Manifest "${manifest.id}" has no sha256; the file is not verified`
+    );
+  }
+  const buffer = await fetchWithCache(manifest.url, {
+    sha256: manifest.sha256,
+    onProgress,
+  });
+  return new Uint8Array(buffer);
+}
+
+/**
+ * Remove every cached model
+ */
+export async function clearModelCache() {
+  if (typeof caches === "undefined") return false;
+  return caches.delete(MODEL_CACHE_NAME);
+}
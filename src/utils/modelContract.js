@@ -0,0 +1,217 @@
+/**
+ * Model Contract - Checks a loaded ONNX model against its manifest
+ *
+ * The manifest promises input / output names, dtypes and shapes and a label
+ * per output class (see public/models/README.md). A model that breaks the
+ * promise would otherwise fail deep inside session.run with a generic error,
+ * or silently report zeros for missing classes. Both checks here throw
+ * ModelContractError, whose `problems` list expected vs actual values for
+ * display:
+ * - validateModelContract: graph metadata, before the model is benchmarked
+ * - probeModelContract: one silent window, for shapes the graph leaves
+ *   symbolic
+ */
+
+import { getInputDims, getTensorNames, runSilentWindow } from "./modelRegistry";
+
+const OUTPUT_DTYPE = "float32";
+
+export class ModelContractError extends Error {
+  /**
+   * @param {string} modelId - Manifest id
+   * @param {Array<{ field: string, expected: string, actual: string }>} problems
+   */
+  constructor(modelId, problems) {
+    super(
+      `Model "${modelId}" does not match its manifest: ${problems
+        .map(
+          ({ field, expected, actual }) =>
+            `${field} expected ${expected}, got ${actual}`
+        )
+        .join("; ")}`
+    );
+    this.modelId = modelId;
+    this.problems = problems;
+    this.name = "ModelContractError";
+  }
+}
+
+const formatShape = (shape) => `[${shape.join(", ")}]`;
+
+const findTensorMetadata = (list, name) =>
+  list?.find((value) => value.name === name && value.isTensor) || null;
+
+/**
+ * Input shape from the manifest with the window length filled in
+ */
+const expectedInputShape = (manifest) =>
+  manifest.input.shape.map((dim) =>
+    dim === "samples" ? manifest.windowSamples : dim
+  );
+
+function checkInput(manifest, session, inputName, problems) {
+  if (!session.inputNames.includes(inputName)) {
+    problems.push({
+      field: "input.name",
+      expected: `"${inputName}"`,
+      actual: session.inputNames.join(", ") || "no inputs",
+    });
+    return;
+  }
+
+  const metadata = findTensorMetadata(session.inputMetadata, inputName);
+  if (!metadata) return;
+
+  if (metadata.type !== manifest.input.dtype) {
+    problems.push({
+      field: "input.dtype",
+      expected: manifest.input.dtype,
+      actual: metadata.type,
+    });
+  }
+
+  // An empty shape means the graph doesn't declare one
+  const expected = expectedInputShape(manifest);
+  const actual = metadata.shape;
+  const matches =
+    actual.length === 0 ||
+    (actual.length === expected.length &&
+      expected.every(
+        (dim, i) =>
+          typeof dim !== "number" ||
+          typeof actual[i] !== "number" ||
+          dim === actual[i]
+      ));
+  if (!matches) {
+    problems.push({
+      field: "input.shape",
+      expected: formatShape(expected),
+      actual: formatShape(actual),
+    });
+  }
+}
+
+function checkOutput(session, name, field, size, describe, problems) {
+  if (!session.outputNames.includes(name)) {
+    problems.push({
+      field: `${field}.name`,
+      expected: `"${name}"`,
+      actual: session.outputNames.join(", ") || "no outputs",
+    });
+    return;
+  }
+
+  const metadata = findTensorMetadata(session.outputMetadata, name);
+  if (!metadata) return;
+
+  if (metadata.type !== OUTPUT_DTYPE) {
+    problems.push({
+      field: `${field}.dtype`,
+      expected: OUTPUT_DTYPE,
+      actual: metadata.type,
+    });
+  }
+
+  const last = metadata.shape[metadata.shape.length - 1];
+  if (typeof last === "number" && last !== size) {
+    problems.push({
+      field,
+      expected: describe(size),
+      actual: `${describe(last)} ${formatShape(metadata.shape)}`,
+    });
+  }
+}
+
+const describeClasses = (count) => `${count} classes`;
+const describeValues = (count) => `${count} values`;
+
+/**
+ * Check a session's graph metadata against its manifest
+ * Dimensions the graph leaves symbolic are checked by probeModelContract.
+ * @param {Object} manifest - Normalized manifest
+ * @param {Object} session - InferenceSession
+ * @throws {ModelContractError}
+ */
+export function validateModelContract(manifest, session) {
+  const { inputName, outputName } = getTensorNames(manifest, session);
+  const problems = [];
+
+  checkInput(manifest, session, inputName, problems);
+  checkOutput(
+    session,
+    outputName,
+    "output",
+    manifest.labels.length,
+    describeClasses,
+    problems
+  );
+  if (manifest.dimensions.output) {
+    checkOutput(
+      session,
+      manifest.dimensions.output,
+      "dimensions.output",
+      manifest.dimensions.order.length,
+      describeValues,
+      problems
+    );
+  }
+
+  if (problems.length > 0) {
+    throw new ModelContractError(manifest.id, problems);
+  }
+}
+
+/**
+ * Run one silent window and check the size of every output the app reads
+ * @param {Object} manifest - Normalized manifest
+ * @param {Object} session - InferenceSession
+ * @param {Object} [runtime] - ONNX Runtime namespace the session belongs to
+ * @throws {ModelContractError}
+ */
+export async function probeModelContract(manifest, session, runtime) {
+  let results;
+  try {
+    results = await runSilentWindow(session, manifest, runtime);
+  } catch (error) {
+    throw new ModelContractError(manifest.id, [
+      {
+        field: "input",
+        expected: `${manifest.input.dtype} ${formatShape(
+          getInputDims(manifest, 1)
+        )}`,
+        actual: `an error (${error.message})`,
+      },
+    ]);
+  }
+
+  const { outputName } = getTensorNames(manifest, session);
+  const outputs = [
+    [outputName, "output", manifest.labels.length, describeClasses],
+  ];
+  if (manifest.dimensions.output) {
+    outputs.push([
+      manifest.dimensions.output,
+      "dimensions.output",
+      manifest.dimensions.order.length,
+      describeValues,
+    ]);
+  }
+
+  const problems = [];
+  for (const [name, field, size, describe] of outputs) {
+    const tensor = results[name];
+    if (tensor?.data?.length !== size) {
+      problems.push({
+        field,
+        expected: describe(size),
+        actual: tensor
+          ? `${describe(tensor.data.length)} ${formatShape(tensor.dims)}`
+          : "no output",
+      });
+    }
+  }
+
+  if (problems.length > 0) {
+    throw new ModelContractError(manifest.id, problems);
+  }
+}
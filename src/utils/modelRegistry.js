@@ -0,0 +1,395 @@
+/**
+ * Model Registry - Loads emotion models described by a JSON manifest
+ *
+ * A manifest describes everything the inference paths need to know about a
+ * model: where the ONNX file lives, the label order and colors, the input
+ * tensor layout, the sample rate, the normalization steps and whether the
+ * output is raw logits or probabilities. See public/models/README.md.
+ */
+
+import * as ort from "onnxruntime-web";
+import { normalizeAudio, standardizeAudio } from "./audio";
+import { EMOTION_LABELS, applyModelPalette } from "./emotions";
+import { normalizeDimensionConfig } from "./dimensions";
+import { clearBackendSelection, configureOrtRuntime } from "./backendSelector";
+import { loadModelBytes } from "./modelCache";
+
+export const DEFAULT_MANIFEST_URL =
+  import.meta.env?.VITE_MODEL_MANIFEST || "/models/emotion_model.json";
+
+// Lists the manifests users can switch between (see public/models/README.md)
+export const MODEL_CATALOG_URL =
+  import.meta.env?.VITE_MODEL_CATALOG || "/models/index.json";
+
+// Symbolic dimensions allowed in `input.shape`
+const BATCH_DIM = "batch";
+const SAMPLES_DIM = "samples";
+
+export const NORMALIZATION_STEPS = {
+  peak: normalizeAudio,
+  standardize: standardizeAudio,
+};
+
+const OUTPUT_TYPES = ["logits", "probabilities"];
+
+// Registry state
+const manifests = new Map(); // id -> manifest
+const manifestRequests = new Map(); // url -> Promise<manifest>
+const sessions = new Map(); // id + providers -> Promise<InferenceSession>
+const modelBytes = new Map(); // id -> Promise<Uint8Array>
+
+/**
+ * Resolve a path relative to the manifest location
+ * @param {string} path - Path from the manifest
+ * @param {string} baseUrl - URL or path of the manifest file
+ * @returns {string}
+ */
+function resolveRelative(path, baseUrl) {
+  if (!baseUrl || path.startsWith("/") || /^[a-z][a-z0-9+.-]*:/i.test(path)) {
+    return path;
+  }
+  const baseDir = baseUrl.slice(0, baseUrl.lastIndexOf("/") + 1);
+  return `${baseDir}${path}`;
+}
+
+/**
+ * Validate a raw manifest and fill in defaults
+ * @param {Object} raw - Parsed manifest JSON
+ * @param {string} [baseUrl] - Location of the manifest, for relative paths
+ * @returns {Object} - Normalized, frozen manifest
+ */
+export function normalizeManifest(raw, baseUrl) {
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Model manifest must be a JSON object");
+  }
+
+  const { id, model } = raw;
+  if (!id || typeof id !== "string") {
+    throw new Error("Model manifest is missing an `id`");
+  }
+  if (!model || typeof model !== "string") {
+    throw new Error(`Model manifest "${id}" is missing a \`model\` path`);
+  }
+
+  const labels = Array.isArray(raw.labels) ? raw.labels : EMOTION_LABELS;
+  if (labels.length === 0) {
+    throw new Error(`Model manifest "${id}" has no labels`);
+  }
+
+  const windowSamples = Number(raw.windowSamples);
+  if (!Number.isInteger(windowSamples) || windowSamples <= 0) {
+    throw new Error(
+      `Model manifest "${id}" needs a positive \`windowSamples\``
+    );
+  }
+
+  const shape = raw.input?.shape || [BATCH_DIM, SAMPLES_DIM, 1];
+  if (!shape.includes(SAMPLES_DIM)) {
+    throw new Error(
+      `Model manifest "${id}" input shape must contain "${SAMPLES_DIM}"`
+    );
+  }
+
+  const normalization = raw.normalization || ["peak", "standardize"];
+  for (const step of normalization) {
+    if (!NORMALIZATION_STEPS[step]) {
+      throw new Error(
+        `Model manifest "${id}" uses unknown normalization step "${step}"`
+      );
+    }
+  }
+
+  const outputType = raw.output?.type || "logits";
+  if (!OUTPUT_TYPES.includes(outputType)) {
+    throw new Error(
+      `Model manifest "${id}" output type must be one of ${OUTPUT_TYPES.join(
+        ", "
+      )}`
+    );
+  }
+
+  const sha256 = raw.sha256 ?? null;
+  if (sha256 !== null && !/^[0-9a-f]{64}$/i.test(sha256)) {
+    throw new Error(
+      `Model manifest "${id}" sha256 must be a 64-character hex string`
+    );
+  }
+
+  if (raw.calibration != null && typeof raw.calibration !== "string") {
+    throw new Error(
+      `Model manifest "${id}" calibration must be a path to a JSON file`
+    );
+  }
+
+  const silenceLabel = labels.includes(raw.silenceLabel)
+    ? raw.silenceLabel
+    : labels.includes("neutral")
+    ? "neutral"
+    : labels[0];
+
+  return Object.freeze({
+    id,
+    name: raw.name || id,
+    url: resolveRelative(model, baseUrl),
+    manifestUrl: baseUrl || null,
+    sha256: sha256 && sha256.toLowerCase(),
+    calibrationUrl: raw.calibration
+      ? resolveRelative(raw.calibration, baseUrl)
+      : null,
+    sampleRate: Number(raw.sampleRate) || 16000,
+    windowSamples,
+    input: Object.freeze({
+      name: raw.input?.name || null,
+      dtype: raw.input?.dtype || "float32",
+      shape: Object.freeze([...shape]),
+    }),
+    normalization: Object.freeze([...normalization]),
+    output: Object.freeze({
+      name: raw.output?.name || null,
+      type: outputType,
+    }),
+    silenceLabel,
+    labels: Object.freeze([...labels]),
+    dimensions: normalizeDimensionConfig(raw.dimensions, labels, id),
+    colors: Object.freeze({ ...(raw.colors || {}) }),
+  });
+}
+
+/**
+ * Register a manifest so it can be looked up by id
+ * @param {Object} raw - Parsed manifest JSON
+ * @param {string} [baseUrl] - Location of the manifest
+ * @returns {Object} - Normalized manifest
+ */
+export function registerModel(raw, baseUrl) {
+  const manifest = normalizeManifest(raw, baseUrl);
+  manifests.set(manifest.id, manifest);
+  applyModelPalette(manifest.labels, manifest.colors);
+  return manifest;
+}
+
+/**
+ * Fetch and register a manifest (cached per URL)
+ * @param {string} url - Manifest URL
+ * @returns {Promise<Object>}
+ */
+export function loadManifest(url = DEFAULT_MANIFEST_URL) {
+  if (!manifestRequests.has(url)) {
+    const request = fetch(url)
+      .then((response) => {
+        if (!response.ok) {
+          throw new Error(
+            `Failed to fetch model manifest ${url} (${response.status})`
+          );
+        }
+        return response.json();
+      })
+      .then((raw) => registerModel(raw, url))
+      .catch((error) => {
+        manifestRequests.delete(url);
+        throw error;
+      });
+    manifestRequests.set(url, request);
+  }
+  return manifestRequests.get(url);
+}
+
+/**
+ * Fetch the model catalog and every manifest it lists
+ * Manifests that fail to load are skipped, and the default manifest is
+ * always included, so a missing catalog still yields the default model.
+ * @param {string} url - Catalog URL
+ * @returns {Promise<Object[]>} - Normalized manifests, default first
+ */
+export async function loadModelCatalog(url = MODEL_CATALOG_URL) {
+  let manifestUrls = [];
+  try {
+    const response = await fetch(url);
+    if (!response.ok) {
+      throw new Error(`status ${response.status}`);
+    }
+    const catalog = await response.json();
+    manifestUrls = (catalog.models || []).map((path) =>
+      resolveRelative(path, url)
+    );
+  } catch (error) {
+    console.warn(`[ModelRegistry] No model catalog at ${url}:`, error.message);
+  }
+
+  manifestUrls = [
+    DEFAULT_MANIFEST_URL,
+    ...manifestUrls.filter(
+      (manifestUrl) => manifestUrl !== DEFAULT_MANIFEST_URL
+    ),
+  ];
+  const results = await Promise.allSettled(manifestUrls.map(loadManifest));
+  return results.flatMap((result, i) => {
+    if (result.status === "fulfilled") return [result.value];
+    console.warn(
+      `[ModelRegistry] Skipping ${manifestUrls[i]}:`,
+      result.reason.message
+    );
+    return [];
+  });
+}
+
+/**
+ * Get a registered manifest by id
+ */
+export function getModel(id) {
+  return manifests.get(id) || null;
+}
+
+/**
+ * List all registered manifests
+ */
+export function listModels() {
+  return Array.from(manifests.values());
+}
+
+/**
+ * Download (or read from the offline cache) the ONNX file of a manifest
+ * The bytes stay in memory until releaseModelBytes, so sessions for several
+ * backends are created from one download and one integrity check.
+ * @param {Object} manifest - Normalized manifest
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - ({ url, loaded, total }) => void;
+ *   only the call that starts the download receives progress
+ * @returns {Promise<Uint8Array>}
+ */
+export function fetchModelBytes(manifest, { onProgress } = {}) {
+  if (!modelBytes.has(manifest.id)) {
+    const request = loadModelBytes(manifest, { onProgress }).catch((error) => {
+      modelBytes.delete(manifest.id);
+      throw error;
+    });
+    modelBytes.set(manifest.id, request);
+  }
+  return modelBytes.get(manifest.id);
+}
+
+/**
+ * Drop the in-memory copy of a model file once its sessions exist
+ */
+export function releaseModelBytes(id) {
+  modelBytes.delete(id);
+}
+
+const sessionKey = (id, options = {}) =>
+  `${id}|${(options.executionProviders || ["wasm"]).join(",")}`;
+
+/**
+ * Create (or reuse) an inference session for a manifest
+ * Sessions are cached per model and execution provider list. The model
+ * bytes come from the offline cache (see modelCache.js).
+ * @param {Object} manifest - Normalized manifest
+ * @param {Object} [options] - Extra InferenceSession options
+ * @returns {Promise<InferenceSession>}
+ */
+export function createModelSession(manifest, options = {}) {
+  const key = sessionKey(manifest.id, options);
+  if (!sessions.has(key)) {
+    configureOrtRuntime(ort);
+
+    const request = fetchModelBytes(manifest)
+      .then((bytes) =>
+        ort.InferenceSession.create(bytes, {
+          executionProviders: ["wasm"],
+          graphOptimizationLevel: "all",
+          ...options,
+        })
+      )
+      .catch((error) => {
+        sessions.delete(key);
+        throw error;
+      });
+    sessions.set(key, request);
+  }
+  return sessions.get(key);
+}
+
+/**
+ * Drop cached sessions so the next request reloads the model
+ * @param {string} id - Model id
+ * @param {Object} [options] - Only release the session created with these
+ *   options; by default every session of the model is released and its
+ *   backend is benchmarked again on next load
+ */
+export async function releaseModelSession(id, options) {
+  const keys = options
+    ? [sessionKey(id, options)]
+    : Array.from(sessions.keys()).filter((key) => key.startsWith(`${id}|`));
+  if (!options) {
+    clearBackendSelection(id);
+    releaseModelBytes(id);
+  }
+
+  await Promise.all(
+    keys.map(async (key) => {
+      const request = sessions.get(key);
+      sessions.delete(key);
+      if (!request) return;
+
+      try {
+        const session = await request;
+        await session.release?.();
+      } catch (error) {
+        // Session never loaded
+      }
+    })
+  );
+}
+
+/**
+ * Build the concrete input dims for a manifest
+ * @param {Object} manifest - Normalized manifest
+ * @param {number} batchSize - Number of windows in the tensor
+ * @returns {number[]}
+ */
+export function getInputDims(manifest, batchSize = 1) {
+  return manifest.input.shape.map((dim) => {
+    if (dim === BATCH_DIM) return batchSize;
+    if (dim === SAMPLES_DIM) return manifest.windowSamples;
+    return dim;
+  });
+}
+
+/**
+ * Apply the manifest normalization steps in order
+ * @param {Float32Array} samples - Audio window
+ * @param {string[]} steps - Normalization step names
+ * @returns {Float32Array}
+ */
+export function applyNormalization(samples, steps) {
+  return steps.reduce(
+    (output, step) => NORMALIZATION_STEPS[step](output),
+    samples
+  );
+}
+
+/**
+ * Get the input / output tensor names for a session
+ */
+export function getTensorNames(manifest, session) {
+  return {
+    inputName: manifest.input.name || session.inputNames[0],
+    outputName: manifest.output.name || session.outputNames[0],
+  };
+}
+
+/**
+ * One inference on a silent window, for warm-up, benchmarks and checks
+ * @param {Object} session - InferenceSession
+ * @param {Object} manifest - Normalized manifest
+ * @param {Object} [runtime] - ONNX Runtime namespace the session belongs to
+ * @returns {Promise<Object>} - Session outputs
+ */
+export function runSilentWindow(session, manifest, runtime = ort) {
+  const { inputName } = getTensorNames(manifest, session);
+  const tensor = new runtime.Tensor(
+    manifest.input.dtype,
+    new Float32Array(manifest.windowSamples),
+    getInputDims(manifest, 1)
+  );
+  return session.run({ [inputName]: tensor });
+}
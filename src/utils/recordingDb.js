@@ -0,0 +1,109 @@
+/**
+ * Recording DB - Session audio kept on this device in IndexedDB
+ *
+ * One record per session, keyed by session id. Audio never leaves the
+ * browser; History plays it back next to the session's emotion timeline.
+ */
+
+const DB_NAME = "audioemotion-recordings";
+const DB_VERSION = 1;
+const STORE_NAME = "recordings";
+
+let dbRequest = null;
+
+/**
+ * Open (and on first use create) the database
+ * @returns {Promise<IDBDatabase>}
+ */
+function openDb() {
+  if (!dbRequest) {
+    dbRequest = new Promise((resolve, reject) => {
+      if (typeof indexedDB === "undefined") {
+        reject(new Error("IndexedDB is not available"));
+        return;
+      }
+
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: "sessionId" });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch((error) => {
+      // Let a later call try again (e.g. after a blocked upgrade)
+      dbRequest = null;
+      throw error;
+    });
+  }
+  return dbRequest;
+}
+
+/**
+ * Run one request in a transaction and resolve with its result
+ */
+async function run(mode, makeRequest) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = makeRequest(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+/**
+ * Store a session's audio, replacing any earlier recording
+ * @param {string} sessionId
+ * @param {{ blob: Blob, mimeType: string, startedAt: number, duration: number }} recording
+ *   `startedAt` is the epoch ms of the first sample, `duration` in seconds
+ */
+export function saveRecording(sessionId, recording) {
+  return run("readwrite", (store) =>
+    store.put({ ...recording, sessionId, size: recording.blob.size })
+  );
+}
+
+/**
+ * A session's recording, or undefined if none was kept
+ * @param {string} sessionId
+ * @returns {Promise<Object|undefined>}
+ */
+export function getRecording(sessionId) {
+  return run("readonly", (store) => store.get(sessionId));
+}
+
+/**
+ * Forget a session's recording
+ * @param {string} sessionId
+ */
+export function deleteRecording(sessionId) {
+  return run("readwrite", (store) => store.delete(sessionId));
+}
+
+/**
+ * Ids of all sessions with a recording
+ * @returns {Promise<string[]>}
+ */
+export function listRecordingIds() {
+  return run("readonly", (store) => store.getAllKeys());
+}
+
+/**
+ * Number of recordings and their total size in bytes
+ * @returns {Promise<{ count: number, bytes: number }>}
+ */
+export async function getRecordingUsage() {
+  const recordings = await run("readonly", (store) => store.getAll());
+  return {
+    count: recordings.length,
+    bytes: recordings.reduce((sum, recording) => sum + recording.size, 0),
+  };
+}
+
+/**
+ * Delete every recording
+ */
+export function clearRecordings() {
+  return run("readwrite", (store) => store.clear());
+}
@@ -0,0 +1,284 @@
+/**
+ * Resampler - Polyphase windowed-sinc sample rate conversion
+ *
+ * Shared by the AudioWorklet (live 48 kHz -> 16 kHz) and resampleAudio
+ * (file analysis), so both feed the model identically filtered audio.
+ * The rate ratio is reduced to L/M; each of the L output phases gets its own
+ * Kaiser-windowed sinc kernel, with the cutoff below the lower Nyquist
+ * frequency so nothing above it folds back into the band the model sees.
+ *
+ * No imports and no DOM: this module also loads in the worklet scope and
+ * under Node.
+ */
+
+/**
+ * Filter presets. Zero crossings set the kernel length (per side, at the
+ * cutoff), beta the Kaiser window's stopband depth, rolloff the cutoff as a
+ * fraction of the lower Nyquist frequency.
+ */
+export const RESAMPLER_QUALITY = {
+  low: { zeroCrossings: 8, beta: 6, rolloff: 0.85 }, // ~-60 dB stopband
+  medium: { zeroCrossings: 16, beta: 8.5, rolloff: 0.9 }, // ~-85 dB
+  high: { zeroCrossings: 32, beta: 10, rolloff: 0.94 }, // ~-100 dB
+};
+
+export const DEFAULT_RESAMPLER_QUALITY = "high";
+
+// Rate pairs like 44100 -> 16001 reduce to huge L; their phases are rounded
+// to this many kernels instead
+const MAX_PHASES = 1024;
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+
+/**
+ * Zeroth-order modified Bessel function of the first kind (series form)
+ */
+function besselI0(x) {
+  let sum = 1;
+  let term = 1;
+  const halfX = x / 2;
+  for (let k = 1; k < 50; k++) {
+    term *= (halfX / k) * (halfX / k);
+    sum += term;
+    if (term < sum * 1e-12) break;
+  }
+  return sum;
+}
+
+/**
+ * Kernel table: one row of `taps` coefficients per phase
+ * Each row is normalized to unity DC gain.
+ */
+function buildKernels(phaseCount, halfTaps, cutoff, beta) {
+  const taps = halfTaps * 2;
+  const kernels = new Float32Array((phaseCount + 1) * taps);
+  const i0Beta = besselI0(beta);
+
+  // Row p is for an output position p / phaseCount past an input sample;
+  // the last row (a whole sample) keeps rounded phases from overflowing
+  for (let p = 0; p <= phaseCount; p++) {
+    const frac = p / phaseCount;
+    const row = p * taps;
+    let sum = 0;
+
+    for (let j = 0; j < taps; j++) {
+      // Distance from the output position to input sample (i - halfTaps + 1 + j)
+      const x = j - halfTaps + 1 - frac;
+      const r = x / halfTaps;
+      if (Math.abs(r) >= 1) continue;
+
+      const arg = Math.PI * cutoff * x;
+      const sinc = x === 0 ? 1 : Math.sin(arg) / arg;
+      const window = besselI0(beta * Math.sqrt(1 - r * r)) / i0Beta;
+      kernels[row + j] = cutoff * sinc * window;
+      sum += kernels[row + j];
+    }
+
+    for (let j = 0; j < taps; j++) {
+      kernels[row + j] /= sum;
+    }
+  }
+
+  return kernels;
+}
+
+/**
+ * Streaming resampler for audio arriving in blocks
+ * Keeps the kernel's history between calls, so splitting the input into
+ * blocks gives the same output as one call. Output lags the input by half a
+ * kernel (about 1 ms at 48 kHz for "high"); flush() drains it.
+ */
+export class Resampler {
+  /**
+   * @param {number} inputSampleRate
+   * @param {number} outputSampleRate
+   * @param {Object} [options]
+   * @param {"low"|"medium"|"high"} [options.quality] - See RESAMPLER_QUALITY
+   * @param {number} [options.maxBlockSize] - Largest expected input block;
+   *   buffers grow beyond it if needed
+   */
+  constructor(
+    inputSampleRate,
+    outputSampleRate,
+    { quality = DEFAULT_RESAMPLER_QUALITY, maxBlockSize = 128 } = {}
+  ) {
+    const preset = RESAMPLER_QUALITY[quality];
+    if (!preset) {
+      throw new Error(`Unknown resampler quality: ${quality}`);
+    }
+    if (
+      !(inputSampleRate > 0 && outputSampleRate > 0) ||
+      !Number.isInteger(inputSampleRate) ||
+      !Number.isInteger(outputSampleRate)
+    ) {
+      throw new Error(
+        `Invalid sample rates: ${inputSampleRate} -> ${outputSampleRate}`
+      );
+    }
+
+    const divisor = gcd(inputSampleRate, outputSampleRate);
+    this.inputSampleRate = inputSampleRate;
+    this.outputSampleRate = outputSampleRate;
+    this.quality = quality;
+    this.up = outputSampleRate / divisor; // L
+    this.down = inputSampleRate / divisor; // M
+    this.phaseCount = Math.min(this.up, MAX_PHASES);
+
+    // Cutoff relative to the input Nyquist frequency
+    const cutoff = Math.min(1, this.up / this.down) * preset.rolloff;
+    this.halfTaps = Math.ceil(preset.zeroCrossings / cutoff);
+    this.taps = this.halfTaps * 2;
+    this.kernels = buildKernels(
+      this.phaseCount,
+      this.halfTaps,
+      cutoff,
+      preset.beta
+    );
+
+    this.history = new Float32Array(this.taps + maxBlockSize);
+    this.output = new Float32Array(this.maxOutputLength(maxBlockSize));
+    this.reset();
+  }
+
+  /**
+   * Upper bound on the samples one process() call returns
+   * @param {number} inputLength
+   */
+  maxOutputLength(inputLength) {
+    return Math.ceil(((inputLength + this.taps) * this.up) / this.down) + 1;
+  }
+
+  /**
+   * Forget buffered input, e.g. when a recording restarts
+   */
+  reset() {
+    // Half a kernel of silence before the first sample
+    this.history.fill(0);
+    this.length = this.halfTaps - 1;
+    // Position of the next output sample in the history, in 1/L samples
+    this.position = (this.halfTaps - 1) * this.up;
+  }
+
+  /**
+   * Resample one block
+   * @param {Float32Array} input
+   * @returns {Float32Array} - View into a reused buffer; consume or copy it
+   *   before the next call
+   */
+  process(input) {
+    return this.output.subarray(0, this.processBlock(input));
+  }
+
+  /**
+   * Resample one block without allocating
+   * For the audio thread: read the result from `this.output`, which is only
+   * reallocated when a block larger than maxBlockSize arrives.
+   * @param {Float32Array} input
+   * @returns {number} - Samples written to the start of `this.output`
+   */
+  processBlock(input) {
+    this.append(input);
+    return this.drain();
+  }
+
+  /**
+   * Output still held back by the kernel's lookahead, padded with silence
+   * Ends the stream; call reset() before reusing the resampler.
+   * @returns {Float32Array} - View into a reused buffer
+   */
+  flush() {
+    return this.process(new Float32Array(this.halfTaps));
+  }
+
+  append(input) {
+    const needed = this.length + input.length;
+    if (needed > this.history.length) {
+      const grown = new Float32Array(needed);
+      grown.set(this.history.subarray(0, this.length));
+      this.history = grown;
+    }
+    this.history.set(input, this.length);
+    this.length = needed;
+
+    const maxOutput = this.maxOutputLength(input.length);
+    if (maxOutput > this.output.length) {
+      this.output = new Float32Array(maxOutput);
+    }
+  }
+
+  drain() {
+    const { history, kernels, taps, halfTaps, up, down, phaseCount } = this;
+    const output = this.output;
+    const exactPhases = phaseCount === up;
+    let position = this.position;
+    let count = 0;
+
+    // Output i needs history[index - halfTaps + 1 .. index + halfTaps]
+    while (true) {
+      const index = Math.floor(position / up);
+      if (index + halfTaps >= this.length) break;
+
+      const remainder = position - index * up;
+      const phase = exactPhases
+        ? remainder
+        : Math.round((remainder * phaseCount) / up);
+
+      const row = phase * taps;
+      const start = index - halfTaps + 1;
+      let sum = 0;
+      for (let j = 0; j < taps; j++) {
+        sum += history[start + j] * kernels[row + j];
+      }
+      output[count++] = sum;
+      position += down;
+    }
+
+    // Drop input that no future output reaches
+    const consumed = Math.floor(position / up) - (halfTaps - 1);
+    if (consumed > 0) {
+      history.copyWithin(0, consumed, this.length);
+      this.length -= consumed;
+      position -= consumed * up;
+    }
+    this.position = position;
+
+    return count;
+  }
+}
+
+/**
+ * Resample a whole buffer
+ * Output has round(length * outputRate / inputRate) samples, aligned with
+ * the input (no lookahead delay).
+ * @param {Float32Array} input
+ * @param {number} inputSampleRate
+ * @param {number} outputSampleRate
+ * @param {"low"|"medium"|"high"} [quality]
+ * @returns {Float32Array}
+ */
+export function resampleBuffer(
+  input,
+  inputSampleRate,
+  outputSampleRate,
+  quality = DEFAULT_RESAMPLER_QUALITY
+) {
+  const outputLength = Math.max(
+    1,
+    Math.round((input.length * outputSampleRate) / inputSampleRate)
+  );
+  const resampler = new Resampler(inputSampleRate, outputSampleRate, {
+    quality,
+    maxBlockSize: input.length,
+  });
+
+  const result = new Float32Array(outputLength);
+  const head = resampler.process(input);
+  const written = Math.min(head.length, outputLength);
+  result.set(head.subarray(0, written));
+  if (written < outputLength) {
+    const tail = resampler.flush();
+    result.set(tail.subarray(0, outputLength - written), written);
+  }
+
+  return result;
+}
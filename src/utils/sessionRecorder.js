@@ -0,0 +1,84 @@
+/**
+ * Session Recorder - Opus recording of the live microphone stream
+ * Wraps MediaRecorder; the result goes to recordingDb keyed by session.
+ */
+
+// First supported type wins; Safari has no Opus in WebM
+const MIME_TYPES = [
+  "audio/webm;codecs=opus",
+  "audio/ogg;codecs=opus",
+  "audio/mp4",
+];
+
+const TIMESLICE_MS = 1000; // Hand over data every second
+
+/**
+ * Whether this browser can record session audio
+ */
+export const isRecordingSupported = () => typeof MediaRecorder !== "undefined";
+
+export class SessionRecorder {
+  /**
+   * @param {MediaStream} stream - The microphone stream being analyzed
+   */
+  constructor(stream) {
+    const mimeType = MIME_TYPES.find((type) =>
+      MediaRecorder.isTypeSupported(type)
+    );
+    this.recorder = new MediaRecorder(stream, mimeType ? { mimeType } : {});
+    this.chunks = [];
+    this.startedAt = null;
+
+    this.recorder.ondataavailable = (event) => {
+      if (event.data.size > 0) this.chunks.push(event.data);
+    };
+  }
+
+  /**
+   * Start recording; resolves once the first sample is being captured
+   * @returns {Promise<void>}
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this.recorder.onstart = () => {
+        this.startedAt = Date.now();
+        resolve();
+      };
+      this.recorder.onerror = (event) =>
+        reject(event.error || new Error("Recording failed"));
+      this.recorder.start(TIMESLICE_MS);
+    });
+  }
+
+  /**
+   * Stop recording
+   * @returns {Promise<{ blob: Blob, mimeType: string, startedAt: number, duration: number } | null>}
+   *   null if nothing was captured
+   */
+  stop() {
+    return new Promise((resolve) => {
+      const finish = () => {
+        const mimeType = this.recorder.mimeType || "audio/webm";
+        const blob = new Blob(this.chunks, { type: mimeType });
+        this.chunks = [];
+        resolve(
+          blob.size > 0 && this.startedAt
+            ? {
+                blob,
+                mimeType,
+                startedAt: this.startedAt,
+                duration: (Date.now() - this.startedAt) / 1000,
+              }
+            : null
+        );
+      };
+
+      if (this.recorder.state === "inactive") {
+        finish();
+      } else {
+        this.recorder.onstop = finish;
+        this.recorder.stop();
+      }
+    });
+  }
+}
@@ -0,0 +1,352 @@
+/**
+ * Smoothing - Temporal smoothing strategies for emotion predictions
+ *
+ * Every smoother takes one probability map per window and returns the
+ * smoothed map. Strategies that decode a label themselves (majority vote,
+ * Viterbi) also report it through getDominant(); the others leave the
+ * dominant emotion to the highest smoothed probability.
+ *
+ * DominantHysteresis sits on top of any strategy and only lets the reported
+ * dominant emotion change once a new label has led by a margin for a while
+ * (a decoded label only has to last a while).
+ */
+
+export const SMOOTHING_STRATEGIES = {
+  ema: {
+    name: "Exponential moving average",
+    description: "Blends each window into a running average",
+  },
+  median: {
+    name: "Sliding median",
+    description: "Per-emotion median of the last N windows",
+  },
+  majority: {
+    name: "Majority vote",
+    description: "Most frequent top emotion of the last N windows",
+  },
+  viterbi: {
+    name: "HMM / Viterbi",
+    description: "Decodes the most likely emotion path, penalizing switches",
+  },
+};
+
+export const SMOOTHING_DEFAULTS = {
+  strategy: "ema",
+  alpha: 0.2, // EMA weight of the newest window
+  windowSize: 5, // Windows considered by median and majority vote
+  transitionPenalty: 3, // Viterbi cost of switching emotion (nats)
+};
+
+export const HYSTERESIS_DEFAULTS = {
+  margin: 0.1, // Probability lead a new emotion needs over the current one
+  holdMs: 500, // How long it must keep that lead
+};
+
+const EPSILON = 1e-9;
+
+const argmax = (labels, values) =>
+  labels.reduce((best, label) =>
+    (values[label] ?? 0) > (values[best] ?? 0) ? label : best
+  );
+
+const normalize = (labels, values) => {
+  const total = labels.reduce((sum, label) => sum + values[label], 0);
+  const result = {};
+  for (const label of labels) {
+    result[label] = total > 0 ? values[label] / total : 1 / labels.length;
+  }
+  return result;
+};
+
+/**
+ * Exponential moving average over label probability maps
+ */
+export class EmaSmoother {
+  constructor(labels, alpha = SMOOTHING_DEFAULTS.alpha) {
+    this.labels = labels;
+    this.alpha = alpha;
+    this.state = null;
+  }
+
+  update(values) {
+    if (!this.state) {
+      this.state = { ...values };
+      return { ...this.state };
+    }
+
+    const smoothed = {};
+    for (const label of this.labels) {
+      const next = values[label] ?? 0;
+      const prev = this.state[label] ?? 0;
+      smoothed[label] = this.alpha * next + (1 - this.alpha) * prev;
+    }
+
+    this.state = smoothed;
+    return { ...this.state };
+  }
+
+  getDominant() {
+    return null;
+  }
+
+  reset() {
+    this.state = null;
+  }
+
+  getState() {
+    return this.state ? { ...this.state } : null;
+  }
+}
+
+/**
+ * Base for smoothers that look at the last N windows
+ */
+class WindowedSmoother {
+  constructor(labels, windowSize = SMOOTHING_DEFAULTS.windowSize) {
+    this.labels = labels;
+    this.windowSize = Math.max(1, Math.round(windowSize));
+    this.reset();
+  }
+
+  update(values) {
+    this.history.push(values);
+    if (this.history.length > this.windowSize) {
+      this.history.shift();
+    }
+    this.state = this.combine();
+    return { ...this.state };
+  }
+
+  getDominant() {
+    return null;
+  }
+
+  reset() {
+    this.history = [];
+    this.state = null;
+  }
+
+  getState() {
+    return this.state ? { ...this.state } : null;
+  }
+}
+
+/**
+ * Per-label median of the last N windows, renormalized to sum to 1
+ * Drops single-window spikes entirely instead of averaging them in.
+ */
+export class MedianSmoother extends WindowedSmoother {
+  combine() {
+    const medians = {};
+    for (const label of this.labels) {
+      const sorted = this.history
+        .map((values) => values[label] ?? 0)
+        .sort((a, b) => a - b);
+      const middle = sorted.length >> 1;
+      medians[label] =
+        sorted.length % 2
+          ? sorted[middle]
+          : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    return normalize(this.labels, medians);
+  }
+}
+
+/**
+ * Majority vote over the top emotion of the last N windows
+ * Probabilities are the window mean; ties go to the most recent winner.
+ */
+export class MajorityVoteSmoother extends WindowedSmoother {
+  combine() {
+    const votes = {};
+    const mean = {};
+    for (const label of this.labels) {
+      votes[label] = 0;
+      mean[label] = 0;
+    }
+
+    let winner = null;
+    this.history.forEach((values) => {
+      const top = argmax(this.labels, values);
+      votes[top]++;
+      if (!winner || votes[top] >= votes[winner]) {
+        winner = top;
+      }
+      for (const label of this.labels) {
+        mean[label] += (values[label] ?? 0) / this.history.length;
+      }
+    });
+
+    this.winner = winner;
+    return mean;
+  }
+
+  getDominant() {
+    return this.winner ?? null;
+  }
+
+  reset() {
+    super.reset();
+    this.winner = null;
+  }
+}
+
+/**
+ * Online HMM decoder
+ * Each emotion is a hidden state and the model's probabilities are the
+ * emissions. Staying in a state is free, switching costs
+ * `transitionPenalty` nats. Probabilities are the forward (filtered)
+ * posterior; the dominant emotion is the end of the best Viterbi path.
+ */
+export class ViterbiSmoother {
+  constructor(
+    labels,
+    transitionPenalty = SMOOTHING_DEFAULTS.transitionPenalty
+  ) {
+    this.labels = labels;
+    this.transitionPenalty = Math.max(0, transitionPenalty);
+
+    // Row-normalized transition matrix: stay weight 1, switch weight e^-penalty
+    const switchWeight = Math.exp(-this.transitionPenalty);
+    const rowTotal = 1 + (labels.length - 1) * switchWeight;
+    this.logStay = Math.log(1 / rowTotal);
+    this.logSwitch = Math.log(switchWeight / rowTotal);
+    this.stay = 1 / rowTotal;
+    this.switch = switchWeight / rowTotal;
+
+    this.reset();
+  }
+
+  update(values) {
+    const { labels } = this;
+    const emission = (label) => Math.max(values[label] ?? 0, EPSILON);
+
+    if (!this.scores) {
+      this.scores = {};
+      for (const label of labels) {
+        this.scores[label] = Math.log(emission(label));
+      }
+      this.state = normalize(labels, { ...values });
+      return { ...this.state };
+    }
+
+    // Viterbi step: best predecessor is either the same state or the best
+    // state overall paying the switch penalty
+    const best = argmax(labels, this.scores);
+    const scores = {};
+    for (const label of labels) {
+      const stay = this.scores[label] + this.logStay;
+      const move = this.scores[best] + this.logSwitch;
+      scores[label] = Math.max(stay, move) + Math.log(emission(label));
+    }
+    // Keep scores bounded; only their differences matter
+    const top = scores[argmax(labels, scores)];
+    for (const label of labels) {
+      scores[label] -= top;
+    }
+    this.scores = scores;
+
+    // Forward step for the probabilities
+    const forward = {};
+    for (const label of labels) {
+      forward[label] =
+        emission(label) *
+        (this.state[label] * this.stay + (1 - this.state[label]) * this.switch);
+    }
+    this.state = normalize(labels, forward);
+    return { ...this.state };
+  }
+
+  getDominant() {
+    return this.scores ? argmax(this.labels, this.scores) : null;
+  }
+
+  reset() {
+    this.scores = null;
+    this.state = null;
+  }
+
+  getState() {
+    return this.state ? { ...this.state } : null;
+  }
+}
+
+/**
+ * Create a smoother for a strategy in SMOOTHING_STRATEGIES
+ * @param {string[]} labels - Label order
+ * @param {Object} [options] - Overrides for SMOOTHING_DEFAULTS
+ */
+export function createSmoother(labels, options = {}) {
+  const { strategy, alpha, windowSize, transitionPenalty } = {
+    ...SMOOTHING_DEFAULTS,
+    ...options,
+  };
+
+  switch (strategy) {
+    case "ema":
+      return new EmaSmoother(labels, alpha);
+    case "median":
+      return new MedianSmoother(labels, windowSize);
+    case "majority":
+      return new MajorityVoteSmoother(labels, windowSize);
+    case "viterbi":
+      return new ViterbiSmoother(labels, transitionPenalty);
+    default:
+      throw new Error(`Unknown smoothing strategy "${strategy}"`);
+  }
+}
+
+/**
+ * Keeps the reported dominant emotion stable between near-tied classes
+ * A candidate replaces the current emotion only after its smoothed
+ * probability has led by at least `margin` for `holdMs`. A candidate
+ * decoded by the smoother (majority vote, Viterbi) already won on the
+ * decoder's own scores, so it only has to hold for `holdMs`.
+ */
+export class DominantHysteresis {
+  /**
+   * @param {Object} [options] - Overrides for HYSTERESIS_DEFAULTS
+   */
+  constructor(options = {}) {
+    const { margin, holdMs } = { ...HYSTERESIS_DEFAULTS, ...options };
+    this.margin = margin;
+    this.holdMs = holdMs;
+    this.reset();
+  }
+
+  /**
+   * @param {Object} emotions - Smoothed probabilities
+   * @param {string} candidate - Emotion the smoother would report
+   * @param {number} timestamp - Stream time in ms
+   * @param {Object} [options]
+   * @param {boolean} [options.decoded] - Candidate comes from getDominant()
+   * @returns {string} - Dominant emotion to report
+   */
+  update(emotions, candidate, timestamp, { decoded = false } = {}) {
+    if (!this.current || !(this.current in emotions)) {
+      this.current = candidate;
+      this.pending = null;
+      return this.current;
+    }
+
+    const lead = (emotions[candidate] ?? 0) - (emotions[this.current] ?? 0);
+    if (candidate === this.current || (!decoded && lead < this.margin)) {
+      this.pending = null;
+      return this.current;
+    }
+
+    if (this.pending?.label !== candidate) {
+      this.pending = { label: candidate, since: timestamp };
+    }
+    if (timestamp - this.pending.since >= this.holdMs) {
+      this.current = candidate;
+      this.pending = null;
+    }
+    return this.current;
+  }
+
+  reset() {
+    this.current = null;
+    this.pending = null;
+  }
+}
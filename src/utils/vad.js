@@ -0,0 +1,228 @@
+/**
+ * Voice Activity Detection - Adaptive speech / silence classification
+ *
+ * Each inference window is split into short frames. Every frame is scored
+ * on three features:
+ * - energy relative to the tracked noise floor (SNR in dB)
+ * - zero-crossing rate (voiced speech crosses zero less than hiss)
+ * - spectral flatness (speech is peaky, broadband noise is flat)
+ *
+ * The first `calibrationMs` of a session estimate the noise floor. After
+ * that the floor is tracked with minimum statistics: the quietest frame
+ * energy of the last `noiseWindowMs` (kept as per-sub-block minima). Speech
+ * always has pauses within a few seconds, so the minimum follows the
+ * background, not the voice; it drops at once when things get quieter and
+ * rises to any sustained level (a fan switching on) within one window, so
+ * stationary noise can't keep reading as speech.
+ *
+ * Spectral shape can only add evidence for speech once the SNR clears the
+ * speech margin; below it, hum and other tonal noise would otherwise pass
+ * as voiced speech.
+ */
+
+import { fft } from "./audio";
+
+export const VAD_DEFAULTS = {
+  sampleRate: 16000,
+  frameSize: 256, // 16 ms at 16 kHz, power of 2 for the FFT
+  calibrationMs: 1000,
+  threshold: 0.5, // Window speech probability needed to count as speech
+  noiseWindowMs: 4000, // How far back the noise floor minimum looks
+  adaptRate: 0.05, // Per frame, how fast the floor rises to a higher minimum
+};
+
+// Noise floor assumed before any audio has been seen (~ RMS 0.005)
+const DEFAULT_NOISE_FLOOR_DB = -46;
+// Frames quieter than this are never speech (digital silence)
+const ABSOLUTE_SILENCE_DB = -75;
+// Percentile of calibration frame energies used as the noise floor
+const CALIBRATION_PERCENTILE = 0.2;
+// Sub-blocks of the noise window; the oldest minimum is dropped per block
+const NOISE_SUBBLOCKS = 8;
+
+// Feature pivots and scales for the speech logit
+const SNR_MARGIN_DB = 6;
+const SNR_SCALE_DB = 3;
+const FLATNESS_PIVOT = 0.35;
+const FLATNESS_SCALE = 0.1;
+const ZCR_PIVOT = 0.25;
+const ZCR_SCALE = 0.08;
+const FEATURE_WEIGHTS = { energy: 1, flatness: 0.5, zcr: 0.3 };
+
+const EPSILON = 1e-12;
+
+const sigmoid = (x) => 1 / (1 + Math.exp(-x));
+const clamp = (x, limit) => Math.max(-limit, Math.min(limit, x));
+
+export class VoiceActivityDetector {
+  /**
+   * @param {Object} [options] - Overrides for VAD_DEFAULTS
+   */
+  constructor(options = {}) {
+    Object.assign(this, VAD_DEFAULTS, options);
+
+    const n = this.frameSize;
+    this.hann = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      this.hann[i] = 0.5 * (1 - Math.cos((2 * Math.PI * i) / (n - 1)));
+    }
+    this.real = new Float32Array(n);
+    this.imag = new Float32Array(n);
+
+    this.calibrationFrames = Math.ceil(
+      (this.calibrationMs / 1000) * (this.sampleRate / n)
+    );
+    this.subblockFrames = Math.max(
+      1,
+      Math.round(
+        (this.noiseWindowMs / 1000 / NOISE_SUBBLOCKS) * (this.sampleRate / n)
+      )
+    );
+    this.reset();
+  }
+
+  /**
+   * Forget the noise floor and start a new calibration period
+   */
+  reset() {
+    this.noiseFloorDb = DEFAULT_NOISE_FLOOR_DB;
+    this.calibrationEnergies = [];
+    this.framesSeen = 0;
+    this.noiseMinima = []; // Minimum energy of each finished sub-block
+    this.subblockMin = Infinity;
+    this.subblockCount = 0;
+  }
+
+  get isCalibrating() {
+    return this.framesSeen < this.calibrationFrames;
+  }
+
+  /**
+   * Compute energy, zero-crossing rate and spectral flatness of one frame
+   */
+  extractFeatures(samples, offset) {
+    const n = this.frameSize;
+    const { real, imag, hann } = this;
+
+    let energy = 0;
+    let crossings = 0;
+    for (let i = 0; i < n; i++) {
+      const value = samples[offset + i];
+      energy += value * value;
+      if (i > 0 && value >= 0 !== samples[offset + i - 1] >= 0) {
+        crossings++;
+      }
+      real[i] = value * hann[i];
+      imag[i] = 0;
+    }
+
+    fft(real, imag);
+
+    // Flatness = geometric mean / arithmetic mean of the power spectrum
+    let logSum = 0;
+    let sum = 0;
+    const bins = n / 2;
+    for (let k = 1; k <= bins; k++) {
+      const power = real[k] * real[k] + imag[k] * imag[k] + EPSILON;
+      logSum += Math.log(power);
+      sum += power;
+    }
+
+    return {
+      energyDb: 10 * Math.log10(energy / n + EPSILON),
+      zcr: crossings / (n - 1),
+      flatness: Math.exp(logSum / bins) / (sum / bins),
+    };
+  }
+
+  /**
+   * Speech probability of a single frame given the current noise floor
+   */
+  scoreFrame({ energyDb, zcr, flatness }) {
+    if (energyDb < ABSOLUTE_SILENCE_DB) return 0;
+
+    const snr = energyDb - this.noiseFloorDb;
+    let spectral =
+      FEATURE_WEIGHTS.flatness *
+        clamp((FLATNESS_PIVOT - flatness) / FLATNESS_SCALE, 3) +
+      FEATURE_WEIGHTS.zcr * clamp((ZCR_PIVOT - zcr) / ZCR_SCALE, 3);
+
+    // Tonal noise (hum, fans) is peaky and crosses zero rarely, just like
+    // voiced speech: below the SNR margin the spectrum may only veto
+    if (snr < SNR_MARGIN_DB) {
+      spectral = Math.min(0, spectral);
+    }
+
+    const logit =
+      FEATURE_WEIGHTS.energy * ((snr - SNR_MARGIN_DB) / SNR_SCALE_DB) +
+      spectral;
+
+    return sigmoid(logit);
+  }
+
+  /**
+   * Update the noise floor with one frame
+   */
+  trackNoise(energyDb) {
+    if (energyDb < ABSOLUTE_SILENCE_DB) return;
+
+    if (this.isCalibrating) {
+      this.calibrationEnergies.push(energyDb);
+      const sorted = [...this.calibrationEnergies].sort((a, b) => a - b);
+      this.noiseFloorDb =
+        sorted[Math.floor((sorted.length - 1) * CALIBRATION_PERCENTILE)];
+      // The calibrated floor counts as the minimum of the window before
+      this.noiseMinima = [this.noiseFloorDb];
+      return;
+    }
+
+    this.subblockMin = Math.min(this.subblockMin, energyDb);
+    if (++this.subblockCount >= this.subblockFrames) {
+      this.noiseMinima.push(this.subblockMin);
+      if (this.noiseMinima.length > NOISE_SUBBLOCKS) this.noiseMinima.shift();
+      this.subblockMin = Infinity;
+      this.subblockCount = 0;
+    }
+
+    const minimum = Math.min(this.subblockMin, ...this.noiseMinima);
+    if (minimum < this.noiseFloorDb) {
+      this.noiseFloorDb = minimum;
+    } else {
+      this.noiseFloorDb += this.adaptRate * (minimum - this.noiseFloorDb);
+    }
+  }
+
+  /**
+   * Classify one inference window
+   * @param {Float32Array} samples - Audio window at `sampleRate`
+   * @returns {{ speechProbability: number, isSpeech: boolean, isCalibrating: boolean, noiseFloorDb: number }}
+   */
+  analyze(samples) {
+    const n = this.frameSize;
+    const frameCount = Math.floor(samples.length / n);
+    const probabilities = [];
+
+    for (let frame = 0; frame < frameCount; frame++) {
+      const features = this.extractFeatures(samples, frame * n);
+      const probability = this.scoreFrame(features);
+      probabilities.push(probability);
+
+      this.trackNoise(features.energyDb);
+      this.framesSeen++;
+    }
+
+    // Speech rarely fills a whole window; average the most speech-like half
+    probabilities.sort((a, b) => b - a);
+    const top = probabilities.slice(0, Math.max(1, Math.ceil(frameCount / 2)));
+    const speechProbability = frameCount
+      ? top.reduce((a, b) => a + b, 0) / top.length
+      : 0;
+
+    return {
+      speechProbability,
+      isSpeech: speechProbability >= this.threshold,
+      isCalibrating: this.isCalibrating,
+      noiseFloorDb: this.noiseFloorDb,
+    };
+  }
+}
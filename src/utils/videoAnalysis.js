@@ -0,0 +1,143 @@
+/**
+ * Video Analysis - Face emotions for an uploaded video file
+ *
+ * The video is stepped through with an off-screen <video> element, one
+ * frame every FACE_SAMPLE_INTERVAL seconds, and each frame goes through the
+ * face detector worker (with its tracker, so people keep their IDs). The
+ * audio track is analyzed separately, like any audio file.
+ */
+
+import { captureFrame } from "./faceDetection";
+import { FACE_LABEL_MAP } from "./fusion";
+
+export const FACE_SAMPLE_INTERVAL = 0.2; // Seconds between analyzed frames
+export const MAX_FACE_TRACKS = 4; // Timeline rows, most visible faces first
+
+/**
+ * Resolve on a media element event, reject on its error event
+ */
+function waitFor(element, eventName) {
+  return new Promise((resolve, reject) => {
+    const cleanup = () => {
+      element.removeEventListener(eventName, onEvent);
+      element.removeEventListener("error", onError);
+    };
+    const onEvent = () => {
+      cleanup();
+      resolve();
+    };
+    const onError = () => {
+      cleanup();
+      reject(new Error(element.error?.message || "Could not read the video"));
+    };
+    element.addEventListener(eventName, onEvent);
+    element.addEventListener("error", onError);
+  });
+}
+
+/**
+ * Run face detection over a video at a fixed frame interval
+ * @param {string} url - Object URL of the video file
+ * @param {(frame: VideoFrame|ImageBitmap, timestamp: number) => Promise<Array|null>} detectFrame
+ *   From createFrameDetector
+ * @param {Object} [options]
+ * @param {number} [options.interval] - Seconds between frames
+ * @param {(progress: number) => void} [options.onProgress] - 0..1
+ * @param {() => boolean} [options.isCancelled] - Stops sampling when true
+ * @returns {Promise<{ samples: Array<{ time: number, detections: Array }>, duration: number, width: number, height: number }>}
+ */
+export async function sampleVideoFaces(
+  url,
+  detectFrame,
+  { interval = FACE_SAMPLE_INTERVAL, onProgress, isCancelled } = {}
+) {
+  const video = document.createElement("video");
+  video.muted = true;
+  video.playsInline = true;
+  video.preload = "auto";
+
+  const loaded = waitFor(video, "loadeddata");
+  video.src = url;
+  await loaded;
+
+  const { duration, videoWidth: width, videoHeight: height } = video;
+  const samples = [];
+
+  try {
+    for (let time = 0; time < duration; time += interval) {
+      if (isCancelled?.()) break;
+
+      const seeked = waitFor(video, "seeked");
+      video.currentTime = time;
+      await seeked;
+
+      const frame = await captureFrame(video);
+      const detections = await detectFrame(frame, time * 1000);
+      samples.push({ time, detections: detections || [] });
+      onProgress?.(Math.min(1, (time + interval) / duration));
+    }
+  } finally {
+    video.removeAttribute("src");
+    video.load();
+  }
+
+  return { samples, duration, width, height };
+}
+
+/**
+ * Detections of the frame shown at a playback position
+ * @param {Array<{ time: number, detections: Array }>} samples - Sorted by time
+ * @param {number} time - Playback position in seconds
+ * @param {number} [interval] - Sampling interval the samples were taken at
+ * @returns {Array} - Empty between samples that are too far apart
+ */
+export function detectionsAt(samples, time, interval = FACE_SAMPLE_INTERVAL) {
+  let low = 0;
+  let high = samples.length - 1;
+  let index = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (samples[mid].time <= time) {
+      index = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+
+  const sample = samples[index];
+  return sample && time - sample.time < interval * 1.5 ? sample.detections : [];
+}
+
+/**
+ * Per-face timeline rows for EmotionTimeline's extra tracks
+ * Face labels are mapped onto the voice labels so both use one palette.
+ * @param {Array<{ time: number, detections: Array }>} samples
+ * @param {number} [interval] - Sampling interval the samples were taken at
+ * @returns {Array<{ id: number, label: string, spans: Array<{ start: number, end: number, dominant: string, confidence: number }> }>}
+ */
+export function buildFaceTracks(samples, interval = FACE_SAMPLE_INTERVAL) {
+  const tracks = new Map(); // track id -> row
+
+  for (const { time, detections } of samples) {
+    for (const detection of detections) {
+      if (!tracks.has(detection.trackId)) {
+        tracks.set(detection.trackId, {
+          id: detection.trackId,
+          label: `Face ${detection.trackId}`,
+          spans: [],
+        });
+      }
+      tracks.get(detection.trackId).spans.push({
+        start: time,
+        end: time + interval,
+        dominant: FACE_LABEL_MAP[detection.emotion] ?? detection.emotion,
+        confidence: detection.confidence,
+      });
+    }
+  }
+
+  return Array.from(tracks.values())
+    .sort((a, b) => b.spans.length - a.spans.length)
+    .slice(0, MAX_FACE_TRACKS);
+}
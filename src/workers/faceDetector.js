@@ -0,0 +1,408 @@
+/**
+ * Face Detector Worker
+ *
+ * Runs the face emotion model (YOLO-style, 7 classes) off the main thread:
+ * letterboxing on an OffscreenCanvas, tensor packing, inference, NMS and
+ * face tracking (utils/faceTracker.js, which also smooths each face's
+ * emotions) all happen here, and only the tracked detections are posted
+ * back.
+ *
+ * Frames arrive either as a stream of VideoFrames (a transferred
+ * MediaStreamTrackProcessor readable, so capture is off the main thread
+ * too) or one at a time as VideoFrame / ImageBitmap messages. Only the
+ * newest frame is kept while a detection is running; older ones are closed
+ * and counted as dropped, so a slow backend lowers the detection rate
+ * instead of building a backlog. Video file analysis posts one frame at a
+ * time with a `frameId` and waits for its detections.
+ */
+
+import * as ort from "onnxruntime-web";
+import { configureOrtRuntime, selectBackend } from "../utils/backendSelector";
+import { fetchWithCache } from "../utils/modelCache";
+import { calculateIoU, FaceTracker } from "../utils/faceTracker";
+
+configureOrtRuntime(ort);
+
+const MODEL_INPUT_SIZE = 640;
+const CONFIDENCE_THRESHOLD = 0.45;
+const IOU_THRESHOLD = 0.45;
+const MIN_FRAME_INTERVAL = 60; // ms between detections at most
+const NUM_DETECTIONS = 8400;
+const LETTERBOX_FILL = "#727272";
+
+const FACE_EMOTION_LABELS = [
+  "angry",
+  "disgust",
+  "fear",
+  "happy",
+  "neutral",
+  "sad",
+  "surprise",
+];
+
+// Worker state
+let session = null;
+let canvas = null;
+let context = null;
+const inputData = new Float32Array(3 * MODEL_INPUT_SIZE * MODEL_INPUT_SIZE);
+const tracker = new FaceTracker(); // Stable IDs + per-face smoothing
+let pendingFrame = null; // Newest { frame, frameId, timestamp } waiting
+let isDetecting = false;
+let lastAcceptedAt = -Infinity;
+let droppedFrames = 0;
+let streamGeneration = 0; // Lets a stale stream reader exit after stop
+
+/**
+ * Download the model and pick the fastest backend for it
+ * @param {string} modelUrl - URL of the ONNX model
+ * @param {string|null} sha256 - Expected hex SHA-256 of the model file
+ */
+async function initializeModel(modelUrl, sha256) {
+  const verified = Boolean(sha256);
+  if (!verified) {
+    console.warn(
+      `[FaceDetector] No sha256 for ${modelUrl}; cached copy is not verified`
+    );
+  }
+
+  try {
+    let modelBytes = null;
+    const selection = await selectBackend(ort, {
+      key: modelUrl,
+      createSession: async (sessionOptions) => {
+        if (!modelBytes) {
+          const buffer = await fetchWithCache(modelUrl, {
+            sha256,
+            onProgress: ({ loaded, total }) =>
+              postMessage({
+                type: "loadProgress",
+                phase: "download",
+                loaded,
+                total,
+                verified,
+              }),
+          });
+          modelBytes = new Uint8Array(buffer);
+        }
+        postMessage({ type: "loadProgress", phase: "warmup", verified });
+        return ort.InferenceSession.create(modelBytes, {
+          graphOptimizationLevel: "all",
+          ...sessionOptions,
+        });
+      },
+      run: (candidate) =>
+        candidate.run({
+          images: new ort.Tensor(
+            "float32",
+            new Float32Array(3 * MODEL_INPUT_SIZE * MODEL_INPUT_SIZE),
+            [1, 3, MODEL_INPUT_SIZE, MODEL_INPUT_SIZE]
+          ),
+        }),
+      release: (candidate) => candidate.release?.(),
+    });
+
+    session = selection.session;
+    canvas = new OffscreenCanvas(MODEL_INPUT_SIZE, MODEL_INPUT_SIZE);
+    context = canvas.getContext("2d", { willReadFrequently: true });
+    postMessage({
+      type: "modelLoaded",
+      backend: selection.backend.name,
+      verified,
+    });
+  } catch (error) {
+    postMessage({
+      type: "error",
+      error: `Failed to load model: ${error.message}`,
+    });
+  }
+}
+
+/**
+ * Size of a VideoFrame or ImageBitmap
+ */
+function frameSize(frame) {
+  return {
+    width: frame.displayWidth ?? frame.width,
+    height: frame.displayHeight ?? frame.height,
+  };
+}
+
+/**
+ * Letterbox a frame into the model input and pack it as planar RGB
+ */
+function preprocess(frame, width, height) {
+  const scale = Math.min(MODEL_INPUT_SIZE / width, MODEL_INPUT_SIZE / height);
+  const newWidth = width * scale;
+  const newHeight = height * scale;
+  const offsetX = (MODEL_INPUT_SIZE - newWidth) / 2;
+  const offsetY = (MODEL_INPUT_SIZE - newHeight) / 2;
+
+  context.fillStyle = LETTERBOX_FILL;
+  context.fillRect(0, 0, MODEL_INPUT_SIZE, MODEL_INPUT_SIZE);
+  context.drawImage(frame, offsetX, offsetY, newWidth, newHeight);
+
+  const { data } = context.getImageData(
+    0,
+    0,
+    MODEL_INPUT_SIZE,
+    MODEL_INPUT_SIZE
+  );
+  const plane = MODEL_INPUT_SIZE * MODEL_INPUT_SIZE;
+  for (let i = 0; i < plane; i++) {
+    inputData[i] = data[i * 4] / 255.0;
+    inputData[i + plane] = data[i * 4 + 1] / 255.0;
+    inputData[i + 2 * plane] = data[i * 4 + 2] / 255.0;
+  }
+
+  return {
+    tensor: new ort.Tensor("float32", inputData, [
+      1,
+      3,
+      MODEL_INPUT_SIZE,
+      MODEL_INPUT_SIZE,
+    ]),
+    scale,
+    offsetX,
+    offsetY,
+  };
+}
+
+/**
+ * Decode boxes and run NMS
+ * @returns {Array<{ bbox: Object, prob: number, classId: number, probs: Object }>}
+ *   Boxes in source frame pixels with raw class probabilities, most
+ *   confident first
+ */
+function processOutput(output, scale, offsetX, offsetY, width, height) {
+  const boxes = [];
+  const data = output.data;
+
+  for (let i = 0; i < NUM_DETECTIONS; i++) {
+    let maxProb = -Infinity;
+    let maxClass = -1;
+    const probs = {};
+
+    for (let c = 0; c < FACE_EMOTION_LABELS.length; c++) {
+      const prob = data[(4 + c) * NUM_DETECTIONS + i];
+      probs[FACE_EMOTION_LABELS[c]] = prob;
+      if (prob > maxProb) {
+        maxProb = prob;
+        maxClass = c;
+      }
+    }
+
+    if (maxProb < CONFIDENCE_THRESHOLD) continue;
+
+    const cx = data[0 * NUM_DETECTIONS + i];
+    const cy = data[1 * NUM_DETECTIONS + i];
+    const w = data[2 * NUM_DETECTIONS + i];
+    const h = data[3 * NUM_DETECTIONS + i];
+
+    const x1 = (cx - w / 2 - offsetX) / scale;
+    const y1 = (cy - h / 2 - offsetY) / scale;
+    const x2 = (cx + w / 2 - offsetX) / scale;
+    const y2 = (cy + h / 2 - offsetY) / scale;
+
+    boxes.push({
+      bbox: {
+        x1: Math.max(0, x1),
+        y1: Math.max(0, y1),
+        x2: Math.min(width, x2),
+        y2: Math.min(height, y2),
+      },
+      prob: maxProb,
+      classId: maxClass,
+      probs,
+    });
+  }
+
+  boxes.sort((a, b) => b.prob - a.prob);
+  const result = [];
+  const active = new Array(boxes.length).fill(true);
+
+  for (let i = 0; i < boxes.length; i++) {
+    if (!active[i]) continue;
+    result.push(boxes[i]);
+
+    for (let j = i + 1; j < boxes.length; j++) {
+      if (
+        active[j] &&
+        calculateIoU(boxes[i].bbox, boxes[j].bbox) > IOU_THRESHOLD
+      ) {
+        active[j] = false;
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Run the detector on one frame and post the detections
+ * The frame is closed here.
+ * @param {Object} request - { frame, frameId, timestamp } from acceptFrame
+ */
+async function detect({ frame, frameId, timestamp }) {
+  const { width, height } = frameSize(frame);
+  const start = performance.now();
+  let prepared = null;
+  try {
+    if (width > 0 && height > 0) {
+      prepared = preprocess(frame, width, height);
+    }
+  } finally {
+    frame.close();
+  }
+  if (!prepared) {
+    postMessage({ type: "detections", frameId, detections: [], droppedFrames });
+    return;
+  }
+
+  const { tensor, scale, offsetX, offsetY } = prepared;
+  const outputMap = await session.run({ images: tensor });
+  const boxes = processOutput(
+    outputMap[session.outputNames[0]],
+    scale,
+    offsetX,
+    offsetY,
+    width,
+    height
+  );
+  const detections = tracker.update(boxes, timestamp ?? performance.now());
+
+  postMessage({
+    type: "detections",
+    frameId,
+    detections,
+    width,
+    height,
+    inferenceTime: Math.round(performance.now() - start),
+    droppedFrames,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * Take a frame; keeps only the newest one while busy
+ * @param {VideoFrame|ImageBitmap} frame - Closed once used or dropped
+ * @param {Object} [options]
+ * @param {boolean} [options.throttle] - Skip frames closer than
+ *   MIN_FRAME_INTERVAL (stream frames arrive at the camera's rate; posted
+ *   ones are paced by the main thread)
+ * @param {number} [options.frameId] - Echoed back with the detections, for
+ *   callers waiting on a particular frame
+ * @param {number} [options.timestamp] - Frame time in ms for the tracker,
+ *   e.g. the position in a video file (defaults to now)
+ */
+function acceptFrame(frame, { throttle = false, frameId, timestamp } = {}) {
+  const now = performance.now();
+  if (!session || (throttle && now - lastAcceptedAt < MIN_FRAME_INTERVAL)) {
+    frame.close();
+    if (frameId !== undefined) postMessage({ type: "frameDropped", frameId });
+    return;
+  }
+
+  if (pendingFrame) {
+    pendingFrame.frame.close();
+    droppedFrames++;
+    if (pendingFrame.frameId !== undefined) {
+      postMessage({ type: "frameDropped", frameId: pendingFrame.frameId });
+    }
+  }
+  pendingFrame = { frame, frameId, timestamp };
+  lastAcceptedAt = now;
+
+  if (!isDetecting) drainFrames();
+}
+
+async function drainFrames() {
+  isDetecting = true;
+  while (pendingFrame) {
+    const request = pendingFrame;
+    pendingFrame = null;
+    try {
+      await detect(request);
+    } catch (error) {
+      postMessage({
+        type: "error",
+        frameId: request.frameId,
+        error: `Inference error: ${error.message}`,
+      });
+    }
+  }
+  isDetecting = false;
+}
+
+/**
+ * Pull frames from a transferred MediaStreamTrackProcessor readable
+ */
+async function readFrames(readable) {
+  const generation = ++streamGeneration;
+  const reader = readable.getReader();
+
+  try {
+    while (generation === streamGeneration) {
+      const { value: frame, done } = await reader.read();
+      if (done) break;
+      if (generation === streamGeneration) {
+        acceptFrame(frame, { throttle: true });
+      } else {
+        frame.close();
+      }
+    }
+  } catch (error) {
+    console.warn("[FaceDetector] Frame stream ended:", error.message);
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+}
+
+/**
+ * Forget smoothing and queued frames between camera sessions
+ */
+function reset() {
+  streamGeneration++;
+  pendingFrame?.frame.close();
+  pendingFrame = null;
+  tracker.reset();
+  droppedFrames = 0;
+  lastAcceptedAt = -Infinity;
+}
+
+/**
+ * Handle messages from main thread
+ */
+self.onmessage = async (event) => {
+  const { type, ...data } = event.data;
+
+  switch (type) {
+    case "init":
+      await initializeModel(data.modelUrl, data.sha256);
+      break;
+
+    case "start":
+      reset();
+      if (data.readable) readFrames(data.readable);
+      break;
+
+    case "frame":
+      acceptFrame(data.frame, {
+        frameId: data.frameId,
+        timestamp: data.timestamp,
+      });
+      break;
+
+    case "stop":
+      reset();
+      break;
+
+    default:
+      postMessage({
+        type: "error",
+        error: `Unknown message type: ${type}`,
+      });
+  }
+};
+
+// Notify main thread that worker is ready
+postMessage({ type: "ready" });
@@ -6,374 +6,172 @@
  * runs the model, and posts emotion predictions back to the main thread.
  *
  * Architecture:
- * - Uses onnxruntime-web with WASM backend
+ * - Uses onnxruntime-web on the fastest available backend (WebGPU or WASM)
  * - Implements sliding window inference
- * - Applies softmax and temporal smoothing
+ * - Sleeps in Atomics.wait until the worklet has written a hop of audio
+ * - Runs windows straight out of shared memory (no copies) through the
+ *   shared EmotionEngine pipeline
  */
 
 // Import ONNX Runtime Web
 import * as ort from "onnxruntime-web";
-import {
-  calculateRMS,
-  normalizeAudio,
-  resampleAudio,
-  standardizeAudio,
-} from "../utils/audio";
-import { EMOTION_LABELS } from "../utils/emotions";
+import { EmotionEngine } from "../utils/EmotionEngine";
+import { configureOrtRuntime } from "../utils/backendSelector";
+import { ModelContractError } from "../utils/modelContract";
+import { releaseModelSession } from "../utils/modelRegistry";
+import { RingBufferReader } from "../utils/RingBuffer";
 
-// Set WASM paths before any operations
-ort.env.wasm.wasmPaths = "/wasm/";
-ort.env.wasm.numThreads = 1;
-
-// Constants matching RingBuffer.js
-const RING_BUFFER_HEADER_SIZE = 3;
-
-// Audio processing constants
-const TARGET_SAMPLE_RATE = 16000;
-const INFERENCE_WINDOW_SAMPLES = 2376;
-const HOP_DURATION_SECONDS = 0.5;
-const HOP_SIZE_SAMPLES = Math.min(
-  INFERENCE_WINDOW_SAMPLES - 1,
-  Math.max(1, Math.floor(TARGET_SAMPLE_RATE * HOP_DURATION_SECONDS))
-);
-const NOISE_GATE_THRESHOLD = 0.01;
-const VOICE_HOLD_MS = 800;
-const EMA_ALPHA = 0.2;
+// Set WASM paths and thread count before any operations
+configureOrtRuntime(ort);
 
 // Worker state
-let session = null;
+let engine = new EmotionEngine();
+let pendingPrediction = null; // Window the loop is running, if any
 let isRunning = false;
+let loopGeneration = 0; // Lets a stale loop exit after stop + start
 let sharedBuffer = null;
-let controlBuffer = null;
-let dataBuffer = null;
-let capacity = 0;
-
-let lastVoicedTimestamp = 0;
-
-const NEUTRAL_VECTOR = EMOTION_LABELS.reduce((acc, label) => {
-  acc[label] = label === "neutral" ? 1 : 0;
-  return acc;
-}, {});
-
-class EmaSmoother {
-  constructor(alpha) {
-    this.alpha = alpha;
-    this.state = null;
-  }
-
-  update(values) {
-    if (!this.state) {
-      this.state = { ...values };
-      return { ...this.state };
-    }
-
-    const smoothed = {};
-    for (const label of EMOTION_LABELS) {
-      const next = values[label] ?? 0;
-      const prev = this.state[label] ?? 0;
-      smoothed[label] = this.alpha * next + (1 - this.alpha) * prev;
-    }
-
-    this.state = smoothed;
-    return { ...this.state };
-  }
-
-  reset() {
-    this.state = null;
-  }
-
-  getState() {
-    return this.state ? { ...this.state } : null;
-  }
-}
-
-const probabilitySmoother = new EmaSmoother(EMA_ALPHA);
+let ringReader = null;
 
 /**
  * Initialize ONNX Runtime session
+ * @param {string} manifestUrl - URL of the model manifest
  */
-async function initializeModel(modelPath) {
+async function initializeModel(manifestUrl) {
   try {
-    // Disable multi-threading to avoid SharedArrayBuffer conflicts in worker
-    ort.env.wasm.numThreads = 1;
-
-    // Set execution providers
-    const options = {
-      executionProviders: ["wasm"],
-      graphOptimizationLevel: "all",
-    };
-
-    // Load the model
-    session = await ort.InferenceSession.create(modelPath, options);
-
-    postMessage({
-      type: "modelLoaded",
-      inputNames: session.inputNames,
-      outputNames: session.outputNames,
-    });
-
+    // Load the model described by the manifest, reporting download and
+    // warm-up progress to the main thread
+    await engine.load(manifestUrl, { onProgress: postLoadProgress });
+    postMessage({ type: "modelLoaded", ...describeModel(engine) });
     return true;
   } catch (error) {
     postMessage({
       type: "error",
       error: `Failed to load model: ${error.message}`,
+      contract: describeContractError(error),
     });
     return false;
   }
 }
 
 /**
- * Initialize shared buffer for reading audio
- */
-function initializeBuffer(buffer, bufferCapacity) {
-  sharedBuffer = buffer;
-  capacity = bufferCapacity;
-
-  controlBuffer = new Int32Array(sharedBuffer, 0, RING_BUFFER_HEADER_SIZE);
-
-  const dataOffset = RING_BUFFER_HEADER_SIZE * Int32Array.BYTES_PER_ELEMENT;
-  dataBuffer = new Float32Array(sharedBuffer, dataOffset, capacity);
-
-  postMessage({ type: "bufferInitialized" });
-}
-
-/**
- * Read samples from ring buffer
+ * Load another model and swap it in between two windows
+ * The loop keeps running on the current model until the new one is warmed
+ * up, so recording continues; if loading fails, the current model stays.
+ * @param {string} manifestUrl - URL of the new model's manifest
  */
-function readFromBuffer(destination) {
-  if (!controlBuffer || !dataBuffer) return 0;
-
-  const writePtr = Atomics.load(controlBuffer, 0);
-  const readPtr = Atomics.load(controlBuffer, 1);
-
-  const available =
-    writePtr >= readPtr ? writePtr - readPtr : capacity - readPtr + writePtr;
-
-  const toRead = Math.min(destination.length, available);
-
-  if (toRead === 0) return 0;
-
-  let readIndex = readPtr;
-
-  for (let i = 0; i < toRead; i++) {
-    destination[i] = dataBuffer[readIndex];
-    readIndex = (readIndex + 1) % capacity;
+async function switchModel(manifestUrl) {
+  const next = new EmotionEngine(engine.getOptions());
+  try {
+    await next.load(manifestUrl, { onProgress: postLoadProgress });
+  } catch (error) {
+    postMessage({
+      type: "switchFailed",
+      error: error.message,
+      contract: describeContractError(error),
+    });
+    return;
   }
 
-  // Update read pointer
-  Atomics.store(controlBuffer, 1, readIndex);
+  const previous = engine;
+  engine = next;
+  postMessage({ type: "modelSwitched", ...describeModel(engine) });
 
-  return toRead;
+  // This worker is the only user of its sessions; free the old model once
+  // the window it may still be running has finished
+  if (previous.manifest && previous.manifest.id !== next.manifest.id) {
+    await pendingPrediction?.catch(() => {});
+    await releaseModelSession(previous.manifest.id);
+  }
 }
 
 /**
- * Get available samples count
+ * Structured details of a ModelContractError (error classes don't survive
+ * postMessage), or null for other errors
  */
-function getAvailableSamples() {
-  if (!controlBuffer) return 0;
-
-  const writePtr = Atomics.load(controlBuffer, 0);
-  const readPtr = Atomics.load(controlBuffer, 1);
-
-  return writePtr >= readPtr
-    ? writePtr - readPtr
-    : capacity - readPtr + writePtr;
+function describeContractError(error) {
+  return error instanceof ModelContractError
+    ? { modelId: error.modelId, problems: error.problems }
+    : null;
 }
 
-/**
- * Apply softmax to logits
- */
-function softmax(logits) {
-  const maxLogit = Math.max(...logits);
-  const expScores = logits.map((x) => Math.exp(x - maxLogit));
-  const sumExp = expScores.reduce((a, b) => a + b, 0);
-  return expScores.map((x) => x / sumExp);
+function postLoadProgress(progress) {
+  postMessage({ type: "loadProgress", ...progress });
 }
 
 /**
- * Apply temporal smoothing (EMA)
+ * Model details reported to the main thread
  */
-function smoothPrediction(current) {
-  return probabilitySmoother.update(current);
+function describeModel(loaded) {
+  return {
+    modelId: loaded.manifest.id,
+    labels: loaded.manifest.labels,
+    windowSamples: loaded.manifest.windowSamples,
+    verified: Boolean(loaded.manifest.sha256),
+    backend: loaded.backend,
+    inputNames: loaded.session.inputNames,
+    outputNames: loaded.session.outputNames,
+  };
 }
 
 /**
- * Run inference on audio window
+ * Initialize shared buffer for reading audio
  */
-async function runInference(
-  samples,
-  sourceSampleRate = TARGET_SAMPLE_RATE
-) {
-  if (!session) return null;
-
-  try {
-    const preparedSamples =
-      sourceSampleRate === TARGET_SAMPLE_RATE
-        ? samples
-        : resampleAudio(samples, sourceSampleRate, TARGET_SAMPLE_RATE);
-    const normalizedSamples = normalizeAudio(preparedSamples);
-    const standardizedSamples = standardizeAudio(normalizedSamples);
-
-    const inputTensor = new ort.Tensor("float32", standardizedSamples, [
-      1,
-      standardizedSamples.length,
-      1,
-    ]);
-
-    const feeds = {};
-    feeds[session.inputNames[0]] = inputTensor;
-
-    const startTime = performance.now();
-    const results = await session.run(feeds);
-    const inferenceTime = performance.now() - startTime;
-
-    const outputName = session.outputNames[0];
-    const logits = results[outputName].data;
-    const probabilities = softmax(Array.from(logits));
-
-    const rawEmotions = {};
-    EMOTION_LABELS.forEach((label, index) => {
-      rawEmotions[label] = probabilities[index] ?? 0;
-    });
-
-    const emotions = smoothPrediction(rawEmotions);
-    const { dominant, confidence } = getDominant(emotions);
+function initializeBuffer(buffer, bufferCapacity) {
+  sharedBuffer = buffer;
+  ringReader = new RingBufferReader(sharedBuffer, bufferCapacity);
 
-    return {
-      emotions,
-      rawEmotions,
-      dominant,
-      confidence,
-      inferenceTime,
-    };
-  } catch (error) {
-    postMessage({
-      type: "error",
-      error: `Inference error: ${error.message}`,
-    });
-    return null;
-  }
+  postMessage({ type: "bufferInitialized" });
 }
 
 /**
  * Main inference loop
  */
 async function inferenceLoop() {
+  const generation = ++loopGeneration;
+
   console.log("[InferenceWorker] Starting inference loop");
-  console.log("[InferenceWorker] Window size:", INFERENCE_WINDOW_SAMPLES);
+  console.log("[InferenceWorker] Window size:", engine.windowSamples);
   console.log("[InferenceWorker] Buffer initialized:", !!sharedBuffer);
-  console.log("[InferenceWorker] Session ready:", !!session);
-
-  // Buffer to accumulate samples
-  let sampleBuffer = [];
-
-  while (isRunning) {
-    const available = getAvailableSamples();
-
-    // Read whatever is available
-    if (available > 0) {
-      const tempBuffer = new Float32Array(available);
-      const read = readFromBuffer(tempBuffer);
-
-      if (read > 0) {
-        // Add to our sample buffer
-        for (let i = 0; i < read; i++) {
-          sampleBuffer.push(tempBuffer[i]);
-        }
-
-        // Keep buffer at reasonable size (2x window)
-        if (sampleBuffer.length > INFERENCE_WINDOW_SAMPLES * 2) {
-          sampleBuffer = sampleBuffer.slice(-INFERENCE_WINDOW_SAMPLES * 2);
-        }
-      }
+  console.log("[InferenceWorker] Session ready:", engine.isLoaded);
+
+  while (isRunning && generation === loopGeneration) {
+    // Read per iteration: a model switch can change both
+    const INFERENCE_WINDOW_SAMPLES = engine.windowSamples;
+    const HOP_SIZE_SAMPLES = engine.getHopSize();
+
+    // Sleep until a full window is unread: after the first window that is
+    // one hop of new audio
+    const ready = await ringReader.waitForSamples(INFERENCE_WINDOW_SAMPLES);
+    if (!ready || !isRunning || generation !== loopGeneration) continue;
+
+    // Fell behind (slow inference): skip to the newest window
+    const backlog = ringReader.availableRead() - INFERENCE_WINDOW_SAMPLES;
+    if (backlog > HOP_SIZE_SAMPLES) {
+      ringReader.skip(backlog);
     }
 
-    // Run inference when we have enough samples
-    if (sampleBuffer.length >= INFERENCE_WINDOW_SAMPLES) {
-      const windowData = new Float32Array(
-        sampleBuffer.slice(-INFERENCE_WINDOW_SAMPLES)
-      );
+    // The window is a view of the ring buffer; the worklet can't overwrite
+    // it until the hop below is skipped
+    const windowData = ringReader.peekWindow(INFERENCE_WINDOW_SAMPLES);
 
-      const now = Date.now();
-      const rms = calculateRMS(windowData);
-      if (rms < NOISE_GATE_THRESHOLD) {
-        postMessage({
-          type: "prediction",
-          ...buildSilencePayload(now),
-        });
-        sampleBuffer = sampleBuffer.slice(
-          Math.min(HOP_SIZE_SAMPLES, sampleBuffer.length)
-        );
-        continue;
-      }
-
-      lastVoicedTimestamp = now;
-      const result = await runInference(windowData);
-
-      if (result) {
-        postMessage({
-          type: "prediction",
-          emotions: result.emotions,
-          rawEmotions: result.rawEmotions,
-          dominant: result.dominant,
-          confidence: result.confidence,
-          inferenceTime: result.inferenceTime,
-          timestamp: Date.now(),
-          isSilence: false,
-        });
-
-        sampleBuffer = sampleBuffer.slice(
-          Math.min(HOP_SIZE_SAMPLES, sampleBuffer.length)
-        );
-      }
+    try {
+      pendingPrediction = engine.predictStream(windowData);
+      const result = await pendingPrediction;
+      postMessage({ type: "prediction", ...result });
+    } catch (error) {
+      postMessage({
+        type: "error",
+        error: `Inference error: ${error.message}`,
+      });
     }
+    pendingPrediction = null;
 
-    // Small yield to prevent blocking
-    await sleep(100);
+    ringReader.skip(HOP_SIZE_SAMPLES);
   }
 
   console.log("[InferenceWorker] Inference loop stopped");
 }
 
-/**
- * Utility sleep function
- */
-function sleep(ms) {
-  return new Promise((resolve) => setTimeout(resolve, ms));
-}
-
-function getDominant(emotions) {
-  let dominant = "neutral";
-  let confidence = 0;
-  for (const [label, value] of Object.entries(emotions)) {
-    if (value > confidence) {
-      confidence = value;
-      dominant = label;
-    }
-  }
-  return { dominant, confidence };
-}
-
-function buildSilencePayload(timestamp) {
-  const holdActive =
-    timestamp - lastVoicedTimestamp < VOICE_HOLD_MS && lastVoicedTimestamp > 0;
-  const baselineState = holdActive
-    ? probabilitySmoother.getState() || { ...NEUTRAL_VECTOR }
-    : probabilitySmoother.update(NEUTRAL_VECTOR);
-  const emotions = { ...baselineState };
-  const { dominant, confidence } = getDominant(emotions);
-
-  return {
-    emotions,
-    rawEmotions: emotions,
-    dominant,
-    confidence,
-    inferenceTime: 0,
-    timestamp,
-    isSilence: true,
-  };
-}
-
 /**
  * Handle messages from main thread
  */
@@ -396,14 +194,14 @@ self.onmessage = async (event) => {
     case "start":
       console.log(
         "[InferenceWorker] Start requested, session:",
-        !!session,
+        engine.isLoaded,
         "buffer:",
         !!sharedBuffer
       );
-      if (session && sharedBuffer) {
+      if (engine.isLoaded && sharedBuffer) {
         isRunning = true;
-        probabilitySmoother.reset();
-        lastVoicedTimestamp = 0;
+        engine.reset();
+        ringReader.reset(); // Drop audio captured before the start
         postMessage({ type: "started" });
         inferenceLoop();
       } else {
@@ -416,14 +214,29 @@ self.onmessage = async (event) => {
 
     case "stop":
       isRunning = false;
-      probabilitySmoother.reset();
-      lastVoicedTimestamp = 0;
+      ringReader?.wake();
+      engine.reset();
       postMessage({ type: "stopped" });
       break;
 
     case "reset":
-      probabilitySmoother.reset();
-      lastVoicedTimestamp = 0;
+      engine.reset();
+      break;
+
+    case "switchModel":
+      console.log("[InferenceWorker] Switching to model:", data.modelPath);
+      await switchModel(data.modelPath);
+      break;
+
+    case "configure":
+      try {
+        engine.configure(data);
+      } catch (error) {
+        postMessage({
+          type: "error",
+          error: `Invalid settings: ${error.message}`,
+        });
+      }
       break;
 
     default:
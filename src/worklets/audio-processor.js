@@ -0,0 +1,188 @@
+/**
+ * Audio Processor - AudioWorklet for capturing microphone input
+ *
+ * This processor runs on Thread B (Audio Thread) and writes samples
+ * to a SharedArrayBuffer ring buffer that the inference worker reads from.
+ *
+ * Features:
+ * - Captures audio at native sample rate
+ * - Resamples to 16kHz for wav2vec2 (anti-aliased, see utils/resampler.js)
+ * - Writes to lock-free ring buffer using Atomics
+ * - Publishes RMS and peak levels in the ring buffer header
+ *
+ * process() allocates nothing and posts no messages: all state is created
+ * up front and everything it produces goes through shared memory. The port
+ * is only used for setup ("ready", "initialized", "error").
+ *
+ * Loaded through Vite (`?worker&url`) so the resampler import is bundled in.
+ */
+
+import { RingBufferWriter } from "../utils/RingBuffer";
+import { DEFAULT_RESAMPLER_QUALITY, Resampler } from "../utils/resampler";
+
+const RENDER_QUANTUM = 128; // Frames per process() call
+const LEVEL_WINDOW_SECONDS = 0.02; // One level update per ~20ms
+
+class AudioProcessor extends AudioWorkletProcessor {
+  constructor(options) {
+    super();
+
+    this.isInitialized = false;
+    this.writer = null;
+
+    // Resampling state
+    this.inputSampleRate = sampleRate; // Global from AudioWorklet
+    this.targetSampleRate = 16000; // wav2vec2 requirement
+    this.resampler =
+      this.inputSampleRate !== this.targetSampleRate
+        ? new Resampler(this.inputSampleRate, this.targetSampleRate, {
+            quality:
+              options?.processorOptions?.resampleQuality ||
+              DEFAULT_RESAMPLER_QUALITY,
+            maxBlockSize: RENDER_QUANTUM,
+          })
+        : null;
+    this.downmixBuffer = new Float32Array(RENDER_QUANTUM);
+
+    // Level window accumulators
+    this.levelWindowFrames = Math.round(sampleRate * LEVEL_WINDOW_SECONDS);
+    this.levelFrames = 0;
+    this.levelSumSquares = 0;
+    this.levelPeak = 0;
+
+    // Handle messages from main thread
+    this.port.onmessage = (event) => {
+      this.handleMessage(event.data);
+    };
+
+    // Notify that processor is ready
+    this.port.postMessage({ type: "ready" });
+  }
+
+  handleMessage(data) {
+    switch (data.type) {
+      case "init":
+        this.initializeBuffer(data.sharedBuffer, data.capacity);
+        break;
+      case "reset":
+        this.resetBuffer();
+        break;
+      case "stop":
+        this.isInitialized = false;
+        break;
+    }
+  }
+
+  initializeBuffer(sharedBuffer, capacity) {
+    try {
+      this.writer = new RingBufferWriter(sharedBuffer, capacity);
+      this.isInitialized = true;
+      this.port.postMessage({ type: "initialized" });
+    } catch (error) {
+      this.port.postMessage({ type: "error", error: error.message });
+    }
+  }
+
+  resetBuffer() {
+    this.writer?.reset();
+    this.resampler?.reset();
+    this.levelFrames = 0;
+    this.levelSumSquares = 0;
+    this.levelPeak = 0;
+  }
+
+  /**
+   * Downmix any number of channels to mono without extra allocations
+   * @param {Float32Array[]} channelData
+   * @returns {Float32Array}
+   */
+  downmixChannels(channelData) {
+    const channelCount = channelData.length;
+    if (channelCount === 1) {
+      return channelData[0];
+    }
+
+    const frameCount = channelData[0].length;
+
+    // Render quanta are 128 frames, so this only reallocates if that changes
+    if (this.downmixBuffer.length !== frameCount) {
+      this.downmixBuffer = new Float32Array(frameCount);
+    }
+
+    const output = this.downmixBuffer;
+    for (let i = 0; i < frameCount; i++) {
+      let sum = 0;
+      for (let c = 0; c < channelCount; c++) {
+        const channel = channelData[c];
+        sum += channel ? channel[i] || 0 : 0;
+      }
+      output[i] = sum / channelCount;
+    }
+
+    return output;
+  }
+
+  /**
+   * Add a block to the level window; publish RMS and peak when it is full
+   */
+  updateLevels(samples) {
+    let sumSquares = this.levelSumSquares;
+    let peak = this.levelPeak;
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i];
+      sumSquares += sample * sample;
+      const magnitude = sample < 0 ? -sample : sample;
+      if (magnitude > peak) peak = magnitude;
+    }
+    this.levelFrames += samples.length;
+
+    if (this.levelFrames >= this.levelWindowFrames) {
+      this.writer.writeLevels(Math.sqrt(sumSquares / this.levelFrames), peak);
+      this.levelFrames = 0;
+      sumSquares = 0;
+      peak = 0;
+    }
+
+    this.levelSumSquares = sumSquares;
+    this.levelPeak = peak;
+  }
+
+  /**
+   * Main audio processing callback
+   * Called for each audio block (typically 128 samples)
+   */
+  process(inputs, outputs, parameters) {
+    const input = inputs[0];
+
+    // Check if we have audio input
+    if (!this.isInitialized || !input || !input.length || !input[0]?.length) {
+      return true; // Keep processor alive
+    }
+
+    const monoChannel = this.downmixChannels(input);
+
+    // Levels for visualization (before resampling)
+    this.updateLevels(monoChannel);
+
+    // Resample to 16kHz if needed
+    let samples = monoChannel;
+    let count = monoChannel.length;
+    if (this.resampler) {
+      count = this.resampler.processBlock(monoChannel);
+      samples = this.resampler.output;
+    }
+
+    if (count > 0) {
+      const written = this.writer.write(samples, count);
+
+      // The main thread reports drops from the header
+      if (written < count) {
+        this.writer.addDropped(count - written);
+      }
+    }
+
+    return true; // Keep processor alive
+  }
+}
+
+registerProcessor("audio-processor", AudioProcessor);
@@ -0,0 +1,33 @@
+import { defineConfig } from "vite";
+import path from "path";
+
+// Node build of the command line tool (src/cli): `npm run build:cli`
+// Dependencies stay external and are resolved from node_modules at runtime.
+export default defineConfig({
+  resolve: {
+    alias: {
+      "@": path.resolve(__dirname, "./src"),
+    },
+  },
+  publicDir: false,
+  build: {
+    ssr: true,
+    target: "node18",
+    outDir: "dist-cli",
+    emptyOutDir: true,
+    rollupOptions: {
+      input: {
+        "audio-emotion": "src/cli/audio-emotion.js",
+        analysis: "src/cli/analysis.js",
+      },
+      output: {
+        // Flat output, so paths relative to the package root hold for every
+        // chunk
+        entryFileNames: "[name].js",
+        chunkFileNames: "[name].js",
+        banner: (chunk) =>
+          chunk.name === "audio-emotion" ? "#!/usr/bin/env node" : "",
+      },
+    },
+  },
+});
@@ -3,10 +3,44 @@ import react from "@vitejs/plugin-react";
 import { viteStaticCopy } from "vite-plugin-static-copy";
 import path from "path";
 
+// Lists the build's files for public/sw.js to precache on install, so the
+// bundles loaded on the first visit (before the worker controls the page)
+// are available offline too
+function precacheManifest() {
+  return {
+    name: "precache-manifest",
+    apply: "build",
+    generateBundle(_, bundle) {
+      const files = [];
+      for (const fileName of Object.keys(bundle)) {
+        if (fileName.endsWith(".map")) continue;
+
+        // ONNX Runtime loads its binary and loader from /wasm/ (see
+        // utils/modelCache.js), not the hashed copy Vite bundles
+        const ortBinary = fileName.match(
+          /^assets\/(ort-wasm[\w.-]*?)-[\w-]+\.wasm$/
+        );
+        if (ortBinary) {
+          files.push(`/wasm/${ortBinary[1]}.wasm`, `/wasm/${ortBinary[1]}.mjs`);
+        } else {
+          files.push(`/${fileName}`);
+        }
+      }
+
+      this.emitFile({
+        type: "asset",
+        fileName: "precache-manifest.json",
+        source: JSON.stringify(files, null, 2),
+      });
+    },
+  };
+}
+
 // https://vitejs.dev/config/
 export default defineConfig({
   plugins: [
     react(),
+    precacheManifest(),
     // Copy ONNX Runtime WASM files to dist folder during build
     viteStaticCopy({
       targets: [